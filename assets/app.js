@@ -4,19 +4,63 @@ const state = {
   activeTab: 'apple-new',
   activeCountry: null,
   isLoading: false,
+  stream: null,
+  streamConnected: false,
+  softLaunches: null,
+  matches: new Map(),
+  genre: '',
+  genres: [],
+  chart: 'top-free',
+  presets: [],
+  searchTimer: null,
 };
 
 const REFRESH_MS = 5 * 60 * 1000;
+const WORLDWIDE = 'WW';
+const SOFT_LAUNCH_TAB = 'soft-launches';
+const MATCHES_TAB = 'matches';
+const PRICE_RECENT_MS = 7 * 24 * 60 * 60 * 1000;
+const SEARCH_DELAY_MS = 250;
+const VIEW_DEFAULTS = {
+  country: '',
+  tab: 'apple-new',
+  genre: '',
+  time: 'all',
+  price: 'all',
+  rating: '0',
+  ratings: '0',
+  sort: 'default',
+  chart: 'top-free',
+};
 
 const selectors = {
   countrySelect: document.getElementById('country-select'),
+  genreSelect: document.getElementById('genre-select'),
+  chartSelect: document.getElementById('chart-select'),
   timeRange: document.getElementById('time-range'),
   priceFilter: document.getElementById('price-filter'),
+  ratingFilter: document.getElementById('rating-filter'),
+  ratingCountFilter: document.getElementById('rating-count-filter'),
+  sortOrder: document.getElementById('sort-order'),
+  presetSelect: document.getElementById('preset-select'),
+  savePreset: document.getElementById('save-preset'),
+  deletePreset: document.getElementById('delete-preset'),
   tabs: document.getElementById('tabs'),
   content: document.getElementById('content'),
   lastUpdated: document.getElementById('last-updated'),
   empty: document.getElementById('empty'),
   refreshButton: document.getElementById('refresh-country'),
+  exportFormat: document.getElementById('export-format'),
+  downloadExport: document.getElementById('download-export'),
+  alertsPanel: document.getElementById('alerts-panel'),
+  alertForm: document.getElementById('alert-form'),
+  alertStore: document.getElementById('alert-store'),
+  alertRules: document.getElementById('alert-rules'),
+  alertStatus: document.getElementById('alert-status'),
+  searchForm: document.getElementById('search-form'),
+  searchInput: document.getElementById('search-input'),
+  searchStatus: document.getElementById('search-status'),
+  searchResults: document.getElementById('search-results'),
 };
 
 function formatDate(value) {
@@ -36,6 +80,10 @@ function buildCountryOptions(countries) {
   placeholder.value = '';
   placeholder.textContent = 'Select a country';
   selectors.countrySelect.append(placeholder);
+  const worldwide = document.createElement('option');
+  worldwide.value = WORLDWIDE;
+  worldwide.textContent = 'Worldwide';
+  selectors.countrySelect.append(worldwide);
   countries.forEach((country) => {
     const option = document.createElement('option');
     option.value = country.code;
@@ -44,15 +92,87 @@ function buildCountryOptions(countries) {
   });
 }
 
+function buildAlertStores(stores) {
+  selectors.alertStore.querySelectorAll('option[value]:not([value=""])').forEach((option) => {
+    option.remove();
+  });
+  stores.forEach((store) => {
+    const option = document.createElement('option');
+    option.value = store.id;
+    option.textContent = store.label;
+    selectors.alertStore.append(option);
+  });
+}
+
+const PRICE_CHANGE_LABELS = {
+  drop: 'Price drop',
+  increase: 'Price increase',
+  free: 'Now free',
+  'switched-to-free': 'Switched to free',
+  'free-promotion': 'Free promotion ended',
+  paid: 'Now paid',
+};
+
+function formatPriceChange(change) {
+  const label = PRICE_CHANGE_LABELS[change.type] ?? 'Price changed';
+  return `${label}: ${change.previousPrice ?? '?'} → ${change.price ?? '?'} · ${formatDate(
+    change.at
+  )}`;
+}
+
+const LIST_LABELS = {
+  new: 'New',
+  updated: 'Updated',
+  charts: 'Charts',
+};
+
+const CHART_LABELS = {
+  'top-free': 'Top free',
+  'top-paid': 'Top paid',
+  'top-grossing': 'Top grossing',
+};
+
+function buildTabs(stores) {
+  selectors.tabs.innerHTML = '';
+  const tabs = stores.flatMap((store) =>
+    store.lists.map((type) => ({
+      id: `${store.id}-${type}`,
+      label: `${store.label} · ${LIST_LABELS[type]}`,
+    }))
+  );
+  if (['apple', 'google'].every((id) => stores.some((store) => store.id === id))) {
+    tabs.push({ id: MATCHES_TAB, label: 'Apple × Google' });
+  }
+  tabs.push({ id: SOFT_LAUNCH_TAB, label: 'Soft launches' });
+  if (!tabs.some((tab) => tab.id === state.activeTab)) {
+    state.activeTab = tabs[0]?.id ?? state.activeTab;
+  }
+  tabs.forEach((tab) => {
+    const button = document.createElement('button');
+    button.dataset.tab = tab.id;
+    button.className = tab.id === state.activeTab ? 'tab active' : 'tab';
+    button.textContent = tab.label;
+    selectors.tabs.append(button);
+  });
+}
+
 function updateLastUpdated() {
   if (!state.activeCountry) {
     selectors.lastUpdated.textContent = 'Select a country';
     return;
   }
+  if (state.activeCountry === WORLDWIDE) {
+    selectors.lastUpdated.textContent = formatDate(
+      state.dataCache.get(WORLDWIDE)?.generatedAt ?? state.summary?.generatedAt
+    );
+    return;
+  }
   const entries = state.summary?.countries ?? [];
   const active = entries.find((entry) => entry.code === state.activeCountry);
+  const stores = state.summary?.meta?.stores ?? [];
   const timestamp =
-    active?.apple?.updatedAt || active?.google?.updatedAt || state.summary?.generatedAt;
+    stores.map((store) => active?.[store.id]?.updatedAt).find(Boolean) ||
+    state.summary?.generatedAt;
   selectors.lastUpdated.textContent = formatDate(timestamp);
 }
 
@@ -88,11 +208,114 @@ async function fetchJson(path) {
   return response.json();
 }
 
+async function sendJson(path, method, body) {
+  const response = await fetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(payload.error ?? `Request failed (${response.status})`);
+  }
+  return payload;
+}
+
+function describeRule(rule) {
+  const { match } = rule;
+  const scope = [
+    match.store,
+    match.countries.length > 0 ? match.countries.join(', ') : 'all countries',
+    match.list && `${match.list} list`,
+    match.developer && `developer ${match.developer}`,
+    match.app && `app ${match.app}`,
+    match.topN && `top ${match.topN}`,
+  ].filter(Boolean);
+  return `${rule.event} · ${scope.join(' · ')} → ${rule.webhook.format} ${rule.webhook.url}`;
+}
+
+function renderAlertRules(rules, deliveries) {
+  selectors.alertRules.innerHTML = '';
+  rules.forEach((rule) => {
+    const entry = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = rule.name;
+    const details = document.createElement('small');
+    details.textContent = describeRule(rule);
+    const last = deliveries.find((delivery) => delivery.ruleId === rule.id);
+    const status = document.createElement('small');
+    status.textContent = last
+      ? `Last delivery ${last.ok ? 'ok' : `failed (${last.error})`} · ${formatDate(last.at)}`
+      : 'No deliveries yet';
+
+    const test = document.createElement('button');
+    test.type = 'button';
+    test.className = 'refresh-button';
+    test.textContent = 'Send test';
+    test.addEventListener('click', async () => {
+      test.disabled = true;
+      await sendJson(`/api/alerts/rules/${rule.id}/test`, 'POST').catch((error) => {
+        selectors.alertStatus.textContent = error.message;
+      });
+      await loadAlertRules();
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'refresh-button';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', async () => {
+      remove.disabled = true;
+      await sendJson(`/api/alerts/rules/${rule.id}`, 'DELETE').catch((error) => {
+        selectors.alertStatus.textContent = error.message;
+      });
+      await loadAlertRules();
+    });
+
+    entry.append(name, details, status, test, remove);
+    selectors.alertRules.append(entry);
+  });
+}
+
+async function loadAlertRules() {
+  try {
+    const [{ rules }, { deliveries }] = await Promise.all([
+      fetchJson('/api/alerts/rules'),
+      fetchJson('/api/alerts/deliveries'),
+    ]);
+    renderAlertRules(rules, deliveries);
+  } catch (error) {
+    selectors.alertStatus.textContent = error.message;
+  }
+}
+
+function readAlertForm(form) {
+  const values = Object.fromEntries(new FormData(form));
+  return {
+    name: values.name,
+    event: values.event,
+    match: {
+      store: values.store || null,
+      countries: values.countries.split(',').map((code) => code.trim()).filter(Boolean),
+      developer: values.developer || null,
+      app: values.app || null,
+      topN: values.topN ? Number(values.topN) : null,
+    },
+    webhook: {
+      url: values.url,
+      format: values.format,
+      ...(values.secret ? { secret: values.secret } : {}),
+    },
+  };
+}
+
 async function loadSummary() {
   await withLoading(async () => {
     const summary = await fetchJson('/api/summary');
     state.summary = summary;
     const countries = summary.countries ?? [];
+    buildTabs(summary.meta?.stores ?? []);
+    buildAlertStores(summary.meta?.stores ?? []);
     buildCountryOptions(countries);
     state.activeCountry = null;
     selectors.countrySelect.value = '';
@@ -100,16 +323,106 @@ async function loadSummary() {
   }, 400);
 }
 
+function countryDataPath(country, { refresh = false } = {}) {
+  if (country === WORLDWIDE) {
+    return '/api/global';
+  }
+  const params = new URLSearchParams();
+  if (state.genre) {
+    params.set('genre', state.genre);
+  }
+  params.set('chart', state.chart);
+  if (refresh) {
+    params.set('refresh', '1');
+  }
+  const query = params.toString();
+  return `/api/country/${country}${query ? `?${query}` : ''}`;
+}
+
+async function loadGenres() {
+  const { genres } = await fetchJson('/api/genres').catch(() => ({ genres: [] }));
+  state.genres = genres;
+  genres.forEach((genre) => {
+    const option = document.createElement('option');
+    option.value = genre.id;
+    option.textContent = genre.label;
+    selectors.genreSelect.append(option);
+  });
+}
+
+function filterByGenre(items) {
+  const genre = state.genres.find((entry) => entry.id === state.genre);
+  if (!genre) {
+    return items;
+  }
+  const labels = new Set(genre.labels.map((label) => label.toLowerCase()));
+  return items.filter((item) =>
+    (item.genres ?? []).some((name) => labels.has(String(name).toLowerCase()))
+  );
+}
+
 async function loadCountryData(country) {
   if (!country || state.dataCache.has(country)) {
     return;
   }
-  const payload = await fetchJson(`/api/country/${country}`).catch(() => null);
-  if (!payload) {
-    state.dataCache.set(country, { apple: null, google: null });
+  const payload = await fetchJson(countryDataPath(country)).catch(() => null);
+  state.dataCache.set(country, payload ?? {});
+}
+
+async function loadSoftLaunches() {
+  const report = await fetchJson('/api/soft-launches').catch(() => null);
+  state.softLaunches = report ?? { apps: [] };
+}
+
+async function loadMatches(country) {
+  if (!country || country === WORLDWIDE || state.matches.has(country)) {
+    return;
+  }
+  const report = await fetchJson(`/api/matches/${country}`).catch(() => null);
+  state.matches.set(country, report ?? { pairs: [] });
+}
+
+function exportPath(country) {
+  const params = new URLSearchParams({
+    format: selectors.exportFormat.value,
+    time: selectors.timeRange.value,
+    price: selectors.priceFilter.value,
+  });
+  if (state.activeTab !== SOFT_LAUNCH_TAB && state.activeTab !== MATCHES_TAB) {
+    const separator = state.activeTab.lastIndexOf('-');
+    const type = state.activeTab.slice(separator + 1);
+    params.set('store', state.activeTab.slice(0, separator));
+    params.set('type', type === 'charts' ? state.chart : type);
+  }
+  if (country === WORLDWIDE) {
+    return `/api/export?${params}`;
+  }
+  if (state.genre) {
+    params.set('genre', state.genre);
+  }
+  return `/api/country/${country}/export?${params}`;
+}
+
+function downloadExport() {
+  if (!state.activeCountry) {
+    showControlError('Select a country to export');
     return;
   }
-  state.dataCache.set(country, { apple: payload.apple, google: payload.google });
+  const link = document.createElement('a');
+  link.href = exportPath(state.activeCountry);
+  link.download = '';
+  document.body.append(link);
+  link.click();
+  link.remove();
+}
+
+async function loadActiveTab() {
+  if (state.activeTab === SOFT_LAUNCH_TAB) {
+    await loadSoftLaunches();
+  }
+  if (state.activeTab === MATCHES_TAB) {
+    await loadMatches(state.activeCountry);
+  }
 }
 
 async function refreshActiveCountry() {
@@ -125,11 +438,12 @@ async function refreshActiveCountry() {
 
   try {
     await withLoading(async () => {
-      const payload = await fetchJson(`/api/country/${state.activeCountry}?refresh=1`);
-      state.dataCache.set(state.activeCountry, {
-        apple: payload.apple ?? null,
-        google: payload.google ?? null,
-      });
+      const payload = await fetchJson(
+        countryDataPath(state.activeCountry, { refresh: state.activeCountry !== WORLDWIDE })
+      );
+      state.dataCache.set(state.activeCountry, payload);
+      state.matches.delete(state.activeCountry);
+      await loadActiveTab();
       const summary = await fetchJson('/api/summary');
       state.summary = summary;
       updateLastUpdated();
@@ -147,8 +461,9 @@ async function refreshActiveCountry() {
 }
 
 function getActiveDataset() {
-  const store = state.activeTab.startsWith('apple') ? 'apple' : 'google';
-  const type = state.activeTab.endsWith('new') ? 'new' : 'updated';
+  const separator = state.activeTab.lastIndexOf('-');
+  const store = state.activeTab.slice(0, separator);
+  const type = state.activeTab.slice(separator + 1);
   const countryData = state.dataCache.get(state.activeCountry) || {};
   const data = countryData[store];
   return {
@@ -158,7 +473,22 @@ function getActiveDataset() {
   };
 }
 
-function filterByDate(items, range) {
+function itemDate(item, type) {
+  if (type === 'updated') {
+    return item.updatedAt ?? item.detectedAt ?? null;
+  }
+  return item.releasedAt ?? item.releaseDate ?? null;
+}
+
+function sortByDate(items, type) {
+  return [...items].sort((a, b) => {
+    const aDate = itemDate(a, type) ? new Date(itemDate(a, type)).getTime() : 0;
+    const bDate = itemDate(b, type) ? new Date(itemDate(b, type)).getTime() : 0;
+    return bDate - aDate;
+  });
+}
+
+function filterByDate(items, range, type) {
   if (range === 'all') {
     return items;
   }
@@ -171,10 +501,11 @@ function filterByDate(items, range) {
         : 30 * 24 * 60 * 60 * 1000;
 
   return items.filter((item) => {
-    if (!item.releaseDate) {
+    const date = itemDate(item, type);
+    if (!date) {
       return false;
     }
-    const timestamp = new Date(item.releaseDate).getTime();
+    const timestamp = new Date(date).getTime();
     return now - timestamp <= limitMs;
   });
 }
@@ -183,11 +514,40 @@ function filterByPrice(items, filter) {
   if (filter === 'all') {
     return items;
   }
+  if (filter === 'changed') {
+    const now = Date.now();
+    return items.filter(
+      (item) =>
+        item.priceChange && now - new Date(item.priceChange.at).getTime() <= PRICE_RECENT_MS
+    );
+  }
   return items.filter((item) => (filter === 'free' ? item.isFree : !item.isFree));
 }
 
+function filterByRating(items, minRating, minCount) {
+  return items.filter(
+    (item) =>
+      (minRating <= 0 || (item.rating ?? 0) >= minRating) &&
+      (minCount <= 0 || (item.ratingCount ?? 0) >= minCount)
+  );
+}
+
+function listItems(data, type) {
+  if (type === 'charts') {
+    return data.charts?.[state.chart] ?? [];
+  }
+  return state.activeCountry === WORLDWIDE ? filterByGenre(data[type] ?? []) : data[type] ?? [];
+}
+
+function sortByRating(items, order) {
+  const key = order === 'ratingCount' ? 'ratingCount' : 'rating';
+  const fallback = key === 'rating' ? 'ratingCount' : 'rating';
+  return [...items].sort(
+    (a, b) => (b[key] ?? -1) - (a[key] ?? -1) || (b[fallback] ?? -1) - (a[fallback] ?? -1)
+  );
+}
+
 function render() {
-  const { store, type, data } = getActiveDataset();
   selectors.content.innerHTML = '';
 
   if (state.isLoading) {
@@ -195,34 +555,113 @@ function render() {
     return;
   }
 
+  if (state.activeTab === SOFT_LAUNCH_TAB) {
+    renderSoftLaunches();
+    return;
+  }
+
+  const { store, type, data } = getActiveDataset();
+
   if (!state.activeCountry) {
     selectors.content.append(renderMessage('Select a country to load store data.', 'empty'));
     return;
   }
 
+  if (state.activeTab === MATCHES_TAB) {
+    renderMatches();
+    return;
+  }
+
   if (!data) {
     selectors.content.append(renderMessage('No data for this country yet.', 'empty'));
     return;
   }
 
   if (data.errors && data.errors.length > 0) {
-    const message = document.createElement('div');
-    message.className = 'error';
-    message.textContent = `Some data failed to load (${data.errors.length} errors).`;
-    selectors.content.append(message);
+    selectors.content.append(renderErrorPanel(store, data.errors));
+  }
+
+  if (type === 'charts' && data.unavailableCharts?.includes(state.chart)) {
+    selectors.content.append(
+      renderMessage(`${store} has no ${CHART_LABELS[state.chart]} chart in this country.`, 'empty')
+    );
+    return;
   }
 
-  const items = data[type] ?? [];
-  const filtered = filterByPrice(filterByDate(items, selectors.timeRange.value), selectors.priceFilter.value);
+  const items = listItems(data, type);
+  const order = selectors.sortOrder.value;
+  let sorted =
+    state.activeCountry === WORLDWIDE || type === 'charts' ? items : sortByDate(items, type);
+  if (order !== 'default') {
+    sorted = sortByRating(sorted, order);
+  }
+  const filtered = filterByRating(
+    filterByPrice(
+      filterByDate(sorted, selectors.timeRange.value, type),
+      selectors.priceFilter.value
+    ),
+    Number(selectors.ratingFilter.value),
+    Number(selectors.ratingCountFilter.value)
+  );
 
   if (filtered.length === 0) {
+    const label = type === 'charts' ? CHART_LABELS[state.chart] : type;
     selectors.content.append(
-      renderMessage(`No ${type} ${store} apps match these filters.`, 'empty')
+      renderMessage(`No ${label} ${store} apps match these filters.`, 'empty')
     );
     return;
   }
 
-  filtered.forEach((item) => selectors.content.append(renderCard(item)));
+  filtered.forEach((item) => selectors.content.append(renderCard(item, type)));
+}
+
+function describeError(record) {
+  const parts = [];
+  if (record.count > 1) {
+    parts.push(`${record.count}×`);
+  }
+  if (record.status) {
+    parts.push(`HTTP ${record.status}`);
+  }
+  if (record.attempts > 1) {
+    parts.push(`${record.attempts} attempts`);
+  }
+  parts.push(`last ${formatDate(record.lastAt)}`);
+  if (record.preserved) {
+    parts.push('previous data kept');
+  }
+  return parts.join(' · ');
+}
+
+function renderErrorPanel(store, errors) {
+  const panel = document.createElement('details');
+  panel.className = 'error error-panel';
+
+  const summary = document.createElement('summary');
+  const occurrences = errors.reduce((sum, record) => sum + (record.count ?? 1), 0);
+  const label = errors.length === 1 ? 'issue' : 'issues';
+  summary.textContent = `${errors.length} ${store} ${label} (${occurrences} occurrences)`;
+  panel.append(summary);
+
+  const list = document.createElement('ul');
+  errors.forEach((record) => {
+    const entry = document.createElement('li');
+    const stage = document.createElement('strong');
+    stage.textContent = record.stage ?? 'fetch';
+    const message = document.createElement('span');
+    message.textContent = ` ${record.message}`;
+    const meta = document.createElement('small');
+    meta.textContent = describeError(record);
+    entry.append(stage, message, meta);
+    if (record.url) {
+      const source = document.createElement('code');
+      source.textContent = record.url;
+      entry.append(source);
+    }
+    list.append(entry);
+  });
+  panel.append(list);
+  return panel;
 }
 
 function renderMessage(text, className) {
@@ -232,7 +671,58 @@ function renderMessage(text, className) {
   return message;
 }
 
-function renderCard(item) {
+function formatRank(item, type) {
+  if (type === 'charts') {
+    return item.chartRank ? `#${item.chartRank}` : null;
+  }
+  if (!item.rank) {
+    return null;
+  }
+  if (item.rankDelta === null || item.rankDelta === undefined) {
+    return `#${item.rank} · new`;
+  }
+  if (item.rankDelta === 0) {
+    return `#${item.rank}`;
+  }
+  const arrow = item.rankDelta > 0 ? '▲' : '▼';
+  return `#${item.rank} ${arrow}${Math.abs(item.rankDelta)}`;
+}
+
+const compactNumber = new Intl.NumberFormat(undefined, {
+  notation: 'compact',
+  maximumFractionDigits: 1,
+});
+
+function formatRating(item) {
+  if (item.rating === null || item.rating === undefined) {
+    return null;
+  }
+  const count = item.ratingCount ? ` (${compactNumber.format(item.ratingCount)})` : '';
+  return `★ ${item.rating.toFixed(1)}${count}`;
+}
+
+function formatDetails(item) {
+  const details = [
+    item.contentRating,
+    item.sizeBytes ? `${Math.round(item.sizeBytes / 1024 / 1024)} MB` : null,
+    item.minOsVersion ? `OS ${item.minOsVersion}+` : null,
+    item.languages?.length ? `${item.languages.length} languages` : null,
+    item.reviewCount ? `${compactNumber.format(item.reviewCount)} reviews` : null,
+    item.offersIAP ? `In-app purchases${item.iapRange ? ` ${item.iapRange}` : ''}` : null,
+  ].filter(Boolean);
+  return details.length > 0 ? details.join(' · ') : null;
+}
+
+function formatReach(item) {
+  if (!item.countryCount) {
+    return null;
+  }
+  const label = item.countryCount === 1 ? 'country' : 'countries';
+  const best = `best #${item.bestRank} (${item.bestCountry})`;
+  return `${item.countryCount} ${label} · ${best} · avg #${item.averageRank}`;
+}
+
+function renderCard(item, type) {
   const card = document.createElement('article');
   card.className = 'card';
 
@@ -248,10 +738,16 @@ function renderCard(item) {
 
   const meta = document.createElement('div');
   meta.className = 'meta';
+  const rank = formatRank(item, type);
+  const rating = formatRating(item);
+  const chart = type !== 'charts' && CHART_LABELS[item.chart];
   meta.innerHTML = `
+    ${rank ? `<span class="rank">${rank}</span>` : ''}
+    ${chart ? `<span class="chart-rank">${chart} #${item.chartRank}</span>` : ''}
+    ${rating ? `<span class="rating">${rating}</span>` : ''}
     <span>${item.isFree ? 'Free' : 'Paid'}</span>
     <span>${item.genres?.[0] ?? 'Games'}</span>
-    <span>${formatDate(item.releaseDate)}</span>
+    <span>${type === 'updated' ? 'Updated' : 'Released'} ${formatDate(itemDate(item, type))}</span>
   `;
 
   const link = document.createElement('a');
@@ -260,29 +756,517 @@ function renderCard(item) {
   link.rel = 'noopener noreferrer';
   link.textContent = 'Open in store';
 
-  card.append(image, title, developer, meta, link);
+  card.append(image, title, developer, meta);
+
+  const details = formatDetails(item);
+  if (details) {
+    const line = document.createElement('p');
+    line.className = 'details';
+    line.textContent = details;
+    card.append(line);
+  }
+
+  if (item.screenshots?.length) {
+    const strip = document.createElement('div');
+    strip.className = 'screenshots';
+    item.screenshots.slice(0, 3).forEach((url) => {
+      const shot = document.createElement('img');
+      shot.src = url;
+      shot.alt = `${item.name} screenshot`;
+      shot.loading = 'lazy';
+      strip.append(shot);
+    });
+    card.append(strip);
+  }
+
+  const reach = formatReach(item);
+  if (reach) {
+    const markets = document.createElement('p');
+    markets.className = 'reach';
+    markets.textContent = reach;
+    markets.title = item.countries.map((entry) => `${entry.country} #${entry.rank}`).join(', ');
+    card.append(markets);
+  }
+
+  if (item.priceChange) {
+    const price = document.createElement('p');
+    price.className = `price-change price-${item.priceChange.type}`;
+    price.textContent = formatPriceChange(item.priceChange);
+    card.append(price);
+  }
+
+  if (item.detectedAt) {
+    const version = document.createElement('p');
+    version.className = 'version';
+    version.textContent = `${item.previousVersion ?? '?'} → ${item.version ?? '?'}`;
+    card.append(version);
+    if (item.releaseNotes) {
+      const notes = document.createElement('p');
+      notes.className = 'notes';
+      notes.textContent = item.releaseNotes;
+      card.append(notes);
+    }
+  }
+
+  card.append(link);
   return card;
 }
 
+function renderTimeline(app) {
+  const timeline = document.createElement('ol');
+  timeline.className = 'timeline';
+  app.timeline.forEach((entry) => {
+    const step = document.createElement('li');
+    const label = entry.marketCount === 1 ? 'market' : 'markets';
+    const added = entry.added.join(', ');
+    step.textContent = `${formatDate(entry.at)} · +${added} (${entry.marketCount} ${label})`;
+    timeline.append(step);
+  });
+  return timeline;
+}
+
+function renderSoftLaunches() {
+  const apps = filterByPrice(state.softLaunches?.apps ?? [], selectors.priceFilter.value);
+  if (apps.length === 0) {
+    selectors.content.append(renderMessage('No soft launches detected yet.', 'empty'));
+    return;
+  }
+  apps.forEach((app) => {
+    const card = renderCard(app, 'new');
+    const status = document.createElement('p');
+    status.className = `status status-${app.status}`;
+    status.textContent = `${app.store} · ${app.status} · ${app.marketCount} markets`;
+    card.insertBefore(status, card.querySelector('a'));
+    card.insertBefore(renderTimeline(app), card.querySelector('a'));
+    selectors.content.append(card);
+  });
+}
+
+function formatLaunchOrder(pair) {
+  if (!pair.firstStore) {
+    return 'Release dates unknown';
+  }
+  if (pair.firstStore === 'both') {
+    return 'Launched on both stores the same day';
+  }
+  const store = pair.firstStore === 'apple' ? 'Apple' : 'Google Play';
+  const unit = pair.leadDays === 1 ? 'day' : 'days';
+  return `Launched on ${store} ${pair.leadDays} ${unit} earlier`;
+}
+
+function renderMatches() {
+  if (state.activeCountry === WORLDWIDE) {
+    selectors.content.append(renderMessage('Select a single country to compare stores.', 'empty'));
+    return;
+  }
+  const pairs = state.matches.get(state.activeCountry)?.pairs ?? [];
+  if (pairs.length === 0) {
+    selectors.content.append(renderMessage('No games matched across stores yet.', 'empty'));
+    return;
+  }
+  pairs.forEach((pair) => {
+    const card = document.createElement('article');
+    card.className = 'card match';
+
+    const image = document.createElement('img');
+    image.src = pair.apple.artwork ?? pair.google.artwork;
+    image.alt = `${pair.name} artwork`;
+
+    const title = document.createElement('h3');
+    title.textContent = pair.name;
+
+    const developer = document.createElement('p');
+    developer.textContent = pair.developer ?? 'Unknown developer';
+
+    const ranks = document.createElement('p');
+    ranks.className = 'rank';
+    const sideRank = ({ rank, chart }) =>
+      rank ? [CHART_LABELS[chart], `#${rank}`].filter(Boolean).join(' ') : '—';
+    const appleRank = sideRank(pair.apple);
+    const googleRank = sideRank(pair.google);
+    ranks.textContent = `Apple ${appleRank} / Google ${googleRank}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const confidence = `${Math.round(pair.confidence * 100)}% match`;
+    meta.innerHTML = `
+      <span>${pair.source === 'override' ? 'Manual match' : confidence}</span>
+      <span>${formatLaunchOrder(pair)}</span>
+    `;
+
+    const links = document.createElement('div');
+    links.className = 'links';
+    [
+      ['App Store', pair.apple.url],
+      ['Google Play', pair.google.url],
+    ].forEach(([label, href]) => {
+      if (!href) {
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = label;
+      links.append(link);
+    });
+
+    card.append(image, title, developer, ranks, meta, links);
+    selectors.content.append(card);
+  });
+}
+
+function applyListChanges(items, changes) {
+  const existing = new Map(items.map((item) => [item.id, item]));
+  const added = new Map(changes.added.map((item) => [item.id, item]));
+  const moved = new Map(changes.moved.map((entry) => [entry.id, entry]));
+
+  return changes.order
+    .map((id) => {
+      const item = added.get(id) ?? existing.get(id);
+      const move = moved.get(id);
+      if (!item || !move) {
+        return item;
+      }
+      return { ...item, rank: move.rank, previousRank: move.previousRank, rankDelta: move.delta };
+    })
+    .filter(Boolean);
+}
+
+function applyRefreshEvent(event) {
+  if (event.country !== state.activeCountry || state.genre) {
+    return;
+  }
+  const payload = state.dataCache.get(event.country);
+  const data = payload?.[event.store];
+  if (!data) {
+    return;
+  }
+
+  const next = { ...data, updatedAt: event.updatedAt, preservedAt: event.preservedAt };
+  Object.entries(event.changes ?? {}).forEach(([list, changes]) => {
+    if (!CHART_LABELS[list]) {
+      next[list] = applyListChanges(data[list] ?? [], changes);
+    } else if (data.charts?.[list]) {
+      next.charts = { ...next.charts, [list]: applyListChanges(data.charts[list], changes) };
+    }
+  });
+  state.dataCache.set(event.country, { ...payload, [event.store]: next });
+
+  const summaryEntry = state.summary?.countries?.find((entry) => entry.code === event.country);
+  if (summaryEntry) {
+    summaryEntry[event.store] = event.summary;
+  }
+  updateLastUpdated();
+  if (!state.isLoading) {
+    render();
+  }
+}
+
+function connectStream(country) {
+  state.stream?.close();
+  state.stream = null;
+  state.streamConnected = false;
+  if (!country || country === WORLDWIDE || typeof EventSource === 'undefined') {
+    return;
+  }
+
+  const source = new EventSource(`/api/stream?country=${encodeURIComponent(country)}`);
+  source.addEventListener('open', () => {
+    state.streamConnected = true;
+  });
+  source.addEventListener('error', () => {
+    state.streamConnected = false;
+  });
+  source.addEventListener('refresh', (event) => {
+    try {
+      applyRefreshEvent(JSON.parse(event.data));
+    } catch (error) {
+      console.warn('Failed to apply stream update', error);
+    }
+  });
+  state.stream = source;
+}
+
+function currentView() {
+  return {
+    country: state.activeCountry ?? '',
+    tab: state.activeTab,
+    genre: state.genre,
+    chart: state.chart,
+    time: selectors.timeRange.value,
+    price: selectors.priceFilter.value,
+    rating: selectors.ratingFilter.value,
+    ratings: selectors.ratingCountFilter.value,
+    sort: selectors.sortOrder.value,
+  };
+}
+
+function viewQuery(view) {
+  const params = new URLSearchParams();
+  Object.entries(view).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && String(value) !== VIEW_DEFAULTS[key]) {
+      params.set(key, value);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+function parseView(source) {
+  const params = source instanceof URLSearchParams ? source : new URLSearchParams(source);
+  return Object.fromEntries(
+    Object.entries(VIEW_DEFAULTS).map(([key, fallback]) => [key, params.get(key) ?? fallback])
+  );
+}
+
+function pushView() {
+  const url = `${window.location.pathname}${viewQuery(currentView())}`;
+  if (url !== `${window.location.pathname}${window.location.search}`) {
+    window.history.pushState(null, '', url);
+  }
+  const preset = state.presets.find((entry) => entry.id === selectors.presetSelect.value);
+  if (preset && viewQuery(presetView(preset)) !== viewQuery(currentView())) {
+    selectors.presetSelect.value = '';
+  }
+}
+
+function setSelectValue(select, value, fallback) {
+  select.value = value;
+  if (select.value !== String(value)) {
+    select.value = fallback;
+  }
+}
+
+function activateTab(tabId) {
+  const button = [...selectors.tabs.querySelectorAll('button[data-tab]')].find(
+    (entry) => entry.dataset.tab === tabId
+  );
+  if (!button) {
+    return;
+  }
+  selectors.tabs.querySelectorAll('.tab').forEach((tab) => tab.classList.remove('active'));
+  button.classList.add('active');
+  state.activeTab = tabId;
+}
+
+async function selectCountry(country) {
+  state.activeCountry = country || null;
+  connectStream(state.activeCountry);
+  if (!state.activeCountry) {
+    updateLastUpdated();
+    return;
+  }
+  state.dataCache.delete(state.activeCountry);
+  state.matches.delete(state.activeCountry);
+  await loadCountryData(state.activeCountry);
+  await loadActiveTab();
+  updateLastUpdated();
+}
+
+async function applyView(view) {
+  await withLoading(async () => {
+    setSelectValue(selectors.timeRange, view.time, VIEW_DEFAULTS.time);
+    setSelectValue(selectors.priceFilter, view.price, VIEW_DEFAULTS.price);
+    setSelectValue(selectors.ratingFilter, view.rating, VIEW_DEFAULTS.rating);
+    setSelectValue(selectors.ratingCountFilter, view.ratings, VIEW_DEFAULTS.ratings);
+    setSelectValue(selectors.sortOrder, view.sort, VIEW_DEFAULTS.sort);
+    setSelectValue(selectors.genreSelect, view.genre, VIEW_DEFAULTS.genre);
+    setSelectValue(selectors.chartSelect, view.chart, VIEW_DEFAULTS.chart);
+    const genreChanged = selectors.genreSelect.value !== state.genre;
+    const chartChanged = selectors.chartSelect.value !== state.chart;
+    state.genre = selectors.genreSelect.value;
+    state.chart = selectors.chartSelect.value;
+    activateTab(view.tab);
+    setSelectValue(selectors.countrySelect, view.country, VIEW_DEFAULTS.country);
+    const country = selectors.countrySelect.value || null;
+    if (country !== state.activeCountry || ((genreChanged || chartChanged) && country)) {
+      await selectCountry(country);
+    } else {
+      await loadActiveTab();
+    }
+  });
+}
+
+function presetView(preset) {
+  return parseView(
+    new URLSearchParams(
+      Object.entries(preset.view).filter(([, value]) => value !== null && value !== undefined)
+    )
+  );
+}
+
+function buildPresetOptions() {
+  const selected = selectors.presetSelect.value;
+  selectors.presetSelect.querySelectorAll('option:not([value=""])').forEach((option) => {
+    option.remove();
+  });
+  state.presets.forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    selectors.presetSelect.append(option);
+  });
+  setSelectValue(selectors.presetSelect, selected, '');
+}
+
+async function loadPresets() {
+  const { presets } = await fetchJson('/api/presets').catch(() => ({ presets: [] }));
+  state.presets = presets;
+  buildPresetOptions();
+}
+
+async function openSearchChart(store, chart) {
+  await withLoading(async () => {
+    if (CHART_LABELS[chart.list]) {
+      state.chart = chart.list;
+      setSelectValue(selectors.chartSelect, chart.list, VIEW_DEFAULTS.chart);
+      state.dataCache.delete(chart.country);
+    }
+    activateTab(`${store}-${CHART_LABELS[chart.list] ? 'charts' : chart.list}`);
+    setSelectValue(selectors.countrySelect, chart.country, VIEW_DEFAULTS.country);
+    await selectCountry(chart.country);
+  });
+  pushView();
+}
+
+function renderSearchResults(report) {
+  selectors.searchResults.innerHTML = '';
+  selectors.searchStatus.textContent = report
+    ? `${report.total} ${report.total === 1 ? 'match' : 'matches'} across ${report.indexed} apps`
+    : '';
+  const stores = state.summary?.meta?.stores ?? [];
+  (report?.results ?? []).forEach((result) => {
+    const entry = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = result.name ?? result.id;
+    const details = document.createElement('small');
+    details.textContent = [
+      stores.find((store) => store.id === result.store)?.label ?? result.store,
+      result.developer,
+      result.genres.join(', '),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    const charts = document.createElement('div');
+    charts.className = 'search-charts';
+    result.charts.forEach((chart) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tab';
+      const label = CHART_LABELS[chart.list] ?? LIST_LABELS[chart.list];
+      button.textContent = `${chart.country} · ${label} #${chart.rank}`;
+      button.addEventListener('click', () => openSearchChart(result.store, chart));
+      charts.append(button);
+    });
+    entry.append(name, details, charts);
+    selectors.searchResults.append(entry);
+  });
+}
+
+async function runSearch(query) {
+  const text = query.trim();
+  if (!text) {
+    renderSearchResults(null);
+    return;
+  }
+  try {
+    const report = await fetchJson(`/api/search?${new URLSearchParams({ q: text })}`);
+    if (selectors.searchInput.value.trim() === text) {
+      renderSearchResults(report);
+    }
+  } catch (error) {
+    selectors.searchStatus.textContent = `Search failed: ${error.message}`;
+  }
+}
+
+function showControlError(message) {
+  selectors.content.prepend(renderMessage(message, 'error'));
+}
+
 selectors.countrySelect.addEventListener('change', async (event) => {
+  await withLoading(() => selectCountry(event.target.value));
+  pushView();
+});
+
+selectors.genreSelect.addEventListener('change', async (event) => {
   await withLoading(async () => {
-    const nextCountry = event.target.value;
-    state.activeCountry = nextCountry || null;
-    if (!state.activeCountry) {
-      updateLastUpdated();
-      return;
+    state.genre = event.target.value;
+    if (state.activeCountry && state.activeCountry !== WORLDWIDE) {
+      state.dataCache.delete(state.activeCountry);
+      await loadCountryData(state.activeCountry);
     }
-    state.dataCache.delete(state.activeCountry);
-    await loadCountryData(state.activeCountry);
-    updateLastUpdated();
   });
+  pushView();
 });
 
-selectors.timeRange.addEventListener('change', () => {
-  withLoading(async () => {}, 150);
+selectors.chartSelect.addEventListener('change', async (event) => {
+  await withLoading(async () => {
+    state.chart = event.target.value;
+    if (state.activeCountry && state.activeCountry !== WORLDWIDE) {
+      state.dataCache.delete(state.activeCountry);
+      await loadCountryData(state.activeCountry);
+    }
+  });
+  pushView();
 });
-selectors.priceFilter.addEventListener('change', () => {
-  withLoading(async () => {}, 150);
+
+[
+  selectors.timeRange,
+  selectors.priceFilter,
+  selectors.ratingFilter,
+  selectors.ratingCountFilter,
+  selectors.sortOrder,
+].forEach((select) => {
+  select.addEventListener('change', () => {
+    pushView();
+    withLoading(async () => {}, 150);
+  });
+});
+
+selectors.presetSelect.addEventListener('change', async (event) => {
+  const preset = state.presets.find((entry) => entry.id === event.target.value);
+  if (!preset) {
+    return;
+  }
+  await applyView(presetView(preset));
+  pushView();
+});
+
+selectors.savePreset.addEventListener('click', async () => {
+  const name = window.prompt('Preset name');
+  if (!name) {
+    return;
+  }
+  const view = currentView();
+  try {
+    const preset = await sendJson('/api/presets', 'POST', {
+      name,
+      view: { ...view, rating: Number(view.rating), ratings: Number(view.ratings) },
+    });
+    await loadPresets();
+    selectors.presetSelect.value = preset.id;
+  } catch (error) {
+    showControlError(`Saving the preset failed: ${error.message}`);
+  }
+});
+
+selectors.deletePreset.addEventListener('click', async () => {
+  const preset = state.presets.find((entry) => entry.id === selectors.presetSelect.value);
+  if (!preset || !window.confirm(`Delete the preset "${preset.name}" for everyone?`)) {
+    return;
+  }
+  try {
+    await sendJson(`/api/presets/${encodeURIComponent(preset.id)}`, 'DELETE');
+    selectors.presetSelect.value = '';
+    await loadPresets();
+  } catch (error) {
+    showControlError(`Deleting the preset failed: ${error.message}`);
+  }
+});
+
+window.addEventListener('popstate', () => {
+  applyView(parseView(window.location.search));
 });
 
 selectors.tabs.addEventListener('click', (event) => {
@@ -293,19 +1277,54 @@ selectors.tabs.addEventListener('click', (event) => {
   selectors.tabs.querySelectorAll('.tab').forEach((tab) => tab.classList.remove('active'));
   button.classList.add('active');
   state.activeTab = button.dataset.tab;
-  withLoading(async () => {}, 150);
+  pushView();
+  withLoading(loadActiveTab, 150);
 });
 
 selectors.refreshButton?.addEventListener('click', refreshActiveCountry);
 
-loadSummary().catch((error) => {
-  selectors.content.innerHTML = '';
-  const message = renderMessage(`Failed to load summary: ${error.message}`, 'error');
-  selectors.content.append(message);
+selectors.downloadExport?.addEventListener('click', downloadExport);
+
+selectors.searchForm?.addEventListener('submit', (event) => {
+  event.preventDefault();
+  clearTimeout(state.searchTimer);
+  runSearch(selectors.searchInput.value);
+});
+
+selectors.searchInput?.addEventListener('input', () => {
+  clearTimeout(state.searchTimer);
+  state.searchTimer = setTimeout(() => runSearch(selectors.searchInput.value), SEARCH_DELAY_MS);
+});
+
+selectors.alertsPanel?.addEventListener('toggle', () => {
+  if (selectors.alertsPanel.open) {
+    loadAlertRules();
+  }
 });
 
+selectors.alertForm?.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  selectors.alertStatus.textContent = '';
+  try {
+    await sendJson('/api/alerts/rules', 'POST', readAlertForm(event.target));
+    event.target.reset();
+    selectors.alertStatus.textContent = 'Rule added';
+  } catch (error) {
+    selectors.alertStatus.textContent = error.message;
+  }
+  await loadAlertRules();
+});
+
+Promise.all([loadGenres(), loadPresets(), loadSummary()])
+  .then(() => applyView(parseView(window.location.search)))
+  .catch((error) => {
+    selectors.content.innerHTML = '';
+    const message = renderMessage(`Failed to load summary: ${error.message}`, 'error');
+    selectors.content.append(message);
+  });
+
 setInterval(async () => {
-  if (!state.activeCountry) {
+  if (!state.activeCountry || (state.streamConnected && !state.genre)) {
     return;
   }
   try {
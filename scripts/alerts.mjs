@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import path from 'path';
+import { PAYLOAD_LISTS } from './charts.mjs';
+import { developerId } from './developers.mjs';
+import { DATA_DIR } from './paths.mjs';
+import { invalid, loadJson, saveJson } from './util.mjs';
+import {
+  ALLOW_PRIVATE_TARGETS,
+  FORMATS,
+  deliverWebhook,
+  isPrivateTarget,
+  redactUrl,
+} from './webhooks.mjs';
+
+const RULES_PATH = path.join(DATA_DIR, 'alerts', 'rules.json');
+
+export const EVENT_TYPES = ['entered', 'dropped', 'updated', 'price', 'became-free'];
+
+export async function loadRules() {
+  const data = await loadJson(RULES_PATH, null);
+  return data?.rules ?? [];
+}
+
+export async function saveRules(rules) {
+  await saveJson(RULES_PATH, { rules });
+  return rules;
+}
+
+function optionalString(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return String(value).trim() || null;
+}
+
+export function validateRule(
+  input,
+  { stores = [], existing = null, allowPrivate = ALLOW_PRIVATE_TARGETS } = {}
+) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid('Rule must be a JSON object');
+  }
+  const name = optionalString(input.name);
+  if (!name) {
+    throw invalid('Rule name is required');
+  }
+  if (!EVENT_TYPES.includes(input.event)) {
+    throw invalid(`Rule event must be one of ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const match = input.match ?? {};
+  const store = optionalString(match.store);
+  if (store && !stores.includes(store)) {
+    throw invalid(`Unknown store "${store}"`);
+  }
+  const list = optionalString(match.list);
+  if (list && !PAYLOAD_LISTS.includes(list)) {
+    throw invalid(`Rule list must be one of ${PAYLOAD_LISTS.join(', ')}`);
+  }
+  const topN = match.topN === undefined || match.topN === null ? null : Number(match.topN);
+  if (topN !== null && (!Number.isInteger(topN) || topN < 1)) {
+    throw invalid('Rule topN must be a positive integer');
+  }
+  const countries = [match.countries ?? []]
+    .flat()
+    .map((code) => String(code).trim().toUpperCase())
+    .filter(Boolean);
+
+  const webhook = input.webhook ?? {};
+  const kept = existing && webhook.url === redactUrl(existing.webhook.url);
+  let url;
+  try {
+    url = new URL(kept ? existing.webhook.url : webhook.url);
+  } catch (error) {
+    throw invalid('Webhook url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw invalid('Webhook url must be an absolute http(s) URL');
+  }
+  if (!allowPrivate && isPrivateTarget(url)) {
+    throw invalid('Webhook url must not target a private or loopback address');
+  }
+  const format = webhook.format ?? 'json';
+  if (!FORMATS.includes(format)) {
+    throw invalid(`Webhook format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id ?? crypto.randomUUID(),
+    name,
+    event: input.event,
+    enabled: input.enabled ?? true,
+    match: {
+      store,
+      countries,
+      list,
+      developer: match.developer ? developerId(match.developer) : null,
+      app: optionalString(match.app),
+      topN,
+    },
+    webhook: {
+      url: url.toString(),
+      format,
+      secret: webhook.secret === undefined ? existing?.webhook.secret ?? null : webhook.secret,
+    },
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+}
+
+export function publicRule({ webhook, ...rule }) {
+  return {
+    ...rule,
+    webhook: {
+      url: redactUrl(webhook.url),
+      format: webhook.format,
+      hasSecret: Boolean(webhook.secret),
+    },
+  };
+}
+
+function matchesEventType(rule, event) {
+  const { topN } = rule.match;
+  if (rule.event === 'entered') {
+    if (!topN) {
+      return event.type === 'entered';
+    }
+    return (
+      (event.type === 'entered' && event.rank <= topN) ||
+      (event.type === 'moved' && event.previousRank > topN && event.rank <= topN)
+    );
+  }
+  if (rule.event === 'dropped') {
+    if (!topN) {
+      return event.type === 'dropped';
+    }
+    return (
+      (event.type === 'dropped' && event.previousRank <= topN) ||
+      (event.type === 'moved' && event.previousRank <= topN && event.rank > topN)
+    );
+  }
+  if (rule.event === 'became-free') {
+    return event.type === 'price' && event.isFree === true && event.wasFree === false;
+  }
+  return event.type === rule.event;
+}
+
+export function matchRule(rule, event) {
+  const { store, countries, list, developer, app } = rule.match;
+  if (!rule.enabled) {
+    return false;
+  }
+  if (store && event.store !== store) {
+    return false;
+  }
+  if (countries.length > 0 && !countries.includes(event.country)) {
+    return false;
+  }
+  if (list && event.list && event.list !== list) {
+    return false;
+  }
+  if (developer && event.developerId !== developer) {
+    return false;
+  }
+  if (app && String(event.id) !== app) {
+    return false;
+  }
+  return matchesEventType(rule, event);
+}
+
+export async function dispatchAlerts(events, { rules, deliver = deliverWebhook } = {}) {
+  if (events.length === 0) {
+    return [];
+  }
+  const deliveries = (rules ?? [])
+    .map((rule) => [rule, events.filter((event) => matchRule(rule, event))])
+    .filter(([, matched]) => matched.length > 0)
+    .map(([rule, matched]) => deliver(rule, matched));
+  return Promise.all(deliveries);
+}
+
+export function sampleEvent(rule) {
+  return {
+    type: rule.event === 'became-free' ? 'price' : rule.event,
+    store: rule.match.store ?? 'apple',
+    country: rule.match.countries[0] ?? 'US',
+    list: rule.match.list ?? 'new',
+    id: rule.match.app ?? 'sample',
+    name: 'Sample game',
+    developer: rule.match.developer ?? 'Sample Studio',
+    developerId: rule.match.developer ?? 'sample-studio',
+    rank: 1,
+    test: true,
+    at: new Date().toISOString(),
+  };
+}
@@ -1,91 +1,103 @@
-import path from 'path';
-import { fileURLToPath } from 'url';
-import {
-  createLimiter,
-  fetchJson,
-  isCacheFresh,
-  loadJson,
-  safeParseDate,
-  saveJson,
-  updateCache,
-} from './util.mjs';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ITUNES_CACHE_PATH = path.join(__dirname, '..', 'cache', 'itunes_cache.json');
-const ITUNES_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+import { attachArtworkHashes } from './artwork.mjs';
+import { CHARTS, deriveNewList, isMissingChart } from './charts.mjs';
+import { createErrorRecord, mergeErrors } from './errors.mjs';
+import { itemMatchesGenre } from './genres.mjs';
+import { createLookupCache } from './itunes-cache.mjs';
+import { createLookupBatcher } from './lookups.mjs';
+import { requestJson } from './transport.mjs';
+import { safeParseDate, safeParseNumber } from './util.mjs';
+import { detectUpdates } from './updates.mjs';
+
+const ITUNES_TTL_MS = Number.parseInt(process.env.ITUNES_TTL_MS ?? String(1000 * 60 * 60 * 24), 10);
 const RSS_BASE = 'https://rss.applemarketingtools.com/api/v2';
+const GENRE_RSS_BASE = 'https://itunes.apple.com';
+const LOOKUP_BASE = 'https://itunes.apple.com/lookup';
+const LOOKUP_BATCH_SIZE = Number.parseInt(process.env.ITUNES_BATCH_SIZE ?? '100', 10);
+const LOOKUP_BATCH_WAIT_MS = Number.parseInt(process.env.ITUNES_BATCH_WAIT_MS ?? '25', 10);
 const RSS_LIMIT = 100;
 const TARGET_SIZE = 50;
-const RETRY_DELAYS = [300, 800, 1500];
+const SCREENSHOT_LIMIT = 5;
 
 const feeds = {
-  new: ['top-free', 'top-grossing', 'top-paid'],
-  updated: ['top-grossing', 'top-free', 'top-paid'],
+  'top-free': 'top-free',
+  'top-paid': 'top-paid',
+  'top-grossing': 'top-grossing',
 };
 
-const limiter = createLimiter(6);
+const genreFeeds = {
+  'top-free': 'topfreeapplications',
+  'top-paid': 'toppaidapplications',
+  'top-grossing': 'topgrossingapplications',
+};
+
+const lookupCache = createLookupCache({ ttlMs: ITUNES_TTL_MS });
 
-async function sleep(ms) {
-  await new Promise((resolve) => setTimeout(resolve, ms));
+function fromGenreEntry(entry) {
+  return {
+    id: entry.id?.attributes?.['im:id'],
+    name: entry['im:name']?.label,
+    artistName: entry['im:artist']?.label,
+    url: entry.link?.attributes?.href ?? entry.id?.label,
+    artworkUrl100: entry['im:image']?.at(-1)?.label,
+    releaseDate: entry['im:releaseDate']?.label,
+  };
 }
 
-async function fetchWithRetry(url) {
-  let lastError;
-  for (let i = 0; i <= RETRY_DELAYS.length; i += 1) {
-    try {
-      return await fetchJson(url);
-    } catch (error) {
-      lastError = error;
-      if (i < RETRY_DELAYS.length) {
-        await sleep(RETRY_DELAYS[i]);
-      }
-    }
+function feedUrl(country, feedName, genre) {
+  if (genre) {
+    const feed = `${feedName}/limit=${RSS_LIMIT}/genre=${genre.apple}`;
+    return `${GENRE_RSS_BASE}/${country}/rss/${feed}/json`;
   }
-  throw lastError;
+  return `${RSS_BASE}/${country}/apps/${feedName}/${RSS_LIMIT}/apps.json`;
 }
 
-async function fetchRssFeed(country, feedNames) {
-  let lastError;
-  for (const feedName of feedNames) {
-    const url = `${RSS_BASE}/${country}/apps/${feedName}/${RSS_LIMIT}/apps.json`;
-    try {
-      const data = await fetchWithRetry(url);
-      return data.feed?.results ?? [];
-    } catch (error) {
-      lastError = error;
-      if (error.message?.includes('(404)')) {
-        continue;
-      }
-      continue;
+async function fetchRssFeed(country, chart, errors, genre = null) {
+  const url = feedUrl(country, (genre ? genreFeeds : feeds)[chart], genre);
+  try {
+    const data = await requestJson(url);
+    if (genre) {
+      return [data.feed?.entry ?? []].flat().map(fromGenreEntry);
+    }
+    return data.feed?.results ?? [];
+  } catch (error) {
+    if (isMissingChart(error)) {
+      return null;
     }
+    console.warn(`Apple ${chart} RSS fetch failed for ${country}`, error.message);
+    errors.push(createErrorRecord(error, { store: 'apple', stage: 'rss', url }));
+    return [];
   }
-  console.warn(`Apple RSS fetch failed for ${country}`, lastError?.message ?? lastError);
-  return [];
 }
 
-async function loadItunesCache() {
-  return loadJson(ITUNES_CACHE_PATH, {});
+function lookupUrl(ids, country) {
+  return `${LOOKUP_BASE}?id=${ids.join(',')}&country=${country}`;
 }
 
-async function saveItunesCache(cache) {
-  await saveJson(ITUNES_CACHE_PATH, cache);
+async function fetchLookupBatch(ids, country) {
+  const url = lookupUrl(ids, country);
+  try {
+    const data = await requestJson(url);
+    return new Map((data.results ?? []).map((result) => [String(result.trackId), result]));
+  } catch (error) {
+    error.url ??= url;
+    throw error;
+  }
 }
 
-async function lookupItunes(cache, id, country) {
-  const cached = cache[id];
-  if (isCacheFresh(cached, ITUNES_TTL_MS)) {
-    return cached.data ?? null;
-  }
+const lookupBatcher = createLookupBatcher({
+  fetchBatch: fetchLookupBatch,
+  size: LOOKUP_BATCH_SIZE,
+  waitMs: LOOKUP_BATCH_WAIT_MS,
+  concurrency: 6,
+});
 
-  const url = `https://itunes.apple.com/lookup?id=${id}&country=${country}`;
-  const data = await fetchJson(url);
-  const result = data.results?.[0] ?? null;
-  updateCache(cache, id, { data: result });
-  return result;
+export function getLookupMetrics() {
+  return lookupBatcher.metrics();
 }
 
 function formatItem(result, itunesData, country) {
-  const releaseDate = safeParseDate(itunesData?.releaseDate || result.releaseDate);
+  const releasedAt = safeParseDate(itunesData?.releaseDate || result.releaseDate);
+  const updatedAt = safeParseDate(itunesData?.currentVersionReleaseDate);
   const genres = itunesData?.genres ?? [];
   return {
     id: result.id,
@@ -94,65 +106,128 @@ function formatItem(result, itunesData, country) {
     url: result.url,
     artwork: result.artworkUrl100,
     price: itunesData?.formattedPrice ?? 'Free',
+    priceAmount: typeof itunesData?.price === 'number' ? itunesData.price : null,
+    currency: itunesData?.currency ?? null,
     isFree: itunesData?.price === 0 || itunesData?.price === undefined,
-    releaseDate: releaseDate ? releaseDate.toISOString() : null,
+    offersIAP: null,
+    iapRange: null,
+    rating: safeParseNumber(itunesData?.averageUserRating),
+    ratingCount: safeParseNumber(itunesData?.userRatingCount),
+    reviewCount: null,
+    contentRating: itunesData?.contentAdvisoryRating ?? null,
+    sizeBytes: safeParseNumber(itunesData?.fileSizeBytes),
+    minOsVersion: itunesData?.minimumOsVersion ?? null,
+    languages: itunesData?.languageCodesISO2A ?? null,
+    screenshots: (itunesData?.screenshotUrls ?? []).slice(0, SCREENSHOT_LIMIT),
+    releasedAt: releasedAt ? releasedAt.toISOString() : null,
+    updatedAt: updatedAt ? updatedAt.toISOString() : null,
+    version: itunesData?.version ?? null,
+    releaseNotes: itunesData?.releaseNotes ?? null,
     genres,
     country,
   };
 }
 
-export async function fetchAppleData(country) {
-  const cache = await loadItunesCache();
+function cacheErrorRecord(error) {
+  return createErrorRecord(error, { store: 'apple', stage: 'itunes-cache' });
+}
+
+export async function fetchAppleData(country, { genre = null } = {}) {
+  const errors = [];
+  const onCorrupt = (error) => {
+    errors.push(cacheErrorRecord(new Error(`Quarantined corrupt iTunes cache: ${error.message}`)));
+  };
 
   const feedEntries = await Promise.all(
-    Object.entries(feeds).map(async ([key, feedName]) => {
-      const results = await fetchRssFeed(country, feedName);
-      return [key, results];
-    })
+    CHARTS.map(async (chart) => [chart, await fetchRssFeed(country, chart, errors, genre)])
   );
 
-  const entriesByType = Object.fromEntries(feedEntries);
-  const enriched = {};
+  const entriesByChart = Object.fromEntries(
+    feedEntries.filter(([, entries]) => entries !== null)
+  );
+  const unavailableCharts = feedEntries
+    .filter(([, entries]) => entries === null)
+    .map(([chart]) => chart);
+  const charts = {};
+  const observed = new Map();
+  const failures = new Set();
+  const fetched = new Map();
+  const ids = new Set(
+    Object.values(entriesByChart)
+      .flat()
+      .map((entry) => entry.id)
+      .filter(Boolean)
+  );
+  const cached = await lookupCache.get([...ids], { country, onCorrupt }).catch((error) => {
+    errors.push(cacheErrorRecord(error));
+    return new Map();
+  });
+  const lookup = async (id) => {
+    if (cached.has(id)) {
+      return cached.get(id);
+    }
+    const result = await lookupBatcher.lookup(id, country);
+    fetched.set(id, result);
+    return result;
+  };
+  const lookups = new Map(
+    [...ids].map((id) => [
+      id,
+      lookup(id).catch((error) => {
+        if (!failures.has(error)) {
+          failures.add(error);
+          errors.push(
+            createErrorRecord(error, {
+              store: 'apple',
+              stage: 'itunes-lookup',
+              url: error.url ?? lookupUrl([id], country),
+            })
+          );
+        }
+        return null;
+      }),
+    ])
+  );
 
-  for (const [type, entries] of Object.entries(entriesByType)) {
+  for (const [chart, entries] of Object.entries(entriesByChart)) {
     const items = await Promise.all(
-      entries.map((entry) =>
-        limiter(async () => {
-          try {
-            const itunesData = await lookupItunes(cache, entry.id, country);
-            if (!itunesData) {
-              return null;
-            }
-            const genres = itunesData.genres ?? [];
-            if (!genres.includes('Games')) {
-              return null;
-            }
-            return formatItem(entry, itunesData, country);
-          } catch (error) {
-            return null;
-          }
-        })
-      )
+      entries.map(async (entry, index) => {
+        const itunesData = await lookups.get(entry.id);
+        if (!itunesData) {
+          return null;
+        }
+        const genres = itunesData.genres ?? [];
+        if (!genres.includes('Games')) {
+          return null;
+        }
+        const item = { ...formatItem(entry, itunesData, country), chart, chartRank: index + 1 };
+        return !genre || itemMatchesGenre(item, genre) ? item : null;
+      })
     );
-    const normalized = items.filter(Boolean);
-    if (type === 'new') {
-      normalized.sort((a, b) => {
-        const aDate = a.releaseDate ? new Date(a.releaseDate).getTime() : 0;
-        const bDate = b.releaseDate ? new Date(b.releaseDate).getTime() : 0;
-        return bDate - aDate;
-      });
-    }
-    enriched[type] = normalized.slice(0, TARGET_SIZE);
+    charts[chart] = await attachArtworkHashes(items.filter(Boolean));
+    charts[chart].forEach((item) => {
+      if (!observed.has(item.id)) {
+        observed.set(item.id, item);
+      }
+    });
   }
 
-  await saveItunesCache(cache);
+  await lookupCache.set(fetched, { country, onCorrupt }).catch((error) => {
+    errors.push(cacheErrorRecord(error));
+  });
+  const updated = await detectUpdates('apple', country, [...observed.values()], {
+    genre: genre?.id,
+  });
 
   return {
     country,
     store: 'apple',
+    ...(genre ? { genre: genre.id } : {}),
     updatedAt: new Date().toISOString(),
-    new: enriched.new ?? [],
-    updated: enriched.updated ?? [],
-    errors: [],
+    new: deriveNewList(charts, { limit: TARGET_SIZE }),
+    updated,
+    charts,
+    unavailableCharts,
+    errors: mergeErrors([], errors),
   };
 }
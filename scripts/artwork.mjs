@@ -0,0 +1,214 @@
+import path from 'path';
+import zlib from 'zlib';
+import { CACHE_DIR } from './paths.mjs';
+import { request } from './transport.mjs';
+import { createLimiter, fetchBuffer, loadJson, updateJson } from './util.mjs';
+
+const HASH_CACHE_PATH = path.join(CACHE_DIR, 'artwork.json');
+const RENDITION_SIZE = 32;
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const limiter = createLimiter(4);
+const hashes = new Map();
+let stored = null;
+let pending = {};
+
+export function artworkRendition(url) {
+  if (!url) {
+    return null;
+  }
+  const size = `${RENDITION_SIZE}x${RENDITION_SIZE}`;
+  if (/^https:\/\/[^/]+\.mzstatic\.com\//.test(url)) {
+    return url.replace(/\/\d+x\d+[a-z]*\.(png|jpe?g|webp)$/i, `/${size}bb.png`);
+  }
+  if (/^https:\/\/[^/]+\.googleusercontent\.com\//.test(url)) {
+    return `${url.split('=')[0]}=w${RENDITION_SIZE}-h${RENDITION_SIZE}`;
+  }
+  return url;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+function readChunks(buffer) {
+  const png = { header: null, palette: null, transparency: null, data: [] };
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+    if (type === 'IHDR') {
+      png.header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      png.palette = data;
+    } else if (type === 'tRNS') {
+      png.transparency = data;
+    } else if (type === 'IDAT') {
+      png.data.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  return png;
+}
+
+function unfilter(raw, width, height, channels) {
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    if (filter > 4) {
+      throw new Error(`Unknown PNG filter ${filter}`);
+    }
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      pixels[row + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+function luminance(pixels, index, colorType, { palette, transparency }) {
+  let red;
+  let green;
+  let blue;
+  let alpha = 255;
+  if (colorType === 3) {
+    const entry = pixels[index];
+    [red, green, blue] = palette.subarray(entry * 3, entry * 3 + 3);
+    alpha = transparency?.[entry] ?? 255;
+  } else if (colorType === 0 || colorType === 4) {
+    red = green = blue = pixels[index];
+    alpha = colorType === 4 ? pixels[index + 1] : 255;
+  } else {
+    [red, green, blue] = pixels.subarray(index, index + 3);
+    alpha = colorType === 6 ? pixels[index + 3] : 255;
+  }
+  const gray = 0.299 * red + 0.587 * green + 0.114 * blue;
+  return (gray * alpha + 255 * (255 - alpha)) / 255;
+}
+
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw new Error('Artwork is not a PNG');
+  }
+  const png = readChunks(buffer);
+  const channels = CHANNELS[png.header?.colorType];
+  if (!channels || png.header.depth !== 8 || png.header.interlace !== 0) {
+    throw new Error('Unsupported PNG format');
+  }
+  const { width, height, colorType } = png.header;
+  const pixels = unfilter(zlib.inflateSync(Buffer.concat(png.data)), width, height, channels);
+  const gray = new Float64Array(width * height);
+  for (let index = 0; index < gray.length; index += 1) {
+    gray[index] = luminance(pixels, index * channels, colorType, png);
+  }
+  return { width, height, gray };
+}
+
+function cellAverage({ width, height, gray }, column, row) {
+  const x0 = Math.floor((column * width) / HASH_WIDTH);
+  const x1 = Math.max(x0 + 1, Math.floor(((column + 1) * width) / HASH_WIDTH));
+  const y0 = Math.floor((row * height) / HASH_HEIGHT);
+  const y1 = Math.max(y0 + 1, Math.floor(((row + 1) * height) / HASH_HEIGHT));
+  let total = 0;
+  for (let y = y0; y < y1; y += 1) {
+    for (let x = x0; x < x1; x += 1) {
+      total += gray[y * width + x];
+    }
+  }
+  return total / ((x1 - x0) * (y1 - y0));
+}
+
+export function differenceHash(image) {
+  let hash = '';
+  for (let row = 0; row < HASH_HEIGHT; row += 1) {
+    const cells = Array.from({ length: HASH_WIDTH }, (_, column) =>
+      cellAverage(image, column, row)
+    );
+    let bits = 0;
+    for (let column = 0; column < HASH_WIDTH - 1; column += 1) {
+      bits = (bits << 1) | (cells[column] < cells[column + 1] ? 1 : 0);
+    }
+    hash += bits.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+function loadStored() {
+  stored ??= loadJson(HASH_CACHE_PATH, {}, { quarantine: true }).catch((error) => {
+    console.warn('Skipping unreadable artwork hash cache', error.message);
+    return {};
+  });
+  return stored;
+}
+
+async function computeHash(url) {
+  const known = (await loadStored())[url];
+  if (known) {
+    return known;
+  }
+  try {
+    const hash = await request(url, async () => differenceHash(decodePng(await fetchBuffer(url))));
+    pending[url] = hash;
+    return hash;
+  } catch (error) {
+    console.warn(`Artwork hash failed for ${url}`, error.message);
+    return null;
+  }
+}
+
+export function hashArtwork(url) {
+  const rendition = artworkRendition(url);
+  if (!rendition) {
+    return Promise.resolve(null);
+  }
+  if (!hashes.has(rendition)) {
+    hashes.set(rendition, limiter(() => computeHash(rendition)));
+  }
+  return hashes.get(rendition);
+}
+
+async function flushHashes() {
+  const entries = pending;
+  pending = {};
+  if (Object.keys(entries).length === 0) {
+    return;
+  }
+  await updateJson(HASH_CACHE_PATH, {}, (current) => ({ ...current, ...entries })).catch(
+    (error) => {
+      console.warn('Artwork hash cache write failed', error.message);
+    }
+  );
+}
+
+export async function attachArtworkHashes(items) {
+  const hashed = await Promise.all(
+    items.map(async (item) => ({ ...item, artworkHash: await hashArtwork(item.artwork) }))
+  );
+  await flushHashes();
+  return hashed;
+}
@@ -1,19 +1,25 @@
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { fetchAppleData } from './apple.mjs';
-import { fetchGoogleData } from './google.mjs';
+import { dispatchAlerts, loadRules } from './alerts.mjs';
+import { getLookupMetrics } from './apple.mjs';
+import { createErrorRecord, mergeErrors } from './errors.mjs';
+import { detectChartEvents } from './events.mjs';
+import { GLOBAL_LIMIT, buildGlobal } from './global.mjs';
+import { recordSnapshot } from './history.mjs';
+import { DATA_DIR, ROOT } from './paths.mjs';
+import { recordPrices } from './prices.mjs';
+import { getUpstreamStates } from './ratelimit.mjs';
+import { updateSoftLaunches } from './softlaunch.mjs';
+import { emptyPayload, listStores, storesForCountry } from './stores.mjs';
+import { getTransportMode } from './transport.mjs';
+import { loadWatchlist, recordWatchEvents, selectWatchEvents } from './watchlist.mjs';
 import {
   createLimiter,
   loadJson,
   roundRobinSlice,
   saveJson,
+  updateJson,
 } from './util.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(ROOT, 'data');
-const APPLE_DIR = path.join(DATA_DIR, 'apple');
-const GOOGLE_DIR = path.join(DATA_DIR, 'google');
 const META_PATH = path.join(DATA_DIR, 'meta.json');
 
 function parseArgs(argv) {
@@ -40,7 +46,54 @@ async function loadCountryList() {
   return data.map((entry) => entry.code).filter(Boolean);
 }
 
+function storePath(store, country) {
+  return path.join(DATA_DIR, store, `${country}.json`);
+}
+
+function toSummaryEntry(data) {
+  if (!data) {
+    return null;
+  }
+  return {
+    updatedAt: data.updatedAt,
+    newCount: data.new?.length ?? 0,
+    updatedCount: data.updated?.length ?? 0,
+    errorCount: data.errors?.length ?? 0,
+  };
+}
+
+async function buildStore(store, country, { watchlist, rules, alerts, observed }) {
+  const filePath = storePath(store.id, country);
+  const previousData = await loadJson(filePath, null, { quarantine: true });
+
+  let data;
+  try {
+    data = await recordSnapshot(store.id, country, await store.fetch(country, { previousData }));
+    data = await recordPrices(store.id, country, data).catch((error) => {
+      console.warn(`Price history update failed for ${store.id} ${country}`, error.message);
+      return data;
+    });
+    observed.push(data);
+  } catch (error) {
+    data = {
+      ...(previousData ?? emptyPayload(store.id, country)),
+      errors: [createErrorRecord(error, { store: store.id, preserved: Boolean(previousData) })],
+    };
+  }
+  data.errors = mergeErrors(previousData?.errors, data.errors, {
+    store: store.id,
+    fallbackAt: previousData?.updatedAt,
+  });
+
+  await saveJson(filePath, data);
+  const events = detectChartEvents(previousData, data, { store: store.id, country });
+  await recordWatchEvents(selectWatchEvents(watchlist, events));
+  alerts.push(dispatchAlerts(events, { rules }));
+  return data;
+}
+
 async function build() {
+  const startedAt = Date.now();
   const args = parseArgs(process.argv.slice(2));
   const meta = await loadJson(META_PATH, { incrementalCursor: 0 });
   const countries = await loadCountryList();
@@ -64,70 +117,37 @@ async function build() {
   }
 
   const limiter = createLimiter(4);
+  const watchlist = await loadWatchlist();
+  const rules = await loadRules();
+  const alerts = [];
+  const observed = [];
 
   const results = await Promise.all(
     targetCountries.map((country) =>
       limiter(async () => {
-        const applePath = path.join(APPLE_DIR, `${country}.json`);
-        const googlePath = path.join(GOOGLE_DIR, `${country}.json`);
-        const previousApple = await loadJson(applePath, null);
-        const previousGoogle = await loadJson(googlePath, null);
-
-        let appleData;
-        try {
-          appleData = await fetchAppleData(country);
-        } catch (error) {
-          appleData = previousApple ?? {
-            country,
-            store: 'apple',
-            updatedAt: new Date().toISOString(),
-            new: [],
-            updated: [],
-            errors: [],
-          };
-          appleData.errors = [
-            ...(appleData.errors ?? []),
-            { message: error.message, preserved: Boolean(previousApple) },
-          ];
-        }
-
-        const googleData = await fetchGoogleData(country, previousGoogle);
-
-        await saveJson(applePath, appleData);
-        await saveJson(googlePath, googleData);
-
-        return { country, appleData, googleData };
+        const stores = storesForCountry(country);
+        const payloads = await Promise.all(
+          stores.map((store) => buildStore(store, country, { watchlist, rules, alerts, observed }))
+        );
+        return { country, payloads };
       })
     )
   );
 
-  const summaryCountries = await Promise.all(
-    countries.map(async (country) => {
-      const applePath = path.join(APPLE_DIR, `${country}.json`);
-      const googlePath = path.join(GOOGLE_DIR, `${country}.json`);
-      const apple = await loadJson(applePath, null);
-      const google = await loadJson(googlePath, null);
-      return {
-        code: country,
-        apple: apple
-          ? {
-              updatedAt: apple.updatedAt,
-              newCount: apple.new?.length ?? 0,
-              updatedCount: apple.updated?.length ?? 0,
-              errorCount: apple.errors?.length ?? 0,
-            }
-          : null,
-        google: google
-          ? {
-              updatedAt: google.updatedAt,
-              newCount: google.new?.length ?? 0,
-              updatedCount: google.updated?.length ?? 0,
-              errorCount: google.errors?.length ?? 0,
-            }
-          : null,
-      };
-    })
+  const stores = listStores();
+  const payloads = await Promise.all(
+    countries.map((country) =>
+      Promise.all(
+        stores.map((store) => loadJson(storePath(store.id, country), null, { quarantine: true }))
+      )
+    )
   );
+  const summaryCountries = countries.map((country, index) => ({
+    code: country,
+    ...Object.fromEntries(
+      stores.map((store, storeIndex) => [store.id, toSummaryEntry(payloads[index][storeIndex])])
+    ),
+  }));
 
   await saveJson(
     path.join(DATA_DIR, 'global_summary.json'),
@@ -137,20 +157,62 @@ async function build() {
         runType: args.full ? 'full' : 'incremental',
         countriesProcessed: targetCountries,
         totalCountries: countries.length,
+        stores: stores.map((store) => store.id),
       },
       countries: summaryCountries,
     }
   );
 
-  await saveJson(META_PATH, {
+  const payloadsByStore = Object.fromEntries(
+    stores.map((store, storeIndex) => [store.id, payloads.map((entries) => entries[storeIndex])])
+  );
+  await saveJson(
+    path.join(DATA_DIR, 'global.json'),
+    buildGlobal(payloadsByStore, { limit: GLOBAL_LIMIT })
+  );
+  await Promise.all(
+    stores.map((store) =>
+      updateSoftLaunches(store.id, payloadsByStore[store.id].filter(Boolean), {
+        observed: observed.filter((data) => data.store === store.id),
+      }).catch((error) => {
+        console.warn(`Soft-launch update failed for ${store.id}`, error.message);
+      })
+    )
+  );
+
+  const { recent, ...lookups } = getLookupMetrics();
+  await updateJson(META_PATH, {}, (current) => ({
+    ...current,
     lastRunAt: new Date().toISOString(),
     runType: args.full ? 'full' : 'incremental',
-    incrementalCursor: args.full ? meta.incrementalCursor ?? 0 : nextCursor,
+    incrementalCursor: args.full ? current.incrementalCursor ?? 0 : nextCursor,
     incrementalSize: Number.isNaN(args.limit) ? 20 : args.limit,
     countriesProcessed: targetCountries,
-  });
-
-  console.log(`Processed ${results.length} countries.`);
+    durationMs: Date.now() - startedAt,
+    itunesLookups: lookups,
+    upstreams: getUpstreamStates(),
+  }));
+
+  const deliveries = (await Promise.all(alerts)).flat();
+  if (deliveries.length > 0) {
+    const failed = deliveries.filter((delivery) => !delivery.ok).length;
+    console.log(`Sent ${deliveries.length} alert webhooks (${failed} failed).`);
+  }
+  if (lookups.batches > 0) {
+    console.log(
+      `Looked up ${lookups.ids} iTunes ids in ${lookups.batches} batches ` +
+        `(${lookups.requestsSaved} requests saved, ${lookups.averageBatchMs} ms per batch).`
+    );
+  }
+  getUpstreamStates()
+    .filter((upstream) => upstream.state !== 'closed')
+    .forEach((upstream) => {
+      console.warn(
+        `Circuit ${upstream.state} for ${upstream.host} until ${upstream.retryAt}`,
+        upstream.lastError?.message
+      );
+    });
+  console.log(`Processed ${results.length} countries (${getTransportMode()} transport).`);
 }
 
 build().catch((error) => {
@@ -0,0 +1,97 @@
+import path from 'path';
+import { CACHE_DIR, DATA_DIR } from './paths.mjs';
+import { createLimiter, loadJson, saveJson } from './util.mjs';
+
+const BACKENDS = ['memory', 'file'];
+
+function splitKey(key) {
+  const [store, country, genre] = key.split(':');
+  return { store, country, genre };
+}
+
+export function createMemoryCache() {
+  const entries = new Map();
+
+  return {
+    backend: 'memory',
+    get: (key) => entries.get(key),
+    has: (key) => entries.has(key),
+    values: () => entries.values(),
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+    async warm() {
+      return 0;
+    },
+  };
+}
+
+function keyPath(dir, key) {
+  const { store, country, genre } = splitKey(key);
+  return genre
+    ? path.join(dir, store, genre, `${country}.json`)
+    : path.join(dir, store, `${country}.json`);
+}
+
+async function loadEntry(dir, key) {
+  return loadJson(keyPath(dir, key), null, { quarantine: true }).catch((error) => {
+    console.warn(`Skipping unreadable cache file for ${key}`, error.message);
+    return null;
+  });
+}
+
+function newest(first, second) {
+  if (!first || !second) {
+    return first ?? second;
+  }
+  return new Date(second.updatedAt).getTime() > new Date(first.updatedAt).getTime()
+    ? second
+    : first;
+}
+
+export function createFileCache({
+  dir = path.join(CACHE_DIR, 'payloads'),
+  snapshotDir = DATA_DIR,
+} = {}) {
+  const memory = createMemoryCache();
+  const limiter = createLimiter(16);
+
+  return {
+    ...memory,
+    backend: 'file',
+    async set(key, entry) {
+      await memory.set(key, entry);
+      await saveJson(keyPath(dir, key), entry.data);
+    },
+    async warm(keys) {
+      const loaded = await Promise.all(
+        keys.map((key) =>
+          limiter(async () => {
+            const data = newest(
+              await loadEntry(dir, key),
+              snapshotDir ? await loadEntry(snapshotDir, key) : null
+            );
+            if (!data) {
+              return false;
+            }
+            const updatedAt = new Date(data.updatedAt).getTime();
+            await memory.set(key, {
+              data,
+              fetchedAt: Number.isNaN(updatedAt) ? 0 : updatedAt,
+              source: 'disk',
+            });
+            return true;
+          })
+        )
+      );
+      return loaded.filter(Boolean).length;
+    },
+  };
+}
+
+export function createCache(backend = process.env.CACHE_BACKEND ?? 'file', options = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown cache backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+  return backend === 'file' ? createFileCache(options) : createMemoryCache();
+}
@@ -0,0 +1,75 @@
+import { DAY_MS, pool } from './util.mjs';
+
+const NEW_WINDOW_MS = Number.parseInt(process.env.NEW_WINDOW_DAYS ?? '30', 10) * DAY_MS;
+const NEW_LIMIT = 50;
+
+export const CHARTS = ['top-free', 'top-paid', 'top-grossing'];
+export const PAYLOAD_LISTS = ['new', 'updated', ...CHARTS];
+
+export function isChart(value) {
+  return CHARTS.includes(value);
+}
+
+export function isMissingChart(error) {
+  return error?.status === 404;
+}
+
+export function listItems(payload, list) {
+  return (isChart(list) ? payload?.charts?.[list] : payload?.[list]) ?? [];
+}
+
+export function hasList(payload, list) {
+  return !isChart(list) || Array.isArray(payload?.charts?.[list]);
+}
+
+export function withListItems(payload, list, items) {
+  if (isChart(list)) {
+    return { ...payload, charts: { ...payload.charts, [list]: items } };
+  }
+  return { ...payload, [list]: items };
+}
+
+export function itemRank(item, index) {
+  return item.chartRank ?? item.rank ?? index + 1;
+}
+
+export function payloadItems(payload) {
+  return pool(PAYLOAD_LISTS.map((list) => listItems(payload, list)));
+}
+
+function releaseTime(item) {
+  return item.releasedAt ? new Date(item.releasedAt).getTime() : Number.NaN;
+}
+
+function outranks(item, known) {
+  return (
+    item.chartRank < known.chartRank ||
+    (item.chartRank === known.chartRank && CHARTS.indexOf(item.chart) < CHARTS.indexOf(known.chart))
+  );
+}
+
+export function deriveNewList(
+  charts = {},
+  { since = Date.now() - NEW_WINDOW_MS, limit = NEW_LIMIT } = {}
+) {
+  const best = new Map();
+  CHARTS.forEach((chart) => {
+    (charts[chart] ?? []).forEach((item) => {
+      const known = best.get(item.id);
+      if (!known || outranks(item, known)) {
+        best.set(item.id, item);
+      }
+    });
+  });
+  return [...best.values()]
+    .filter((item) => releaseTime(item) >= since)
+    .sort((a, b) => releaseTime(b) - releaseTime(a) || a.chartRank - b.chartRank)
+    .slice(0, limit);
+}
+
+export function selectChart(payload, chart) {
+  if (!payload?.charts || !chart) {
+    return payload;
+  }
+  return { ...payload, charts: { [chart]: payload.charts[chart] ?? [] } };
+}
@@ -0,0 +1,104 @@
+import { PAYLOAD_LISTS, itemRank, listItems } from './charts.mjs';
+import { normalizeDeveloper } from './matching.mjs';
+
+export function developerId(name) {
+  return normalizeDeveloper(name).replace(/ /g, '-') || null;
+}
+
+function addApp(developer, payload, list, item, index) {
+  const key = `${payload.store}:${item.id}`;
+  const app = developer.apps.get(key) ?? {
+    store: payload.store,
+    id: item.id,
+    name: item.name,
+    url: item.url ?? null,
+    artwork: item.artwork ?? null,
+    releasedAt: item.releasedAt ?? null,
+    charts: [],
+  };
+  app.charts.push({ country: payload.country, list, rank: itemRank(item, index) });
+  developer.apps.set(key, app);
+  developer.names.set(item.developer, (developer.names.get(item.developer) ?? 0) + 1);
+  developer.stores.add(payload.store);
+  developer.countries.add(payload.country);
+}
+
+function mostCommon(counts) {
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+export function buildDeveloperIndex(payloads) {
+  const developers = new Map();
+
+  payloads.forEach((payload) => {
+    if (!payload?.store || !payload.country) {
+      return;
+    }
+    PAYLOAD_LISTS.forEach((list) => {
+      listItems(payload, list).forEach((item, index) => {
+        const id = developerId(item.developer);
+        if (!id) {
+          return;
+        }
+        const developer = developers.get(id) ?? {
+          id,
+          names: new Map(),
+          stores: new Set(),
+          countries: new Set(),
+          apps: new Map(),
+        };
+        addApp(developer, payload, list, item, index);
+        developers.set(id, developer);
+      });
+    });
+  });
+
+  return new Map(
+    [...developers].map(([id, developer]) => {
+      const apps = [...developer.apps.values()]
+        .map((app) => ({
+          ...app,
+          countryCount: new Set(app.charts.map((chart) => chart.country)).size,
+          bestRank: Math.min(...app.charts.map((chart) => chart.rank)),
+        }))
+        .sort((a, b) => b.countryCount - a.countryCount || a.bestRank - b.bestRank);
+      return [
+        id,
+        {
+          id,
+          name: mostCommon(developer.names),
+          stores: [...developer.stores].sort(),
+          countries: [...developer.countries].sort(),
+          appCount: apps.length,
+          apps,
+        },
+      ];
+    })
+  );
+}
+
+export function summarizeDeveloper({ apps, ...developer }) {
+  return {
+    ...developer,
+    countryCount: developer.countries.length,
+    apps: apps.map(({ store, id, name }) => ({ store, id, name })),
+  };
+}
+
+export function searchDevelopers(index, { query = null, store = null } = {}) {
+  const normalized = query ? developerId(query) : null;
+  return [...index.values()]
+    .filter((developer) => !store || developer.stores.includes(store))
+    .filter(
+      (developer) =>
+        !normalized ||
+        developer.id.includes(normalized) ||
+        developer.name?.toLowerCase().includes(query.toLowerCase())
+    )
+    .sort(
+      (a, b) =>
+        b.appCount - a.appCount ||
+        b.countries.length - a.countries.length ||
+        a.id.localeCompare(b.id)
+    );
+}
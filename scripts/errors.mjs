@@ -0,0 +1,71 @@
+import { DAY_MS, toTime } from './util.mjs';
+
+const ERROR_RETENTION_MS = Number.parseInt(process.env.ERROR_RETENTION_DAYS ?? '7', 10) * DAY_MS;
+const MAX_ERRORS = Number.parseInt(process.env.MAX_ERRORS ?? '25', 10);
+
+export function createErrorRecord(error, { store, stage, url = null, attempts = 1, preserved } = {}) {
+  const at = new Date().toISOString();
+  return {
+    store: store ?? null,
+    stage: stage ?? error?.stage ?? 'fetch',
+    message: error?.message ?? String(error),
+    url: url ?? error?.url ?? null,
+    status: error?.status ?? null,
+    attempts: error?.attempts ?? attempts,
+    count: 1,
+    firstAt: at,
+    lastAt: at,
+    ...(preserved === undefined ? {} : { preserved }),
+  };
+}
+
+function errorKey(record) {
+  const message = (record.message ?? '').replace(/https?:\/\/\S+/g, '<url>');
+  return [record.store, record.stage, record.status, message].join('|');
+}
+
+function normalizeRecord(record, { fallbackAt, store }) {
+  if (record.lastAt) {
+    return record;
+  }
+  return {
+    store: record.store ?? store ?? null,
+    stage: record.stage ?? 'fetch',
+    message: record.message ?? 'Unknown error',
+    url: record.url ?? null,
+    status: record.status ?? null,
+    attempts: record.attempts ?? 1,
+    count: record.count ?? 1,
+    firstAt: fallbackAt,
+    lastAt: fallbackAt,
+    ...(record.preserved === undefined ? {} : { preserved: record.preserved }),
+  };
+}
+
+export function mergeErrors(existing = [], incoming = [], options = {}) {
+  const { store = null, now = Date.now() } = options;
+  const fallbackAt = options.fallbackAt ?? new Date(now).toISOString();
+  const merged = new Map();
+
+  [...existing, ...incoming].forEach((entry) => {
+    const record = normalizeRecord(entry, { fallbackAt, store });
+    const key = errorKey(record);
+    const known = merged.get(key);
+    if (!known) {
+      merged.set(key, { ...record });
+      return;
+    }
+    const latest = toTime(record.lastAt) >= toTime(known.lastAt) ? record : known;
+    merged.set(key, {
+      ...latest,
+      count: known.count + record.count,
+      attempts: Math.max(known.attempts ?? 1, record.attempts ?? 1),
+      firstAt: toTime(record.firstAt) < toTime(known.firstAt) ? record.firstAt : known.firstAt,
+    });
+  });
+
+  return [...merged.values()]
+    .filter((record) => toTime(record.lastAt) >= now - ERROR_RETENTION_MS)
+    .sort((a, b) => toTime(b.lastAt) - toTime(a.lastAt))
+    .slice(0, MAX_ERRORS);
+}
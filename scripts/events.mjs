@@ -0,0 +1,92 @@
+import { PAYLOAD_LISTS, hasList, itemRank, listItems, payloadItems } from './charts.mjs';
+import { developerId } from './developers.mjs';
+
+function describeItem(item) {
+  return {
+    id: item.id,
+    name: item.name ?? null,
+    developer: item.developer ?? null,
+    developerId: developerId(item.developer),
+  };
+}
+
+export function detectChartEvents(previous, next, { store, country, at } = {}) {
+  if (!previous || !next || next.preservedAt) {
+    return [];
+  }
+  const base = { store, country, at: at ?? next.updatedAt ?? new Date().toISOString() };
+  const events = [];
+
+  PAYLOAD_LISTS.forEach((list) => {
+    if (!hasList(previous, list) || !hasList(next, list)) {
+      return;
+    }
+    const previousItems = listItems(previous, list);
+    const nextItems = listItems(next, list);
+    const before = new Map(previousItems.map((item, index) => [item.id, itemRank(item, index)]));
+    const after = new Map(nextItems.map((item, index) => [item.id, itemRank(item, index)]));
+    nextItems.forEach((item) => {
+      const rank = after.get(item.id);
+      const previousRank = before.get(item.id);
+      if (previousRank === undefined) {
+        events.push({ type: 'entered', ...base, list, ...describeItem(item), rank });
+      } else if (previousRank !== rank) {
+        events.push({ type: 'moved', ...base, list, ...describeItem(item), rank, previousRank });
+      }
+    });
+    previousItems.forEach((item) => {
+      if (!after.has(item.id)) {
+        events.push({
+          type: 'dropped',
+          ...base,
+          list,
+          ...describeItem(item),
+          previousRank: before.get(item.id),
+        });
+      }
+    });
+  });
+
+  const previousUpdates = new Map((previous.updated ?? []).map((item) => [item.id, item]));
+  (next.updated ?? []).forEach((item) => {
+    const known = previousUpdates.get(item.id);
+    if (known && known.version === item.version && known.updatedAt === item.updatedAt) {
+      return;
+    }
+    events.push({
+      type: 'updated',
+      ...base,
+      ...describeItem(item),
+      version: item.version ?? null,
+      previousVersion: item.previousVersion ?? null,
+      releaseNotes: item.releaseNotes ?? null,
+    });
+  });
+
+  const previousPool = payloadItems(previous);
+  payloadItems(next).forEach((item, id) => {
+    const known = previousPool.get(id);
+    if (
+      !known ||
+      (known.price === item.price &&
+        known.isFree === item.isFree &&
+        (known.priceAmount ?? null) === (item.priceAmount ?? null))
+    ) {
+      return;
+    }
+    events.push({
+      type: 'price',
+      ...base,
+      ...describeItem(item),
+      price: item.price ?? null,
+      previousPrice: known.price ?? null,
+      amount: item.priceAmount ?? null,
+      previousAmount: known.priceAmount ?? null,
+      currency: item.currency ?? null,
+      isFree: item.isFree ?? null,
+      wasFree: known.isFree ?? null,
+    });
+  });
+
+  return events;
+}
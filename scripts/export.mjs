@@ -0,0 +1,249 @@
+import { CHARTS, isChart, listItems } from './charts.mjs';
+import { DAY_MS } from './util.mjs';
+import { createZip } from './zip.mjs';
+
+const RANGE_MS = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+const PRICE_RECENT_MS = 7 * DAY_MS;
+const XLSX_CELL_LIMIT = 32767;
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const PACKAGE_NS = 'http://schemas.openxmlformats.org/package/2006';
+const PACKAGE_TYPE = 'application/vnd.openxmlformats-package';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const SHEET_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+const LEADING_COLUMNS = [
+  'store',
+  'country',
+  'list',
+  'rank',
+  'chart',
+  'chartRank',
+  'id',
+  'name',
+  'developer',
+  'price',
+  'priceAmount',
+  'currency',
+  'isFree',
+  'rating',
+  'ratingCount',
+  'genres',
+  'releasedAt',
+  'updatedAt',
+  'version',
+  'url',
+];
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'xlsx'];
+export const EXPORT_RANGES = ['all', ...Object.keys(RANGE_MS)];
+export const EXPORT_PRICES = ['all', 'free', 'paid', 'changed'];
+export const EXPORT_LISTS = ['new', 'updated'];
+export const EXPORT_TYPES = [...EXPORT_LISTS, ...CHARTS];
+
+function itemDate(item, list) {
+  if (list === 'updated') {
+    return item.updatedAt ?? item.detectedAt ?? null;
+  }
+  return item.releasedAt ?? item.releaseDate ?? null;
+}
+
+function matchesTime(item, list, time, now) {
+  if (!RANGE_MS[time]) {
+    return true;
+  }
+  const date = itemDate(item, list);
+  return Boolean(date) && now - new Date(date).getTime() <= RANGE_MS[time];
+}
+
+function matchesPrice(item, price, now) {
+  if (price === 'free') {
+    return Boolean(item.isFree);
+  }
+  if (price === 'paid') {
+    return !item.isFree;
+  }
+  if (price === 'changed') {
+    return (
+      Boolean(item.priceChange) && now - new Date(item.priceChange.at).getTime() <= PRICE_RECENT_MS
+    );
+  }
+  return true;
+}
+
+export function exportRows(
+  payloads,
+  { lists = EXPORT_LISTS, time = 'all', price = 'all', now = Date.now() } = {}
+) {
+  return payloads.filter(Boolean).flatMap((payload) =>
+    lists.flatMap((list) =>
+      listItems(payload, list)
+        .map((item, index) => ({
+          store: payload.store,
+          country: payload.country,
+          list,
+          ...item,
+          rank: (isChart(list) ? item.chartRank : item.rank) ?? index + 1,
+        }))
+        .filter((row) => matchesTime(row, list, time, now) && matchesPrice(row, price, now))
+    )
+  );
+}
+
+export function exportColumns(rows) {
+  const seen = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => seen.add(key)));
+  const leading = LEADING_COLUMNS.filter((key) => seen.has(key));
+  return [...leading, ...[...seen].filter((key) => !LEADING_COLUMNS.includes(key))];
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.every((entry) => entry === null || typeof entry !== 'object')
+      ? value.join('; ')
+      : JSON.stringify(value);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function csvField(value) {
+  const cell = cellValue(value);
+  if (cell === null) {
+    return '';
+  }
+  let text = String(cell);
+  if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns = exportColumns(rows)) {
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))].map(
+    (values) => values.map(csvField).join(',')
+  );
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+export function toJsonl(rows) {
+  return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    name = String.fromCharCode(65 + ((value - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xlsxCell(value, ref) {
+  const cell = cellValue(value);
+  if (cell === null) {
+    return '';
+  }
+  if (typeof cell === 'number' && Number.isFinite(cell)) {
+    return `<c r="${ref}"><v>${cell}</v></c>`;
+  }
+  if (typeof cell === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${cell ? 1 : 0}</v></c>`;
+  }
+  const text = escapeXml(String(cell).slice(0, XLSX_CELL_LIMIT));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function sheetXml(rows, columns) {
+  const sheetRows = [columns, ...rows.map((row) => columns.map((column) => row[column]))].map(
+    (values, rowIndex) => {
+      const cells = values
+        .map((value, columnIndex) => xlsxCell(value, `${columnName(columnIndex)}${rowIndex + 1}`))
+        .join('');
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }
+  );
+  return [
+    XML_HEADER,
+    `<worksheet xmlns="${SPREADSHEET_NS}">`,
+    '<sheetViews><sheetView workbookViewId="0">',
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>',
+    '</sheetView></sheetViews>',
+    `<sheetData>${sheetRows.join('')}</sheetData>`,
+    '</worksheet>',
+  ].join('');
+}
+
+export function toXlsx(rows, columns = exportColumns(rows), { sheetName = 'Charts', date } = {}) {
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: [
+        XML_HEADER,
+        `<Types xmlns="${PACKAGE_NS}/content-types">`,
+        `<Default Extension="rels" ContentType="${PACKAGE_TYPE}.relationships+xml"/>`,
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        `<Override PartName="/xl/workbook.xml" ContentType="${SHEET_TYPE}.sheet.main+xml"/>`,
+        '<Override PartName="/xl/worksheets/sheet1.xml" ',
+        `ContentType="${SHEET_TYPE}.worksheet+xml"/>`,
+        '</Types>',
+      ].join(''),
+    },
+    {
+      name: '_rels/.rels',
+      data: [
+        XML_HEADER,
+        `<Relationships xmlns="${PACKAGE_NS}/relationships">`,
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" `,
+        'Target="xl/workbook.xml"/>',
+        '</Relationships>',
+      ].join(''),
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: [
+        XML_HEADER,
+        `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">`,
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`,
+        '</workbook>',
+      ].join(''),
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: [
+        XML_HEADER,
+        `<Relationships xmlns="${PACKAGE_NS}/relationships">`,
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" `,
+        'Target="worksheets/sheet1.xml"/>',
+        '</Relationships>',
+      ].join(''),
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(rows, columns) },
+  ];
+  return createZip(files, { date });
+}
+
+export function renderExport(rows, format) {
+  if (format === 'jsonl') {
+    return { body: toJsonl(rows), contentType: 'application/x-ndjson; charset=utf-8' };
+  }
+  if (format === 'xlsx') {
+    return {
+      body: toXlsx(rows),
+      contentType: `${SHEET_TYPE}.sheet`,
+    };
+  }
+  return { body: toCsv(rows), contentType: 'text/csv; charset=utf-8' };
+}
@@ -0,0 +1,109 @@
+export const GENRES = [
+  { id: 'action', label: 'Action', apple: 7001, google: 'GAME_ACTION', labels: ['Action'] },
+  {
+    id: 'adventure',
+    label: 'Adventure',
+    apple: 7002,
+    google: 'GAME_ADVENTURE',
+    labels: ['Adventure'],
+  },
+  { id: 'arcade', label: 'Arcade', apple: null, google: 'GAME_ARCADE', labels: ['Arcade'] },
+  { id: 'board', label: 'Board', apple: 7004, google: 'GAME_BOARD', labels: ['Board'] },
+  { id: 'card', label: 'Card', apple: 7005, google: 'GAME_CARD', labels: ['Card'] },
+  { id: 'casino', label: 'Casino', apple: 7006, google: 'GAME_CASINO', labels: ['Casino'] },
+  { id: 'casual', label: 'Casual', apple: 7003, google: 'GAME_CASUAL', labels: ['Casual'] },
+  {
+    id: 'educational',
+    label: 'Educational',
+    apple: 7008,
+    google: 'GAME_EDUCATIONAL',
+    labels: ['Educational'],
+  },
+  { id: 'family', label: 'Family', apple: 7009, google: null, labels: ['Family'] },
+  { id: 'music', label: 'Music', apple: 7011, google: 'GAME_MUSIC', labels: ['Music'] },
+  { id: 'puzzle', label: 'Puzzle', apple: 7012, google: 'GAME_PUZZLE', labels: ['Puzzle'] },
+  { id: 'racing', label: 'Racing', apple: 7013, google: 'GAME_RACING', labels: ['Racing'] },
+  {
+    id: 'rpg',
+    label: 'Role Playing',
+    apple: 7014,
+    google: 'GAME_ROLE_PLAYING',
+    labels: ['Role Playing', 'Role-Playing', 'RPG'],
+  },
+  {
+    id: 'simulation',
+    label: 'Simulation',
+    apple: 7015,
+    google: 'GAME_SIMULATION',
+    labels: ['Simulation'],
+  },
+  { id: 'sports', label: 'Sports', apple: 7016, google: 'GAME_SPORTS', labels: ['Sports'] },
+  {
+    id: 'strategy',
+    label: 'Strategy',
+    apple: 7017,
+    google: 'GAME_STRATEGY',
+    labels: ['Strategy'],
+  },
+  { id: 'trivia', label: 'Trivia', apple: 7018, google: 'GAME_TRIVIA', labels: ['Trivia'] },
+  { id: 'word', label: 'Word', apple: 7019, google: 'GAME_WORD', labels: ['Word'] },
+];
+
+const byId = new Map(GENRES.map((genre) => [genre.id, genre]));
+
+export function findGenre(value) {
+  if (!value) {
+    return null;
+  }
+  const needle = String(value).trim().toLowerCase();
+  return (
+    byId.get(needle) ??
+    GENRES.find(
+      (genre) =>
+        genre.google?.toLowerCase() === needle ||
+        genre.labels.some((label) => label.toLowerCase() === needle)
+    ) ??
+    null
+  );
+}
+
+export function itemMatchesGenre(item, genre) {
+  const labels = new Set(genre.labels.map((label) => label.toLowerCase()));
+  return (item.genres ?? []).some((name) => labels.has(String(name).toLowerCase()));
+}
+
+export function filterPayloadByGenre(payload, genre) {
+  if (!payload) {
+    return null;
+  }
+  return {
+    ...payload,
+    genre: genre.id,
+    derived: true,
+    new: (payload.new ?? []).filter((item) => itemMatchesGenre(item, genre)),
+    updated: (payload.updated ?? []).filter((item) => itemMatchesGenre(item, genre)),
+    ...(payload.charts
+      ? {
+          charts: Object.fromEntries(
+            Object.entries(payload.charts).map(([chart, items]) => [
+              chart,
+              items.filter((item) => itemMatchesGenre(item, genre)),
+            ])
+          ),
+        }
+      : {}),
+  };
+}
+
+export function describeGenres(stores = []) {
+  return GENRES.map((genre) => ({
+    id: genre.id,
+    label: genre.label,
+    apple: genre.apple,
+    google: genre.google,
+    labels: genre.labels,
+    fetched: stores
+      .filter((store) => store.capabilities.genres && genre[store.id])
+      .map((store) => store.id),
+  }));
+}
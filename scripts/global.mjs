@@ -0,0 +1,107 @@
+import { CHARTS, itemRank, listItems } from './charts.mjs';
+import { toTime } from './util.mjs';
+
+export const WORLDWIDE = 'WW';
+export const GLOBAL_LIMIT = Number.parseInt(process.env.GLOBAL_LIMIT ?? '200', 10);
+
+const LISTS = ['new', 'updated'];
+const LOCAL_FIELDS = [
+  'rank',
+  'chartRank',
+  'previousRank',
+  'rankDelta',
+  'firstSeenAt',
+  'lastSeenAt',
+  'country',
+];
+
+function baseItem(item) {
+  return Object.fromEntries(Object.entries(item).filter(([key]) => !LOCAL_FIELDS.includes(key)));
+}
+
+function summarize(entry) {
+  const countries = [...entry.countries].sort((a, b) => a.rank - b.rank);
+  const earliest = countries.reduce((best, current) => {
+    const time = toTime(current.firstSeenAt);
+    return time !== null && (best === null || time < toTime(best.firstSeenAt)) ? current : best;
+  }, null);
+  const total = countries.reduce((sum, current) => sum + current.rank, 0);
+
+  return {
+    ...entry.item,
+    countries,
+    countryCount: countries.length,
+    bestRank: countries[0].rank,
+    bestCountry: countries[0].country,
+    averageRank: Math.round((total / countries.length) * 10) / 10,
+    firstSeenAt: earliest?.firstSeenAt ?? null,
+    firstSeenCountry: earliest?.country ?? null,
+  };
+}
+
+export function compareGlobalItems(a, b) {
+  return (
+    b.countryCount - a.countryCount ||
+    a.bestRank - b.bestRank ||
+    a.averageRank - b.averageRank ||
+    (toTime(a.firstSeenAt) ?? Infinity) - (toTime(b.firstSeenAt) ?? Infinity)
+  );
+}
+
+export function aggregateList(payloads, list) {
+  const apps = new Map();
+
+  payloads.forEach((payload) => {
+    if (!payload?.country) {
+      return;
+    }
+    listItems(payload, list).forEach((item, index) => {
+      const entry = apps.get(item.id) ?? { item: baseItem(item), countries: [] };
+      if (entry.countries.some((current) => current.country === payload.country)) {
+        return;
+      }
+      entry.countries.push({
+        country: payload.country,
+        rank: itemRank(item, index),
+        firstSeenAt: item.firstSeenAt ?? payload.updatedAt ?? null,
+      });
+      apps.set(item.id, entry);
+    });
+  });
+
+  return [...apps.values()].map(summarize).sort(compareGlobalItems);
+}
+
+export function aggregateStore(store, payloads, { limit = Infinity } = {}) {
+  const available = payloads.filter((payload) => payload?.country);
+  const updatedAt = available
+    .map((payload) => payload.updatedAt)
+    .filter((value) => toTime(value) !== null)
+    .sort((a, b) => toTime(b) - toTime(a))[0];
+
+  return {
+    store,
+    country: WORLDWIDE,
+    updatedAt: updatedAt ?? null,
+    countryCount: available.length,
+    ...Object.fromEntries(
+      LISTS.map((list) => [list, aggregateList(available, list).slice(0, limit)])
+    ),
+    charts: Object.fromEntries(
+      CHARTS.map((chart) => [chart, aggregateList(available, chart).slice(0, limit)])
+    ),
+  };
+}
+
+export function buildGlobal(payloadsByStore, options = {}) {
+  return {
+    country: WORLDWIDE,
+    generatedAt: new Date().toISOString(),
+    ...Object.fromEntries(
+      Object.entries(payloadsByStore).map(([store, payloads]) => [
+        store,
+        aggregateStore(store, payloads, options),
+      ])
+    ),
+  };
+}
@@ -1,14 +1,23 @@
 import gplay from 'google-play-scraper';
+import { attachArtworkHashes } from './artwork.mjs';
+import { CHARTS, deriveNewList, isMissingChart } from './charts.mjs';
+import { createErrorRecord, mergeErrors } from './errors.mjs';
+import { request } from './transport.mjs';
+import { detectUpdates } from './updates.mjs';
+import { parseByteSize, safeParseDate, safeParseNumber } from './util.mjs';
 
 const GOOGLE_LIMIT = 100;
 const TARGET_SIZE = 50;
-const FALLBACK_COLLECTIONS = [
-  gplay.collection.TOP_FREE,
-  gplay.collection.TOP_GROSSING,
-  gplay.collection.NEW_FREE,
-];
+const SCREENSHOT_LIMIT = 5;
+const CHART_COLLECTIONS = {
+  'top-free': gplay.collection.TOP_FREE,
+  'top-paid': gplay.collection.TOP_PAID,
+  'top-grossing': gplay.collection.GROSSING,
+};
 
 function mapEntry(entry, country) {
+  const releasedAt = safeParseDate(entry.released);
+  const updatedAt = safeParseDate(entry.updated);
   return {
     id: entry.appId,
     name: entry.title,
@@ -16,71 +25,127 @@ function mapEntry(entry, country) {
     url: entry.url,
     artwork: entry.icon,
     price: entry.priceText ?? (entry.free ? 'Free' : null),
+    priceAmount: typeof entry.price === 'number' ? entry.price : null,
+    currency: entry.currency ?? null,
     isFree: entry.free ?? entry.price === 0,
-    releaseDate: entry.updated ? new Date(entry.updated).toISOString() : null,
+    offersIAP: typeof entry.offersIAP === 'boolean' ? entry.offersIAP : null,
+    iapRange: entry.IAPRange ?? null,
+    rating: safeParseNumber(entry.score),
+    ratingCount: safeParseNumber(entry.ratings),
+    reviewCount: safeParseNumber(entry.reviews),
+    contentRating: entry.contentRating ?? null,
+    sizeBytes: parseByteSize(entry.size),
+    minOsVersion:
+      entry.androidVersion && entry.androidVersion !== 'VARY' ? entry.androidVersion : null,
+    languages: null,
+    screenshots: (entry.screenshots ?? []).slice(0, SCREENSHOT_LIMIT),
+    releasedAt: releasedAt ? releasedAt.toISOString() : null,
+    updatedAt: updatedAt ? updatedAt.toISOString() : null,
+    version: entry.version && entry.version !== 'VARY' ? entry.version : null,
+    releaseNotes: entry.recentChanges ?? null,
     genres: entry.genre ? [entry.genre] : [],
     country,
   };
 }
 
-async function fetchCollection(country, collection, fullDetail) {
-  return gplay.list({
+async function fetchCollection(country, collection, fullDetail, category) {
+  const options = {
     collection,
     country,
-    category: gplay.category.GAME,
+    category,
     num: GOOGLE_LIMIT,
     fullDetail,
-  });
+  };
+  const key = `gplay:list?${new URLSearchParams(options)}`;
+  try {
+    return await request(key, () => gplay.list(options));
+  } catch (error) {
+    error.url = key;
+    throw error;
+  }
 }
 
-async function fetchCollectionSafe(country, collections, label) {
-  let lastError;
-  for (const collection of collections) {
+async function fetchChart(country, chart, errors, category) {
+  const collection = CHART_COLLECTIONS[chart];
+  let failure;
+  try {
+    return await fetchCollection(country, collection, true, category);
+  } catch (error) {
+    failure = error;
+  }
+  if (!isMissingChart(failure) && failure.code !== 'ECIRCUITOPEN') {
     try {
-      return await fetchCollection(country, collection, true);
-    } catch (error) {
-      lastError = error;
-      try {
-        return await fetchCollection(country, collection, false);
-      } catch (fallbackError) {
-        lastError = fallbackError;
-      }
+      return await fetchCollection(country, collection, false, category);
+    } catch (fallbackError) {
+      failure = fallbackError;
+      failure.attempts ??= 2;
     }
   }
-  console.warn(`Google ${label} fetch failed for ${country}`, lastError?.message ?? lastError);
+  if (isMissingChart(failure)) {
+    return null;
+  }
+  console.warn(`Google ${chart} fetch failed for ${country}`, failure.message);
+  errors.push(createErrorRecord(failure, { store: 'google', stage: 'gplay-list' }));
   return [];
 }
 
-export async function fetchGoogleData(country, previousData = null) {
-  const [newApps, updatedApps] = await Promise.all([
-    fetchCollectionSafe(country, FALLBACK_COLLECTIONS, 'new'),
-    fetchCollectionSafe(country, [gplay.collection.TOP_GROSSING, gplay.collection.TOP_FREE], 'updated'),
-  ]);
+export async function fetchGoogleData(country, previousData = null, { genre = null } = {}) {
+  const errors = [];
+  const category = genre?.google ?? gplay.category.GAME;
+  const fetchedCharts = await Promise.all(
+    CHARTS.map(async (chart) => [chart, await fetchChart(country, chart, errors, category)])
+  );
+  const charts = Object.fromEntries(
+    fetchedCharts
+      .filter(([, entries]) => entries !== null)
+      .map(([chart, entries]) => [
+        chart,
+        entries.map((entry, index) => ({
+          ...mapEntry(entry, country),
+          chart,
+          chartRank: index + 1,
+        })),
+      ])
+  );
+  const unavailableCharts = fetchedCharts
+    .filter(([, entries]) => entries === null)
+    .map(([chart]) => chart);
 
-  const newItems = newApps.map((entry) => mapEntry(entry, country));
-  const updatedItems = updatedApps.map((entry) => mapEntry(entry, country));
-  newItems.sort((a, b) => {
-    const aDate = a.releaseDate ? new Date(a.releaseDate).getTime() : 0;
-    const bDate = b.releaseDate ? new Date(b.releaseDate).getTime() : 0;
-    return bDate - aDate;
-  });
-
-  if (newItems.length === 0 && updatedItems.length === 0 && previousData) {
+  if (Object.values(charts).every((items) => items.length === 0) && previousData) {
     return {
       ...previousData,
       country,
       store: 'google',
+      ...(genre ? { genre: genre.id } : {}),
       preservedAt: new Date().toISOString(),
-      errors: [],
+      errors: mergeErrors([], errors.map((record) => ({ ...record, preserved: true }))),
     };
   }
 
+  for (const chart of Object.keys(charts)) {
+    charts[chart] = await attachArtworkHashes(charts[chart]);
+  }
+  const observed = new Map();
+  Object.values(charts)
+    .flat()
+    .forEach((item) => {
+      if (!observed.has(item.id)) {
+        observed.set(item.id, item);
+      }
+    });
+  const updated = await detectUpdates('google', country, [...observed.values()], {
+    genre: genre?.id,
+  });
+
   return {
     country,
     store: 'google',
+    ...(genre ? { genre: genre.id } : {}),
     updatedAt: new Date().toISOString(),
-    new: newItems.slice(0, TARGET_SIZE),
-    updated: updatedItems.slice(0, TARGET_SIZE),
-    errors: [],
+    new: deriveNewList(charts, { limit: TARGET_SIZE }),
+    updated,
+    charts,
+    unavailableCharts,
+    errors: mergeErrors([], errors),
   };
 }
@@ -0,0 +1,211 @@
+import path from 'path';
+import { PAYLOAD_LISTS, hasList, itemRank, listItems, withListItems } from './charts.mjs';
+import { DATA_DIR } from './paths.mjs';
+import { DAY_MS, loadJson, updateJson } from './util.mjs';
+
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const RETENTION_MS = Number.parseInt(process.env.HISTORY_RETENTION_DAYS ?? '30', 10) * DAY_MS;
+const MAX_SNAPSHOTS = Number.parseInt(process.env.HISTORY_MAX_SNAPSHOTS ?? '400', 10);
+const MAX_EVENTS = 500;
+
+function historyPath(store, country) {
+  return path.join(HISTORY_DIR, store, `${country}.json`);
+}
+
+function emptyHistory(store, country) {
+  return {
+    country,
+    store,
+    snapshots: [],
+    apps: {},
+    events: [],
+  };
+}
+
+export async function loadHistory(store, country) {
+  const history = await loadJson(historyPath(store, country), null);
+  return history ?? emptyHistory(store, country);
+}
+
+function rankMap(ids = [], ranks = []) {
+  return new Map(ids.map((id, index) => [id, ranks[index] ?? index + 1]));
+}
+
+function snapshotRanks(snapshot, list) {
+  return rankMap(snapshot?.lists?.[list], snapshot?.ranks?.[list]);
+}
+
+export function diffRanks(previousIds = [], currentIds = [], { previousRanks, ranks } = {}) {
+  const before = rankMap(previousIds, previousRanks);
+  const after = rankMap(currentIds, ranks);
+  const entered = [];
+  const dropped = [];
+  const moved = [];
+
+  for (const [id, rank] of after) {
+    const previousRank = before.get(id);
+    if (previousRank === undefined) {
+      entered.push({ id, rank });
+    } else if (previousRank !== rank) {
+      moved.push({ id, rank, previousRank, delta: previousRank - rank });
+    }
+  }
+  for (const [id, previousRank] of before) {
+    if (!after.has(id)) {
+      dropped.push({ id, previousRank });
+    }
+  }
+
+  return { entered, dropped, moved };
+}
+
+function pruneHistory(history, now) {
+  const cutoff = now - RETENTION_MS;
+  history.snapshots = history.snapshots
+    .filter((snapshot) => new Date(snapshot.at).getTime() >= cutoff)
+    .slice(-MAX_SNAPSHOTS);
+  history.events = history.events
+    .filter((event) => new Date(event.at).getTime() >= cutoff)
+    .slice(-MAX_EVENTS);
+  history.apps = Object.fromEntries(
+    Object.entries(history.apps).filter(
+      ([, app]) => new Date(app.lastSeenAt).getTime() >= cutoff
+    )
+  );
+}
+
+function annotateSnapshot(history, data, at) {
+  const previous = history.snapshots.at(-1) ?? null;
+  if (previous?.at === at) {
+    return data;
+  }
+
+  const snapshot = { at, lists: {}, ranks: {} };
+  let annotated = data;
+
+  for (const list of PAYLOAD_LISTS) {
+    if (!hasList(data, list)) {
+      if (previous?.lists?.[list]) {
+        snapshot.lists[list] = previous.lists[list];
+        snapshot.ranks[list] = previous.ranks?.[list] ?? [];
+      }
+      continue;
+    }
+    const items = listItems(data, list);
+    const ids = items.map((item) => item.id);
+    const ranks = items.map(itemRank);
+    const previousRanks = snapshotRanks(previous, list);
+    snapshot.lists[list] = ids;
+    snapshot.ranks[list] = ranks;
+
+    const annotatedItems = items.map((item, index) => {
+      const known = history.apps[item.id];
+      history.apps[item.id] = {
+        name: item.name,
+        developer: item.developer ?? null,
+        firstSeenAt: known?.firstSeenAt ?? at,
+        lastSeenAt: at,
+      };
+      const rank = ranks[index];
+      const previousRank = previousRanks.get(item.id) ?? null;
+      return {
+        ...item,
+        rank,
+        previousRank,
+        rankDelta: previousRank === null ? null : previousRank - rank,
+        firstSeenAt: history.apps[item.id].firstSeenAt,
+        lastSeenAt: at,
+      };
+    });
+    annotated = withListItems(annotated, list, annotatedItems);
+
+    if (!previous) {
+      continue;
+    }
+    const { entered, dropped } = diffRanks(previous.lists?.[list], ids, {
+      previousRanks: previous.ranks?.[list],
+      ranks,
+    });
+    entered.forEach(({ id, rank }) => {
+      history.events.push({
+        type: 'entered',
+        list,
+        id,
+        name: history.apps[id]?.name ?? null,
+        rank,
+        previousRank: null,
+        at,
+      });
+    });
+    dropped.forEach(({ id, previousRank }) => {
+      history.events.push({
+        type: 'dropped',
+        list,
+        id,
+        name: history.apps[id]?.name ?? null,
+        rank: null,
+        previousRank,
+        at,
+      });
+    });
+  }
+
+  history.snapshots.push(snapshot);
+  pruneHistory(history, new Date(at).getTime());
+  return annotated;
+}
+
+export async function recordSnapshot(store, country, data) {
+  if (!data || data.preservedAt) {
+    return data;
+  }
+
+  const at = data.updatedAt ?? new Date().toISOString();
+  let annotated = data;
+  await updateJson(historyPath(store, country), emptyHistory(store, country), (history) => {
+    annotated = annotateSnapshot(history, data, at);
+    return history;
+  });
+  return annotated;
+}
+
+export function getMovers(history, { list = 'new', since = 0 } = {}) {
+  const latest = history.snapshots.at(-1);
+  if (!latest) {
+    return { from: null, to: null, climbers: [], fallers: [], entries: [] };
+  }
+
+  const baseline =
+    history.snapshots.find((snapshot) => new Date(snapshot.at).getTime() >= since) ?? latest;
+  const baselineRanks = snapshotRanks(baseline, list);
+  const latestRanks = snapshotRanks(latest, list);
+  const climbers = [];
+  const fallers = [];
+  const entries = [];
+
+  latestRanks.forEach((rank, id) => {
+    const app = history.apps[id] ?? {};
+    const baselineRank = baselineRanks.get(id);
+    const entry = {
+      id,
+      name: app.name ?? null,
+      developer: app.developer ?? null,
+      rank,
+      baselineRank: baselineRank ?? null,
+      change: baselineRank === undefined ? null : baselineRank - rank,
+      firstSeenAt: app.firstSeenAt ?? null,
+    };
+    if (baselineRank === undefined) {
+      entries.push(entry);
+    } else if (entry.change > 0) {
+      climbers.push(entry);
+    } else if (entry.change < 0) {
+      fallers.push(entry);
+    }
+  });
+
+  climbers.sort((a, b) => b.change - a.change);
+  fallers.sort((a, b) => a.change - b.change);
+
+  return { from: baseline.at, to: latest.at, climbers, fallers, entries };
+}
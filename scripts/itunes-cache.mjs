@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CACHE_DIR } from './paths.mjs';
+import { readJsonFile, updateJsonFile } from './storage.mjs';
+import { isCacheFresh } from './util.mjs';
+
+const SHARD_DIGITS = 2;
+
+export function shardOf(id) {
+  const key = String(id).replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  return key.slice(-SHARD_DIGITS).padStart(SHARD_DIGITS, '0');
+}
+
+export function evictStale(entries, ttlMs) {
+  return Object.fromEntries(
+    Object.entries(entries ?? {}).filter(([, entry]) => isCacheFresh(entry, ttlMs))
+  );
+}
+
+function cacheKey(country, id) {
+  return `${String(country).toUpperCase()}:${id}`;
+}
+
+function groupByShard(keys) {
+  const groups = new Map();
+  keys.forEach((key) => {
+    const shard = shardOf(key.slice(key.indexOf(':') + 1));
+    groups.set(shard, [...(groups.get(shard) ?? []), key]);
+  });
+  return groups;
+}
+
+export function createLookupCache({
+  dir = path.join(CACHE_DIR, 'itunes'),
+  legacyPath = path.join(CACHE_DIR, 'itunes_cache.json'),
+  ttlMs,
+}) {
+  const shards = new Map();
+  let migration = null;
+  const shardPath = (shard) => path.join(dir, `${shard}.json`);
+
+  function loadShard(shard, onCorrupt) {
+    if (!shards.has(shard)) {
+      const loading = readJsonFile(shardPath(shard), {}, { quarantine: true, onCorrupt });
+      shards.set(shard, loading);
+      loading.catch(() => shards.delete(shard));
+    }
+    return shards.get(shard);
+  }
+
+  async function write(entries, onCorrupt) {
+    const groups = groupByShard(Object.keys(entries));
+    await Promise.all(
+      [...groups].map(async ([shard, keys]) => {
+        const merged = await updateJsonFile(
+          shardPath(shard),
+          {},
+          (current) => {
+            const next = evictStale(current, ttlMs);
+            keys.forEach((key) => {
+              next[key] = entries[key];
+            });
+            return next;
+          },
+          { onCorrupt }
+        );
+        shards.set(shard, Promise.resolve(merged));
+      })
+    );
+  }
+
+  function migrate(onCorrupt) {
+    migration ??= (async () => {
+      await readJsonFile(legacyPath, null, { quarantine: true, onCorrupt });
+      await fs.rm(legacyPath, { force: true });
+    })().catch((error) => {
+      migration = null;
+      throw error;
+    });
+    return migration;
+  }
+
+  async function get(ids, { country, onCorrupt } = {}) {
+    await migrate(onCorrupt);
+    const found = new Map();
+    const keys = ids.map((id) => cacheKey(country, id));
+    await Promise.all(
+      [...groupByShard(keys)].map(async ([shard, shardKeys]) => {
+        const entries = await loadShard(shard, onCorrupt);
+        shardKeys.forEach((key) => {
+          if (isCacheFresh(entries[key], ttlMs)) {
+            found.set(key.slice(key.indexOf(':') + 1), entries[key].data ?? null);
+          }
+        });
+      })
+    );
+    return found;
+  }
+
+  async function set(results, { country, onCorrupt } = {}) {
+    const updatedAt = new Date().toISOString();
+    const entries = Object.fromEntries(
+      [...results].map(([id, data]) => [cacheKey(country, id), { data, updatedAt }])
+    );
+    await write(entries, onCorrupt);
+  }
+
+  return { get, set };
+}
@@ -0,0 +1,33 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { ROOT } from './paths.mjs';
+
+const SOURCE_DIRS = ['scripts', 'test', 'assets'];
+
+async function listSources() {
+  const files = [];
+  for (const dir of SOURCE_DIRS) {
+    const entries = await fs.readdir(path.join(ROOT, dir)).catch(() => []);
+    entries
+      .filter((name) => name.endsWith('.mjs') || name.endsWith('.js'))
+      .forEach((name) => files.push(path.join(dir, name)));
+  }
+  return files;
+}
+
+const failures = [];
+for (const file of await listSources()) {
+  const result = spawnSync(process.execPath, ['--check', path.join(ROOT, file)], {
+    encoding: 'utf8',
+  });
+  if (result.status !== 0) {
+    failures.push(`${file}\n${result.stderr}`);
+  }
+}
+
+if (failures.length > 0) {
+  console.error(failures.join('\n'));
+  process.exit(1);
+}
+console.log('Syntax check passed.');
@@ -0,0 +1,133 @@
+import { createLimiter } from './util.mjs';
+
+const HISTORY_SIZE = 50;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_WAIT_MS = 25;
+
+export const MAX_BATCH_SIZE = 200;
+
+function emptyTotals() {
+  return {
+    lookups: 0,
+    deduped: 0,
+    batches: 0,
+    failedBatches: 0,
+    ids: 0,
+    found: 0,
+    durationMs: 0,
+  };
+}
+
+function batchSize(value) {
+  if (!Number.isInteger(value)) {
+    return DEFAULT_BATCH_SIZE;
+  }
+  return Math.min(Math.max(value, 1), MAX_BATCH_SIZE);
+}
+
+function batchWaitMs(value) {
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_WAIT_MS;
+}
+
+export function createLookupBatcher({
+  fetchBatch,
+  size: requestedSize = DEFAULT_BATCH_SIZE,
+  waitMs: requestedWaitMs = DEFAULT_WAIT_MS,
+  concurrency = 6,
+}) {
+  const size = batchSize(requestedSize);
+  const waitMs = batchWaitMs(requestedWaitMs);
+  const limiter = createLimiter(concurrency);
+  const pending = new Map();
+  const inFlight = new Map();
+  let totals = emptyTotals();
+  let history = [];
+  let timer = null;
+
+  function recordBatch(batch) {
+    totals.batches += 1;
+    totals.failedBatches += batch.ok ? 0 : 1;
+    totals.ids += batch.size;
+    totals.found += batch.found;
+    totals.durationMs += batch.durationMs;
+    history = [...history, batch].slice(-HISTORY_SIZE);
+  }
+
+  function runBatch(group, ids, waiters) {
+    return limiter(async () => {
+      const startedAt = Date.now();
+      const batch = { at: new Date(startedAt).toISOString(), group, size: ids.length, found: 0 };
+      try {
+        const results = await fetchBatch(ids, group);
+        batch.found = ids.filter((id) => results.has(id)).length;
+        batch.ok = true;
+        ids.forEach((id) => waiters.get(id).resolve(results.get(id) ?? null));
+      } catch (error) {
+        batch.ok = false;
+        batch.error = error.message;
+        ids.forEach((id) => waiters.get(id).reject(error));
+      } finally {
+        ids.forEach((id) => inFlight.delete(`${group}:${id}`));
+        batch.durationMs = Date.now() - startedAt;
+        recordBatch(batch);
+      }
+    });
+  }
+
+  function flush(group) {
+    const waiters = pending.get(group);
+    if (!waiters) {
+      return;
+    }
+    pending.delete(group);
+    const ids = [...waiters.keys()].sort();
+    for (let index = 0; index < ids.length; index += size) {
+      runBatch(group, ids.slice(index, index + size), waiters);
+    }
+  }
+
+  function flushAll() {
+    timer = null;
+    [...pending.keys()].forEach(flush);
+  }
+
+  function lookup(id, group) {
+    const key = String(id);
+    const flightKey = `${group}:${key}`;
+    totals.lookups += 1;
+    if (inFlight.has(flightKey)) {
+      totals.deduped += 1;
+      return inFlight.get(flightKey);
+    }
+    const promise = new Promise((resolve, reject) => {
+      const waiters = pending.get(group) ?? new Map();
+      waiters.set(key, { resolve, reject });
+      pending.set(group, waiters);
+      if (waiters.size >= size) {
+        flush(group);
+      } else if (!timer) {
+        timer = setTimeout(flushAll, waitMs);
+      }
+    });
+    inFlight.set(flightKey, promise);
+    return promise;
+  }
+
+  function metrics() {
+    return {
+      batchSize: size,
+      batchWaitMs: waitMs,
+      ...totals,
+      requestsSaved: Math.max(totals.lookups - totals.batches, 0),
+      averageBatchMs: totals.batches > 0 ? Math.round(totals.durationMs / totals.batches) : 0,
+      recent: history,
+    };
+  }
+
+  function resetMetrics() {
+    totals = emptyTotals();
+    history = [];
+  }
+
+  return { lookup, metrics, resetMetrics };
+}
@@ -0,0 +1,242 @@
+import path from 'path';
+import { PAYLOAD_LISTS, itemRank, listItems } from './charts.mjs';
+import { ROOT } from './paths.mjs';
+import { DAY_MS, loadJson, toTime } from './util.mjs';
+
+const OVERRIDES_PATH = path.resolve(
+  process.env.MATCH_OVERRIDES ?? path.join(ROOT, 'match-overrides.json')
+);
+const MIN_CONFIDENCE = Number.parseFloat(process.env.MATCH_MIN_CONFIDENCE ?? '0.75');
+const COMPANY_SUFFIXES = new Set([
+  'inc',
+  'llc',
+  'ltd',
+  'limited',
+  'co',
+  'corp',
+  'corporation',
+  'gmbh',
+  'sa',
+  'sas',
+  'srl',
+  'bv',
+  'ab',
+  'oy',
+  'as',
+  'pte',
+  'pty',
+  'kk',
+  'plc',
+]);
+
+function tokens(value) {
+  return (value ?? '')
+    .replace(/[™®©]/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+export function normalizeTitle(value) {
+  return tokens(value).join(' ');
+}
+
+export function normalizeDeveloper(value) {
+  return tokens(value)
+    .filter((token) => !COMPANY_SUFFIXES.has(token))
+    .join(' ');
+}
+
+function mainTitle(value) {
+  return normalizeTitle((value ?? '').split(/\s[-–—:|]\s|:\s/)[0]);
+}
+
+function diceCoefficient(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+  const remaining = [...b];
+  let shared = 0;
+  a.forEach((token) => {
+    const index = remaining.indexOf(token);
+    if (index !== -1) {
+      remaining.splice(index, 1);
+      shared += 1;
+    }
+  });
+  return (2 * shared) / (a.length + b.length);
+}
+
+export function titleSimilarity(a, b) {
+  if (normalizeTitle(a) && normalizeTitle(a) === normalizeTitle(b)) {
+    return 1;
+  }
+  if (mainTitle(a) && mainTitle(a) === mainTitle(b)) {
+    return 0.9;
+  }
+  return diceCoefficient(tokens(a), tokens(b));
+}
+
+export function developerSimilarity(a, b) {
+  const left = normalizeDeveloper(a);
+  const right = normalizeDeveloper(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+  const compactLeft = left.replace(/ /g, '');
+  const compactRight = right.replace(/ /g, '');
+  if (compactLeft.includes(compactRight) || compactRight.includes(compactLeft)) {
+    return 0.85;
+  }
+  return diceCoefficient(left.split(' '), right.split(' '));
+}
+
+export function artworkSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return null;
+  }
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    let bits = Number.parseInt(a[i], 16) ^ Number.parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return 1 - distance / (a.length * 4);
+}
+
+export function scorePair(apple, google) {
+  const title = titleSimilarity(apple.name, google.name);
+  const developer = developerSimilarity(apple.developer, google.developer);
+  const artwork = artworkSimilarity(apple.artworkHash, google.artworkHash);
+  const confidence =
+    artwork === null
+      ? title * 0.65 + developer * 0.35
+      : title * 0.55 + developer * 0.3 + artwork * 0.15;
+
+  return {
+    confidence: Math.round(confidence * 1000) / 1000,
+    scores: { title, developer, artwork },
+  };
+}
+
+export async function loadOverrides(filePath = OVERRIDES_PATH) {
+  const overrides = await loadJson(filePath, {});
+  return {
+    pairs: overrides.pairs ?? [],
+    exclude: overrides.exclude ?? [],
+  };
+}
+
+function candidates(payload) {
+  const items = new Map();
+  PAYLOAD_LISTS.forEach((list) => {
+    listItems(payload, list).forEach((item, index) => {
+      const rank = list === 'updated' ? item.chartRank ?? null : itemRank(item, index);
+      const known = items.get(item.id);
+      if (!known || (rank !== null && (known.rank === null || rank < known.rank))) {
+        items.set(item.id, { ...item, rank });
+      }
+    });
+  });
+  return [...items.values()];
+}
+
+function describeLaunch(apple, google) {
+  const appleTime = toTime(apple.releasedAt);
+  const googleTime = toTime(google.releasedAt);
+  if (appleTime === null || googleTime === null) {
+    return { firstStore: null, leadDays: null };
+  }
+  const leadDays = Math.round(Math.abs(appleTime - googleTime) / DAY_MS);
+  if (leadDays === 0) {
+    return { firstStore: 'both', leadDays };
+  }
+  return { firstStore: appleTime < googleTime ? 'apple' : 'google', leadDays };
+}
+
+function side(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    developer: item.developer ?? null,
+    rank: item.rank,
+    chart: item.chart ?? null,
+    releasedAt: item.releasedAt ?? null,
+    url: item.url ?? null,
+    artwork: item.artwork ?? null,
+  };
+}
+
+function toPair(apple, google, { confidence, scores, source }) {
+  return {
+    name: apple.name ?? google.name,
+    developer: apple.developer ?? google.developer ?? null,
+    confidence,
+    scores,
+    source,
+    ...describeLaunch(apple, google),
+    apple: side(apple),
+    google: side(google),
+  };
+}
+
+export function matchPayloads(applePayload, googlePayload, options = {}) {
+  const { overrides = { pairs: [], exclude: [] }, minConfidence = MIN_CONFIDENCE } = options;
+  const appleItems = candidates(applePayload);
+  const googleItems = candidates(googlePayload);
+  const appleById = new Map(appleItems.map((item) => [String(item.id), item]));
+  const googleById = new Map(googleItems.map((item) => [item.id, item]));
+  const excluded = new Set(overrides.exclude.map(({ apple, google }) => `${apple}|${google}`));
+  const usedApple = new Set();
+  const usedGoogle = new Set();
+  const pairs = [];
+
+  overrides.pairs.forEach(({ apple, google }) => {
+    const appleItem = appleById.get(String(apple));
+    const googleItem = googleById.get(google);
+    if (!appleItem || !googleItem || usedApple.has(appleItem.id) || usedGoogle.has(google)) {
+      return;
+    }
+    usedApple.add(appleItem.id);
+    usedGoogle.add(google);
+    pairs.push(
+      toPair(appleItem, googleItem, {
+        ...scorePair(appleItem, googleItem),
+        confidence: 1,
+        source: 'override',
+      })
+    );
+  });
+
+  const scored = appleItems
+    .flatMap((appleItem) =>
+      googleItems
+        .filter((googleItem) => !excluded.has(`${appleItem.id}|${googleItem.id}`))
+        .map((googleItem) => ({ appleItem, googleItem, ...scorePair(appleItem, googleItem) }))
+    )
+    .filter((entry) => entry.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  scored.forEach(({ appleItem, googleItem, confidence, scores }) => {
+    if (usedApple.has(appleItem.id) || usedGoogle.has(googleItem.id)) {
+      return;
+    }
+    usedApple.add(appleItem.id);
+    usedGoogle.add(googleItem.id);
+    pairs.push(toPair(appleItem, googleItem, { confidence, scores, source: 'auto' }));
+  });
+
+  const bestRank = (pair) => Math.min(pair.apple.rank ?? Infinity, pair.google.rank ?? Infinity);
+  return {
+    pairs: pairs.sort((a, b) => bestRank(a) - bestRank(b) || b.confidence - a.confidence),
+    appleOnly: appleItems.filter((item) => !usedApple.has(item.id)).length,
+    googleOnly: googleItems.filter((item) => !usedGoogle.has(item.id)).length,
+  };
+}
@@ -0,0 +1,11 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT = path.join(__dirname, '..');
+export const DATA_DIR = path.resolve(process.env.STORE_SCRAP_DATA_DIR ?? path.join(ROOT, 'data'));
+export const CACHE_DIR = path.resolve(process.env.STORE_SCRAP_CACHE_DIR ?? path.join(ROOT, 'cache'));
+export const FIXTURE_DIR = path.resolve(
+  process.env.STORE_SCRAP_FIXTURES ?? path.join(ROOT, 'fixtures')
+);
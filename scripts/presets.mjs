@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import path from 'path';
+import { CHARTS } from './charts.mjs';
+import { findGenre } from './genres.mjs';
+import { DATA_DIR } from './paths.mjs';
+import { invalid, loadJson, saveJson } from './util.mjs';
+
+const PRESETS_PATH = path.join(DATA_DIR, 'presets.json');
+const MAX_NAME_LENGTH = 80;
+
+export const VIEW_OPTIONS = {
+  time: ['all', '24h', '7d', '30d'],
+  price: ['all', 'free', 'paid', 'changed'],
+  sort: ['default', 'rating', 'ratingCount'],
+  chart: CHARTS,
+};
+
+export async function loadPresets() {
+  const data = await loadJson(PRESETS_PATH, null);
+  return data?.presets ?? [];
+}
+
+export async function savePresets(presets) {
+  await saveJson(PRESETS_PATH, { presets });
+  return presets;
+}
+
+function pickOption(view, key) {
+  const value = view[key] ?? VIEW_OPTIONS[key][0];
+  if (!VIEW_OPTIONS[key].includes(value)) {
+    throw invalid(`View ${key} must be one of ${VIEW_OPTIONS[key].join(', ')}`);
+  }
+  return value;
+}
+
+function pickMinimum(view, key) {
+  const value = Number(view[key] ?? 0);
+  if (!Number.isFinite(value) || value < 0) {
+    throw invalid(`View ${key} must be a non-negative number`);
+  }
+  return value;
+}
+
+export function validateView(view = {}, { countries = [], tabs = [] } = {}) {
+  if (!view || typeof view !== 'object' || Array.isArray(view)) {
+    throw invalid('Preset view must be a JSON object');
+  }
+  const country = view.country ? String(view.country).trim().toUpperCase() : null;
+  if (country && countries.length > 0 && !countries.includes(country)) {
+    throw invalid(`Unknown country "${country}"`);
+  }
+  const tab = view.tab ? String(view.tab).trim() : null;
+  if (tab && tabs.length > 0 && !tabs.includes(tab)) {
+    throw invalid(`Unknown tab "${tab}"`);
+  }
+  const genre = view.genre ? findGenre(view.genre) : null;
+  if (view.genre && !genre) {
+    throw invalid(`Unknown genre "${view.genre}"`);
+  }
+  return {
+    country,
+    tab,
+    genre: genre?.id ?? null,
+    time: pickOption(view, 'time'),
+    price: pickOption(view, 'price'),
+    rating: pickMinimum(view, 'rating'),
+    ratings: pickMinimum(view, 'ratings'),
+    sort: pickOption(view, 'sort'),
+    chart: pickOption(view, 'chart'),
+  };
+}
+
+export function validatePreset(input, { existing = null, presets = [], ...options } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid('Preset must be a JSON object');
+  }
+  const name = input.name === undefined || input.name === null ? '' : String(input.name).trim();
+  if (!name) {
+    throw invalid('Preset name is required');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw invalid(`Preset name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  const duplicate = presets.find(
+    (preset) => preset.id !== existing?.id && preset.name.toLowerCase() === name.toLowerCase()
+  );
+  if (duplicate) {
+    throw invalid(`A preset named "${duplicate.name}" already exists`, 409);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id ?? crypto.randomUUID(),
+    name,
+    view: validateView(input.view, options),
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+}
@@ -0,0 +1,179 @@
+import path from 'path';
+import { PAYLOAD_LISTS, hasList, listItems, payloadItems, withListItems } from './charts.mjs';
+import { DATA_DIR } from './paths.mjs';
+import { DAY_MS, loadJson, updateJson } from './util.mjs';
+
+const PRICES_DIR = path.join(DATA_DIR, 'prices');
+const PROMOTION_MS = Number.parseInt(process.env.PRICE_PROMOTION_DAYS ?? '14', 10) * DAY_MS;
+const RETENTION_MS = Number.parseInt(process.env.PRICE_RETENTION_DAYS ?? '180', 10) * DAY_MS;
+const MAX_OBSERVATIONS = Number.parseInt(process.env.PRICE_MAX_OBSERVATIONS ?? '50', 10);
+
+export const PRICE_CHANGES = [
+  'drop',
+  'increase',
+  'free',
+  'switched-to-free',
+  'free-promotion',
+  'paid',
+];
+
+function pricesPath(store, country) {
+  return path.join(PRICES_DIR, store, `${country}.json`);
+}
+
+export async function loadPrices(store, country) {
+  const prices = await loadJson(pricesPath(store, country), null);
+  return prices ?? { store, country, apps: {} };
+}
+
+export function observePrice(item) {
+  return {
+    price: item.price ?? null,
+    amount: typeof item.priceAmount === 'number' ? item.priceAmount : null,
+    currency: item.currency ?? null,
+    isFree: item.isFree ?? null,
+    offersIAP: item.offersIAP ?? null,
+  };
+}
+
+function samePrice(a, b) {
+  return (
+    a.price === b.price &&
+    a.amount === b.amount &&
+    a.currency === b.currency &&
+    a.isFree === b.isFree &&
+    a.offersIAP === b.offersIAP
+  );
+}
+
+export function classifyPriceChange(previous, next) {
+  if (!previous || !next) {
+    return null;
+  }
+  if (previous.isFree === false && next.isFree === true) {
+    return 'free';
+  }
+  if (previous.isFree === true && next.isFree === false) {
+    return 'paid';
+  }
+  if (
+    previous.amount === null ||
+    next.amount === null ||
+    previous.currency !== next.currency ||
+    previous.amount === next.amount
+  ) {
+    return null;
+  }
+  return next.amount < previous.amount ? 'drop' : 'increase';
+}
+
+export function describePriceChange(app, now = Date.now()) {
+  const { observations = [] } = app ?? {};
+  const index = observations.findLastIndex((observation) => observation.change);
+  if (index < 0) {
+    return null;
+  }
+  const observation = observations[index];
+  const previous = observations[index - 1] ?? null;
+  let type = observation.change;
+  if (type === 'free' && now - new Date(observation.at).getTime() > PROMOTION_MS) {
+    type = 'switched-to-free';
+  }
+  if (
+    type === 'paid' &&
+    previous?.change === 'free' &&
+    new Date(observation.at).getTime() - new Date(previous.at).getTime() <= PROMOTION_MS
+  ) {
+    type = 'free-promotion';
+  }
+  return {
+    type,
+    at: observation.at,
+    price: observation.price,
+    amount: observation.amount,
+    previousPrice: previous?.price ?? null,
+    previousAmount: previous?.amount ?? null,
+    currency: observation.currency,
+  };
+}
+
+function prunePrices(prices, now) {
+  const cutoff = now - RETENTION_MS;
+  prices.apps = Object.fromEntries(
+    Object.entries(prices.apps).filter(([, app]) => new Date(app.lastSeenAt).getTime() >= cutoff)
+  );
+}
+
+export function trackPrices(prices, data, { at } = {}) {
+  const observedAt = at ?? data.updatedAt ?? new Date().toISOString();
+  payloadItems(data).forEach((item, id) => {
+    const observation = observePrice(item);
+    const app = prices.apps[id] ?? { observations: [] };
+    const last = app.observations.at(-1);
+    app.name = item.name ?? app.name ?? null;
+    app.developer = item.developer ?? app.developer ?? null;
+    app.lastSeenAt = observedAt;
+    if (last && samePrice(last, observation)) {
+      last.lastSeenAt = observedAt;
+    } else {
+      app.observations = [
+        ...app.observations,
+        {
+          at: observedAt,
+          lastSeenAt: observedAt,
+          ...observation,
+          change: classifyPriceChange(last, observation),
+        },
+      ].slice(-MAX_OBSERVATIONS);
+    }
+    prices.apps[id] = app;
+  });
+  prunePrices(prices, new Date(observedAt).getTime());
+  return prices;
+}
+
+function annotate(items, prices, now) {
+  return items.map((item) => {
+    const priceChange = describePriceChange(prices.apps[item.id], now);
+    return priceChange ? { ...item, priceChange } : item;
+  });
+}
+
+export async function recordPrices(store, country, data) {
+  if (!data || data.preservedAt) {
+    return data;
+  }
+  const empty = { store, country, apps: {} };
+  const prices = await updateJson(pricesPath(store, country), empty, (current) =>
+    trackPrices(current, data)
+  );
+  const now = new Date(data.updatedAt ?? Date.now()).getTime();
+  let annotated = data;
+  PAYLOAD_LISTS.filter((list) => hasList(data, list)).forEach((list) => {
+    annotated = withListItems(annotated, list, annotate(listItems(data, list), prices, now));
+  });
+  return annotated;
+}
+
+export function listPriceChanges(prices, { id, change, since = 0, now = Date.now() } = {}) {
+  return Object.entries(prices.apps)
+    .filter(([appId]) => !id || appId === id)
+    .map(([appId, app]) => ({
+      id: appId,
+      name: app.name,
+      developer: app.developer,
+      lastSeenAt: app.lastSeenAt,
+      priceChange: describePriceChange(app, now),
+      observations: app.observations,
+    }))
+    .filter((app) => {
+      if (id) {
+        return true;
+      }
+      if (!app.priceChange || new Date(app.priceChange.at).getTime() < since) {
+        return false;
+      }
+      return !change || app.priceChange.type === change;
+    })
+    .sort((a, b) => (b.priceChange?.at ?? '').localeCompare(a.priceChange?.at ?? ''));
+}
@@ -0,0 +1,255 @@
+import { createLimiter } from './util.mjs';
+
+const FAILURE_THRESHOLD = Number.parseInt(process.env.UPSTREAM_FAILURE_THRESHOLD ?? '5', 10);
+const COOLDOWN_MS = Number.parseInt(process.env.UPSTREAM_COOLDOWN_MS ?? '60000', 10);
+const MAX_ATTEMPTS = Number.parseInt(process.env.UPSTREAM_MAX_ATTEMPTS ?? '4', 10);
+const BACKOFF_MS = Number.parseInt(process.env.UPSTREAM_BACKOFF_MS ?? '300', 10);
+const MAX_DELAY_MS = Number.parseInt(process.env.UPSTREAM_MAX_DELAY_MS ?? '30000', 10);
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const THROTTLE_STATUSES = [429, 503];
+
+export const UPSTREAM_BUDGETS = {
+  'rss.applemarketingtools.com': {
+    concurrency: Number.parseInt(process.env.APPLE_RSS_CONCURRENCY ?? '4', 10),
+    intervalMs: Number.parseInt(process.env.APPLE_RSS_INTERVAL_MS ?? '100', 10),
+  },
+  'itunes.apple.com': {
+    concurrency: Number.parseInt(process.env.ITUNES_CONCURRENCY ?? '4', 10),
+    intervalMs: Number.parseInt(process.env.ITUNES_INTERVAL_MS ?? '250', 10),
+  },
+  'play.google.com': {
+    concurrency: Number.parseInt(process.env.GOOGLE_CONCURRENCY ?? '2', 10),
+    intervalMs: Number.parseInt(process.env.GOOGLE_INTERVAL_MS ?? '500', 10),
+  },
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+export function backoffDelay(
+  attempt,
+  { baseMs = BACKOFF_MS, maxMs = MAX_DELAY_MS, random = Math.random } = {}
+) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+export function isRetryable(error) {
+  if (error?.code === 'ECIRCUITOPEN') {
+    return false;
+  }
+  return error?.status == null || RETRYABLE_STATUSES.includes(error.status);
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    clientErrors: 0,
+    retries: 0,
+    throttled: 0,
+    rejected: 0,
+  };
+}
+
+export function createHostGate(
+  host,
+  {
+    concurrency = 4,
+    intervalMs = 0,
+    failureThreshold = FAILURE_THRESHOLD,
+    cooldownMs = COOLDOWN_MS,
+    attempts = MAX_ATTEMPTS,
+    baseMs = BACKOFF_MS,
+    maxDelayMs = MAX_DELAY_MS,
+    now = Date.now,
+    wait = sleep,
+    random = Math.random,
+  } = {}
+) {
+  const limiter = createLimiter(concurrency);
+  let breaker = { state: 'closed', failures: 0, openedAt: null, retryAt: null, probing: false };
+  let totals = emptyTotals();
+  let lastError = null;
+  let nextSlotAt = 0;
+  let pausedUntil = 0;
+
+  function open(retryAfterMs) {
+    const openedAt = now();
+    breaker = {
+      ...breaker,
+      state: 'open',
+      openedAt,
+      retryAt: openedAt + Math.max(cooldownMs, retryAfterMs ?? 0),
+      probing: false,
+    };
+  }
+
+  function admit() {
+    if (breaker.state === 'open' && now() >= breaker.retryAt) {
+      breaker = { ...breaker, state: 'half-open', probing: false };
+    }
+    if (breaker.state === 'closed') {
+      return;
+    }
+    if (breaker.state === 'half-open' && !breaker.probing) {
+      breaker.probing = true;
+      return;
+    }
+    totals.rejected += 1;
+    const error = new Error(
+      `Circuit open for ${host} after ${breaker.failures} consecutive failures ` +
+        `(retrying after ${toIso(breaker.retryAt)})`
+    );
+    error.code = 'ECIRCUITOPEN';
+    error.host = host;
+    throw error;
+  }
+
+  function close() {
+    breaker = { state: 'closed', failures: 0, openedAt: null, retryAt: null, probing: false };
+  }
+
+  function recordFailure(error, retryAfterMs) {
+    totals.failures += 1;
+    if (THROTTLE_STATUSES.includes(error.status) || retryAfterMs !== null) {
+      totals.throttled += 1;
+    }
+    lastError = { message: error.message, status: error.status ?? null, at: toIso(now()) };
+    breaker.failures += 1;
+    if (
+      breaker.state === 'half-open' ||
+      breaker.failures >= failureThreshold ||
+      (retryAfterMs ?? 0) > maxDelayMs
+    ) {
+      open(retryAfterMs);
+    } else if (retryAfterMs !== null) {
+      pausedUntil = Math.max(pausedUntil, now() + retryAfterMs);
+    }
+  }
+
+  async function takeSlot() {
+    const start = Math.max(now(), nextSlotAt, pausedUntil);
+    nextSlotAt = start + intervalMs;
+    const delay = start - now();
+    if (delay > 0) {
+      await wait(delay);
+    }
+  }
+
+  async function attempt(task, maxAttempts) {
+    for (let count = 1; ; count += 1) {
+      admit();
+      await takeSlot();
+      totals.requests += 1;
+      try {
+        const result = await task();
+        totals.successes += 1;
+        close();
+        return result;
+      } catch (error) {
+        error.attempts = count;
+        if (!isRetryable(error)) {
+          totals.clientErrors += 1;
+          close();
+          throw error;
+        }
+        const retryAfterMs = parseRetryAfter(error.retryAfter, now());
+        recordFailure(error, retryAfterMs);
+        if (count >= maxAttempts || breaker.state === 'open') {
+          throw error;
+        }
+        totals.retries += 1;
+        await wait(
+          Math.max(retryAfterMs ?? 0, backoffDelay(count, { baseMs, maxMs: maxDelayMs, random }))
+        );
+      }
+    }
+  }
+
+  function run(task, { attempts: maxAttempts = attempts } = {}) {
+    return limiter(() => attempt(task, maxAttempts));
+  }
+
+  function state() {
+    const cooled = breaker.state === 'open' && now() >= breaker.retryAt;
+    return {
+      host,
+      state: cooled ? 'half-open' : breaker.state,
+      consecutiveFailures: breaker.failures,
+      openedAt: toIso(breaker.openedAt),
+      retryAt: toIso(breaker.retryAt),
+      pausedUntil: pausedUntil > now() ? toIso(pausedUntil) : null,
+      concurrency,
+      intervalMs,
+      ...totals,
+      lastError,
+    };
+  }
+
+  function reset() {
+    close();
+    totals = emptyTotals();
+    lastError = null;
+    nextSlotAt = 0;
+    pausedUntil = 0;
+  }
+
+  return { run, state, reset };
+}
+
+export function createUpstreams(budgets = UPSTREAM_BUDGETS, options = {}) {
+  const gates = new Map(
+    Object.entries(budgets).map(([host, budget]) => [
+      host,
+      createHostGate(host, { ...options, ...budget }),
+    ])
+  );
+
+  function run(host, task, runOptions) {
+    const gate = gates.get(host);
+    return gate ? gate.run(task, runOptions) : task();
+  }
+
+  function states() {
+    return [...gates.values()].map((gate) => gate.state());
+  }
+
+  function reset() {
+    gates.forEach((gate) => gate.reset());
+  }
+
+  return { run, states, reset };
+}
+
+const upstreams = createUpstreams();
+
+export function throttle(host, task, options) {
+  return upstreams.run(host, task, options);
+}
+
+export function getUpstreamStates() {
+  return upstreams.states();
+}
+
+export function resetUpstreams() {
+  upstreams.reset();
+}
@@ -0,0 +1,179 @@
+import { createLimiter, roundRobinSlice } from './util.mjs';
+
+const MINUTE_MS = 1000 * 60;
+const RECENT_LIMIT = 50;
+
+export function parsePriorities(value, defaultIntervalMs = 10 * MINUTE_MS) {
+  const priorities = new Map();
+  (value ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [code, minutes] = entry.split(':');
+      const parsed = Number.parseFloat(minutes);
+      priorities.set(
+        code.toUpperCase(),
+        Number.isNaN(parsed) ? defaultIntervalMs : parsed * MINUTE_MS
+      );
+    });
+  return priorities;
+}
+
+export function createScheduler({
+  countries,
+  refresh,
+  batchSize = 10,
+  intervalMs = MINUTE_MS,
+  priorities = new Map(),
+  concurrency = 4,
+  errorThreshold = 0.5,
+  maxBackoffMs = 60 * MINUTE_MS,
+  loadCursor = async () => 0,
+  saveCursor = async () => {},
+  now = () => Date.now(),
+}) {
+  const limiter = createLimiter(concurrency);
+  const lastRefreshedAt = new Map();
+  const inProgress = new Set();
+  const recent = [];
+  let cursor = 0;
+  let state = 'stopped';
+  let timer = null;
+  let running = false;
+  let nextRunAt = null;
+  let lastRunAt = null;
+  let lastErrorRate = 0;
+  let backoffLevel = 0;
+  let backoffUntil = null;
+
+  function duePriorities() {
+    const time = now();
+    return [...priorities]
+      .filter(([code]) => countries.includes(code))
+      .filter(([code, ms]) => (lastRefreshedAt.get(code) ?? 0) + ms <= time)
+      .map(([code]) => code);
+  }
+
+  function planBatch() {
+    const due = duePriorities();
+    const { slice, nextCursor } = roundRobinSlice(countries, cursor, batchSize);
+    return { batch: [...new Set([...due, ...slice])], nextCursor };
+  }
+
+  function schedule(delayMs) {
+    if (state === 'stopped') {
+      return;
+    }
+    clearTimeout(timer);
+    nextRunAt = now() + delayMs;
+    timer = setTimeout(() => {
+      runOnce().catch((error) => {
+        console.warn('Scheduler run failed', error.message);
+      });
+    }, delayMs);
+    timer.unref?.();
+  }
+
+  function updateBackoff(results) {
+    const failures = results.filter((result) => !result.ok).length;
+    lastErrorRate = results.length > 0 ? failures / results.length : 0;
+    if (results.length > 0 && lastErrorRate >= errorThreshold) {
+      backoffLevel += 1;
+      backoffUntil = now() + Math.min(intervalMs * 2 ** backoffLevel, maxBackoffMs);
+      return;
+    }
+    backoffLevel = 0;
+    backoffUntil = null;
+  }
+
+  async function refreshCountry(country) {
+    inProgress.add(country);
+    const startedAt = now();
+    let ok = false;
+    try {
+      ok = await refresh(country);
+    } catch (error) {
+      ok = false;
+    }
+    inProgress.delete(country);
+    lastRefreshedAt.set(country, now());
+    const result = {
+      country,
+      ok,
+      at: new Date(startedAt).toISOString(),
+      durationMs: now() - startedAt,
+    };
+    recent.unshift(result);
+    recent.length = Math.min(recent.length, RECENT_LIMIT);
+    return result;
+  }
+
+  async function runOnce() {
+    if (running) {
+      return [];
+    }
+    running = true;
+    try {
+      const { batch, nextCursor } = planBatch();
+      cursor = nextCursor;
+      await saveCursor(cursor);
+      const results = await Promise.all(
+        batch.map((country) => limiter(() => refreshCountry(country)))
+      );
+      lastRunAt = new Date(now()).toISOString();
+      updateBackoff(results);
+      return results;
+    } finally {
+      running = false;
+      schedule(backoffUntil ? backoffUntil - now() : intervalMs);
+    }
+  }
+
+  async function start({ delayMs = 1000 } = {}) {
+    cursor = (await loadCursor()) ?? 0;
+    state = 'running';
+    schedule(delayMs);
+  }
+
+  function stop() {
+    state = 'stopped';
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+  }
+
+  function snapshot() {
+    const time = now();
+    const backingOff = Boolean(backoffUntil && backoffUntil > time);
+    return {
+      state: state === 'running' && backingOff ? 'backoff' : state,
+      intervalMs,
+      batchSize,
+      concurrency,
+      cursor,
+      totalCountries: countries.length,
+      nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+      lastRunAt,
+      errorRate: lastErrorRate,
+      backoff: {
+        level: backoffLevel,
+        until: backingOff ? new Date(backoffUntil).toISOString() : null,
+      },
+      queue: planBatch().batch,
+      inProgress: [...inProgress],
+      priorities: [...priorities].map(([country, ms]) => {
+        const refreshedAt = lastRefreshedAt.get(country) ?? null;
+        return {
+          country,
+          intervalMs: ms,
+          lastRefreshedAt: refreshedAt ? new Date(refreshedAt).toISOString() : null,
+          dueAt: new Date((refreshedAt ?? 0) + ms).toISOString(),
+        };
+      }),
+      recent,
+    };
+  }
+
+  return { start, stop, runOnce, snapshot };
+}
@@ -0,0 +1,163 @@
+import { PAYLOAD_LISTS, itemRank, listItems } from './charts.mjs';
+import { normalizeTitle } from './matching.mjs';
+
+const FIELD_WEIGHTS = { name: 3, developer: 2, genre: 1 };
+const MATCH_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+
+export const SEARCH_LISTS = PAYLOAD_LISTS;
+
+function terms(value) {
+  const normalized = normalizeTitle(value);
+  return normalized ? normalized.split(' ') : [];
+}
+
+function maxEdits(token) {
+  if (token.length >= 8) {
+    return 2;
+  }
+  return token.length >= 4 ? 1 : 0;
+}
+
+export function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      best = Math.min(best, current[j]);
+    }
+    if (best > limit) {
+      return limit + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function addPosting(postings, term, key, field) {
+  const documents = postings.get(term) ?? new Map();
+  const fields = documents.get(key) ?? new Set();
+  fields.add(field);
+  documents.set(key, fields);
+  postings.set(term, documents);
+}
+
+function indexDocument(postings, key, document) {
+  terms(document.name).forEach((term) => addPosting(postings, term, key, 'name'));
+  terms(document.developer).forEach((term) => addPosting(postings, term, key, 'developer'));
+  document.genres.forEach((genre) =>
+    terms(genre).forEach((term) => addPosting(postings, term, key, 'genre'))
+  );
+}
+
+export function buildSearchIndex(payloads) {
+  const documents = new Map();
+  const postings = new Map();
+
+  payloads.forEach((payload) => {
+    if (!payload?.store || !payload.country) {
+      return;
+    }
+    SEARCH_LISTS.forEach((list) => {
+      listItems(payload, list).forEach((item, index) => {
+        if (!item?.id) {
+          return;
+        }
+        const key = `${payload.store}:${item.id}`;
+        let document = documents.get(key);
+        if (!document) {
+          document = {
+            store: payload.store,
+            id: item.id,
+            name: item.name ?? null,
+            developer: item.developer ?? null,
+            genres: item.genres ?? [],
+            url: item.url ?? null,
+            artwork: item.artwork ?? null,
+            charts: [],
+          };
+          documents.set(key, document);
+          indexDocument(postings, key, document);
+        }
+        document.charts.push({ country: payload.country, list, rank: itemRank(item, index) });
+      });
+    });
+  });
+
+  return { documents, postings, builtAt: new Date().toISOString() };
+}
+
+function matchTerms(index, token) {
+  const edits = maxEdits(token);
+  const matches = new Map();
+  index.postings.forEach((_, term) => {
+    if (term === token) {
+      matches.set(term, MATCH_SCORES.exact);
+    } else if (term.startsWith(token)) {
+      matches.set(term, MATCH_SCORES.prefix);
+    } else if (edits > 0 && editDistance(term, token, edits) <= edits) {
+      matches.set(term, MATCH_SCORES.fuzzy);
+    }
+  });
+  return matches;
+}
+
+function scoreToken(index, token) {
+  const scores = new Map();
+  matchTerms(index, token).forEach((matchScore, term) => {
+    index.postings.get(term).forEach((fields, key) => {
+      fields.forEach((field) => {
+        const score = matchScore * FIELD_WEIGHTS[field];
+        if (score > (scores.get(key)?.score ?? 0)) {
+          scores.set(key, { score, field });
+        }
+      });
+    });
+  });
+  return scores;
+}
+
+function compareCharts(a, b) {
+  return a.country.localeCompare(b.country) || a.list.localeCompare(b.list) || a.rank - b.rank;
+}
+
+export function searchApps(index, query, { store = null, country = null, list = null } = {}) {
+  const tokens = terms(query);
+  if (tokens.length === 0) {
+    return [];
+  }
+  const [first, ...rest] = tokens.map((token) => scoreToken(index, token));
+
+  return [...first.keys()]
+    .filter((key) => rest.every((scores) => scores.has(key)))
+    .map((key) => {
+      const document = index.documents.get(key);
+      const matches = [first, ...rest].map((scores) => scores.get(key));
+      const charts = document.charts
+        .filter(
+          (chart) => (!country || chart.country === country) && (!list || chart.list === list)
+        )
+        .sort(compareCharts);
+      return {
+        ...document,
+        score: matches.reduce((total, match) => total + match.score, 0),
+        matchedFields: [...new Set(matches.map((match) => match.field))],
+        countryCount: new Set(charts.map((chart) => chart.country)).size,
+        bestRank: Math.min(...charts.map((chart) => chart.rank)),
+        charts,
+      };
+    })
+    .filter((result) => (!store || result.store === store) && result.charts.length > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.countryCount - a.countryCount ||
+        a.bestRank - b.bestRank ||
+        (a.name ?? '').localeCompare(b.name ?? '')
+    );
+}
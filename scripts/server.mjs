@@ -2,19 +2,112 @@ import http from 'http';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { fetchAppleData } from './apple.mjs';
-import { fetchGoogleData } from './google.mjs';
-import { loadJson } from './util.mjs';
+import { createCache } from './cache.mjs';
+import {
+  dispatchAlerts,
+  loadRules,
+  publicRule,
+  sampleEvent,
+  saveRules,
+  validateRule,
+} from './alerts.mjs';
+import { getLookupMetrics } from './apple.mjs';
+import { PAYLOAD_LISTS, isChart, selectChart } from './charts.mjs';
+import { buildDeveloperIndex, searchDevelopers, summarizeDeveloper } from './developers.mjs';
+import { createErrorRecord, mergeErrors } from './errors.mjs';
+import { detectChartEvents } from './events.mjs';
+import {
+  EXPORT_FORMATS,
+  EXPORT_LISTS,
+  EXPORT_PRICES,
+  EXPORT_RANGES,
+  EXPORT_TYPES,
+  exportRows,
+  renderExport,
+} from './export.mjs';
+import { describeGenres, filterPayloadByGenre, findGenre } from './genres.mjs';
+import { GLOBAL_LIMIT, WORLDWIDE, buildGlobal } from './global.mjs';
+import { getMovers, loadHistory, recordSnapshot } from './history.mjs';
+import { loadOverrides, matchPayloads } from './matching.mjs';
+import {
+  describeStore,
+  emptyPayload,
+  getStore,
+  listStores,
+  listTypes,
+  storesForCountry,
+} from './stores.mjs';
+import { CACHE_DIR, DATA_DIR, ROOT } from './paths.mjs';
+import { PRICE_CHANGES, listPriceChanges, loadPrices, recordPrices } from './prices.mjs';
+import { loadPresets, savePresets, validatePreset } from './presets.mjs';
+import { getUpstreamStates } from './ratelimit.mjs';
+import { createScheduler, parsePriorities } from './scheduler.mjs';
+import { SEARCH_LISTS, buildSearchIndex, searchApps } from './search.mjs';
+import {
+  MAJOR_MARKETS,
+  MAX_MARKETS,
+  filterSoftLaunches,
+  loadSoftLaunches,
+  updateSoftLaunches,
+} from './softlaunch.mjs';
+import { createEventStream, diffPayloads, hasChanges } from './stream.mjs';
+import { getTransportMode } from './transport.mjs';
+import { DAY_MS, invalid, loadJson, updateJson } from './util.mjs';
+import { deliverWebhook, loadDeliveries, redactUrl } from './webhooks.mjs';
+import {
+  emptyWatchlist,
+  filterWatchEvents,
+  loadWatchEvents,
+  loadWatchlist,
+  recordWatchEvents,
+  saveWatchlist,
+  selectWatchEvents,
+  unwatchApp,
+  unwatchDeveloper,
+  watchApp,
+  watchDeveloper,
+} from './watchlist.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.join(__dirname, '..');
 const COUNTRIES_PATH = path.join(ROOT, 'countries.json');
+const META_PATH = path.join(DATA_DIR, 'meta.json');
 
 const PORT = Number.parseInt(process.env.PORT ?? '8787', 10);
 const CACHE_TTL_MS = Number.parseInt(process.env.CACHE_TTL_MS ?? '300000', 10);
+const GLOBAL_MAX_LIMIT = 500;
+const LIST_LIMIT = 50;
+const EVENTS_LIMIT = 100;
+const WATCH_ROUTE = /^\/api\/watchlist\/(developers|apps)\/([^/]+)$/;
+const RULE_ROUTE = /^\/api\/alerts\/rules\/([^/]+)$/;
+const RULE_TEST_ROUTE = /^\/api\/alerts\/rules\/([^/]+)\/test$/;
+const PRESET_ROUTE = /^\/api\/presets\/([^/]+)$/;
+const EXPORT_ROUTE = /^\/api\/country\/([^/]+)\/export$/;
+const VIEW_TABS = ['matches', 'soft-launches'];
+const ROUTE_METHODS = [
+  [WATCH_ROUTE, ['POST', 'DELETE']],
+  [/^\/api\/alerts\/rules$/, ['GET', 'POST']],
+  [RULE_ROUTE, ['GET', 'PUT', 'DELETE']],
+  [RULE_TEST_ROUTE, ['POST']],
+  [/^\/api\/presets$/, ['GET', 'POST']],
+  [PRESET_ROUTE, ['GET', 'PUT', 'DELETE']],
+];
+const MAX_BODY_BYTES = 64 * 1024;
+const SCHEDULER_ENABLED = (process.env.SCHEDULER ?? 'off') === 'on';
+const SCHEDULER_INTERVAL_MS = Number.parseInt(process.env.SCHEDULER_INTERVAL_MS ?? '60000', 10);
+const SCHEDULER_BATCH = Number.parseInt(process.env.SCHEDULER_BATCH ?? '10', 10);
+const SCHEDULER_PRIORITY = process.env.SCHEDULER_PRIORITY ?? 'US:5,JP:5,KR:5';
 
-const cache = new Map();
+const cache = createCache();
+const genreCache = createCache(undefined, {
+  dir: path.join(CACHE_DIR, 'payloads', 'genres'),
+  snapshotDir: null,
+});
 const inFlight = new Map();
+const stream = createEventStream();
+let scheduler = null;
+let watchlist = emptyWatchlist();
+let alertRules = [];
+let presets = [];
+let searchIndex = null;
 let countryCodes = [];
 let countries = [];
 
@@ -51,7 +144,7 @@ function isFresh(entry) {
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 }
 
@@ -64,7 +157,7 @@ function sendJson(res, status, body) {
   res.end(`${JSON.stringify(body, null, 2)}\n`);
 }
 
-function toSummaryEntry(data) {
+function toSummaryEntry(data, entry = null) {
   if (!data) {
     return null;
   }
@@ -73,6 +166,13 @@ function toSummaryEntry(data) {
     newCount: data.new?.length ?? 0,
     updatedCount: data.updated?.length ?? 0,
     errorCount: data.errors?.length ?? 0,
+    ...(entry
+      ? {
+          source: entry.source,
+          fetchedAt: new Date(entry.fetchedAt).toISOString(),
+          stale: !isFresh(entry),
+        }
+      : {}),
   };
 }
 
@@ -81,62 +181,494 @@ function buildSummary() {
     generatedAt: new Date().toISOString(),
     meta: {
       cacheTtlMs: CACHE_TTL_MS,
+      cacheBackend: cache.backend,
       countries: countryCodes.length,
+      stores: listStores().map(describeStore),
     },
-    countries: countries.map(({ code, name }) => {
-      const apple = cache.get(`apple:${code}`)?.data;
-      const google = cache.get(`google:${code}`)?.data;
-      return {
-        code,
-        name,
-        apple: toSummaryEntry(apple),
-        google: toSummaryEntry(google),
-      };
-    }),
+    countries: countries.map(({ code, name }) => ({
+      code,
+      name,
+      ...Object.fromEntries(
+        listStores().map((store) => {
+          const entry = cache.get(`${store.id}:${code}`);
+          return [store.id, toSummaryEntry(entry?.data, entry)];
+        })
+      ),
+    })),
+  };
+}
+
+function buildErrorReport(params) {
+  const country = params.get('country')?.toUpperCase() ?? null;
+  const store = params.get('store') ?? null;
+  const stage = params.get('stage') ?? null;
+  const errors = [];
+
+  for (const { data } of cache.values()) {
+    if (!data || (country && data.country !== country) || (store && data.store !== store)) {
+      continue;
+    }
+    (data.errors ?? [])
+      .filter((record) => !stage || record.stage === stage)
+      .forEach((record) => errors.push({ country: data.country, ...record, store: data.store }));
+  }
+
+  errors.sort((a, b) => new Date(b.lastAt).getTime() - new Date(a.lastAt).getTime());
+  return {
+    generatedAt: new Date().toISOString(),
+    total: errors.reduce((sum, record) => sum + (record.count ?? 1), 0),
+    errors,
+  };
+}
+
+function buildGlobalReport(params) {
+  const store = params.get('store') ?? null;
+  const payloadsByStore = Object.fromEntries(
+    listStores()
+      .filter((entry) => !store || entry.id === store)
+      .map((entry) => [entry.id, []])
+  );
+
+  for (const { data } of cache.values()) {
+    payloadsByStore[data?.store]?.push(data);
+  }
+
+  return buildGlobal(payloadsByStore, {
+    limit: Math.min(parseLimit(params, GLOBAL_LIMIT), GLOBAL_MAX_LIMIT),
+  });
+}
+
+function cachedPayloads(store) {
+  return [...cache.values()].map(({ data }) => data).filter((data) => data?.store === store);
+}
+
+async function buildSoftLaunchReport(params) {
+  const store = params.get('store') ?? null;
+  const minMarkets = Number.parseInt(params.get('minMarkets') ?? '1', 10);
+  const filters = {
+    genre: params.get('genre') || null,
+    status: params.get('status') || null,
+    minMarkets: Number.isNaN(minMarkets) ? 1 : minMarkets,
+  };
+  const stores = listStores().filter((entry) => !store || entry.id === store);
+  const trackers = await Promise.all(stores.map((entry) => loadSoftLaunches(entry.id)));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    majorMarkets: MAJOR_MARKETS,
+    maxMarkets: MAX_MARKETS,
+    apps: trackers
+      .flatMap((tracker) => filterSoftLaunches(tracker, filters))
+      .sort((a, b) => new Date(b.detectedAt).getTime() - new Date(a.detectedAt).getTime()),
+  };
+}
+
+function parseLimit(params, fallback) {
+  const limit = Number.parseInt(params.get('limit') ?? `${fallback}`, 10);
+  return Number.isNaN(limit) || limit < 1 ? fallback : limit;
+}
+
+function developerIndex() {
+  return buildDeveloperIndex([...cache.values()].map(({ data }) => data));
+}
+
+function buildDeveloperList(params) {
+  const developers = searchDevelopers(developerIndex(), {
+    query: params.get('q') || null,
+    store: params.get('store') || null,
+  });
+  return {
+    generatedAt: new Date().toISOString(),
+    total: developers.length,
+    developers: developers.slice(0, parseLimit(params, LIST_LIMIT)).map((developer) => ({
+      ...summarizeDeveloper(developer),
+      watched: watchlist.developers.includes(developer.id),
+    })),
+  };
+}
+
+async function buildDeveloperDetail(id) {
+  const developer = developerIndex().get(id);
+  if (!developer) {
+    return null;
+  }
+  return {
+    ...developer,
+    watched: watchlist.developers.includes(id),
+    events: filterWatchEvents(await loadWatchEvents(), { developer: id }).slice(0, EVENTS_LIMIT),
+  };
+}
+
+async function updateWatchlist(method, kind, id, params) {
+  const store = params.get('store') || null;
+  if (kind === 'developers') {
+    watchlist = method === 'POST' ? watchDeveloper(watchlist, id) : unwatchDeveloper(watchlist, id);
+  } else {
+    const app = { store, id };
+    watchlist = method === 'POST' ? watchApp(watchlist, app) : unwatchApp(watchlist, app);
+  }
+  watchlist = await saveWatchlist(watchlist);
+  return watchlist;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(invalid('Request body too large', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        const parseError = new Error(`Invalid JSON body: ${error.message}`);
+        parseError.status = 400;
+        reject(parseError);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendError(res, error) {
+  sendJson(res, error.status ?? 500, { error: error.message });
+}
+
+function sendDownload(res, { body, contentType, filename }) {
+  setCors(res);
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  });
+  res.end(body);
+}
+
+function pickExportOption(params, key, options) {
+  const value = params.get(key) || options[0];
+  if (!options.includes(value)) {
+    throw invalid(`${key} must be one of ${options.join(', ')}`);
+  }
+  return value;
+}
+
+function parseExportOptions(params) {
+  const storeId = params.get('store') || null;
+  if (storeId && !getStore(storeId)) {
+    throw invalid('Unknown store');
+  }
+  const type = params.get('type') || null;
+  if (type && !EXPORT_TYPES.includes(type)) {
+    throw invalid(`type must be one of ${EXPORT_TYPES.join(', ')}`);
+  }
+  return {
+    format: pickExportOption(params, 'format', EXPORT_FORMATS),
+    time: pickExportOption(params, 'time', EXPORT_RANGES),
+    price: pickExportOption(params, 'price', EXPORT_PRICES),
+    storeId,
+    type,
+    lists: type ? [type] : EXPORT_LISTS,
+  };
+}
+
+function renderDownload(rows, scope, options) {
+  const date = new Date().toISOString().slice(0, 10);
+  const parts = [scope, options.storeId ?? 'all', options.type ?? 'all', date];
+  return {
+    ...renderExport(rows, options.format),
+    filename: `store-scrap-${parts.join('-')}.${options.format}`,
+  };
+}
+
+async function exportCountry(code, params) {
+  const options = parseExportOptions(params);
+  const genreParam = params.get('genre');
+  const genre = findGenre(genreParam);
+  if (genreParam && !genre) {
+    throw invalid(`Unknown genre "${genreParam}"`);
+  }
+  const entries = await Promise.all(
+    storesForCountry(code)
+      .filter((store) => !options.storeId || store.id === options.storeId)
+      .map((store) => (genre ? getGenreData(store.id, code, genre) : getStoreData(store.id, code)))
+  );
+  const rows = exportRows(entries.map((entry) => entry.data), options);
+  return renderDownload(rows, genre ? `${code}-${genre.id}` : code, options);
+}
+
+function loadSnapshot(store, code) {
+  const filePath = path.join(DATA_DIR, store, `${code}.json`);
+  return loadJson(filePath, null, { quarantine: true }).catch((error) => {
+    console.warn(`Skipping unreadable snapshot for ${store}:${code}`, error.message);
+    return null;
+  });
+}
+
+async function exportSnapshots(params) {
+  const options = parseExportOptions(params);
+  const requested = params.get('countries')
+    ? params
+        .get('countries')
+        .split(',')
+        .map((code) => code.trim().toUpperCase())
+        .filter(Boolean)
+    : countryCodes;
+  const unknown = requested.find((code) => !countryCodes.includes(code));
+  if (unknown) {
+    throw invalid(`Unknown country "${unknown}"`);
+  }
+  const payloads = await Promise.all(
+    requested.flatMap((code) =>
+      storesForCountry(code)
+        .filter((store) => !options.storeId || store.id === options.storeId)
+        .map((store) => loadSnapshot(store.id, code))
+    )
+  );
+  const scope = requested.length === 1 ? requested[0] : 'bulk';
+  return renderDownload(exportRows(payloads, options), scope, options);
+}
+
+async function handleAlertRules(req, url) {
+  const stores = listStores().map((store) => store.id);
+  if (url.pathname === '/api/alerts/rules') {
+    if (req.method === 'GET') {
+      return { status: 200, body: { rules: alertRules.map(publicRule) } };
+    }
+    const rule = validateRule(await readJsonBody(req), { stores });
+    alertRules = await saveRules([...alertRules, rule]);
+    return { status: 201, body: publicRule(rule) };
+  }
+
+  const testMatch = url.pathname.match(RULE_TEST_ROUTE);
+  const id = decodeURIComponent((testMatch ?? url.pathname.match(RULE_ROUTE))[1]);
+  const existing = alertRules.find((rule) => rule.id === id);
+  if (!existing) {
+    return { status: 404, body: { error: 'Unknown rule' } };
+  }
+  if (testMatch) {
+    return { status: 200, body: await deliverWebhook(existing, [sampleEvent(existing)]) };
+  }
+  if (req.method === 'GET') {
+    return { status: 200, body: publicRule(existing) };
+  }
+  if (req.method === 'DELETE') {
+    alertRules = await saveRules(alertRules.filter((rule) => rule.id !== id));
+    return { status: 200, body: { deleted: id } };
+  }
+  const body = await readJsonBody(req);
+  const rule = validateRule(
+    {
+      ...existing,
+      ...body,
+      match: { ...existing.match, ...body.match },
+      webhook: { ...existing.webhook, ...body.webhook },
+    },
+    { stores, existing }
+  );
+  alertRules = await saveRules(alertRules.map((entry) => (entry.id === id ? rule : entry)));
+  return { status: 200, body: publicRule(rule) };
+}
+
+function viewOptions() {
+  const tabs = listStores().flatMap((store) =>
+    listTypes(store).map((type) => `${store.id}-${type}`)
+  );
+  return { countries: [...countryCodes, WORLDWIDE], tabs: [...tabs, ...VIEW_TABS], presets };
+}
+
+async function handlePresets(req, url) {
+  if (url.pathname === '/api/presets') {
+    if (req.method === 'GET') {
+      return { status: 200, body: { presets } };
+    }
+    const preset = validatePreset(await readJsonBody(req), viewOptions());
+    presets = await savePresets([...presets, preset]);
+    return { status: 201, body: preset };
+  }
+
+  const id = decodeURIComponent(url.pathname.match(PRESET_ROUTE)[1]);
+  const existing = presets.find((preset) => preset.id === id);
+  if (!existing) {
+    return { status: 404, body: { error: 'Unknown preset' } };
+  }
+  if (req.method === 'GET') {
+    return { status: 200, body: existing };
+  }
+  if (req.method === 'DELETE') {
+    presets = await savePresets(presets.filter((preset) => preset.id !== id));
+    return { status: 200, body: { deleted: id } };
+  }
+  const body = await readJsonBody(req);
+  const preset = validatePreset(
+    { ...existing, ...body, view: { ...existing.view, ...body.view } },
+    { ...viewOptions(), existing }
+  );
+  presets = await savePresets(presets.map((entry) => (entry.id === id ? preset : entry)));
+  return { status: 200, body: preset };
+}
+
+function getSearchIndex() {
+  if (!searchIndex) {
+    searchIndex = Promise.all(
+      countryCodes.flatMap((code) =>
+        storesForCountry(code).map(
+          (store) => cache.get(`${store.id}:${code}`)?.data ?? loadSnapshot(store.id, code)
+        )
+      )
+    ).then(buildSearchIndex);
+  }
+  return searchIndex;
+}
+
+async function buildSearch(params) {
+  const query = params.get('q')?.trim() ?? '';
+  if (!query) {
+    throw invalid('q is required');
+  }
+  const store = params.get('store') || null;
+  if (store && !getStore(store)) {
+    throw invalid('Unknown store');
+  }
+  const country = params.get('country')?.toUpperCase() || null;
+  if (country && !countryCodes.includes(country)) {
+    throw invalid(`Unknown country "${country}"`);
+  }
+  const list = params.get('list') || null;
+  if (list && !SEARCH_LISTS.includes(list)) {
+    throw invalid(`list must be one of ${SEARCH_LISTS.join(', ')}`);
+  }
+  const index = await getSearchIndex();
+  const results = searchApps(index, query, { store, country, list });
+  return {
+    query,
+    indexedAt: index.builtAt,
+    indexed: index.documents.size,
+    total: results.length,
+    results: results.slice(0, parseLimit(params, LIST_LIMIT)),
   };
 }
 
+function refreshStoreData(store, country) {
+  const key = `${store}:${country}`;
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = (async () => {
+    const previousData = cache.get(key)?.data ?? null;
+    const observed = [];
+    let data;
+    try {
+      data = await getStore(store).fetch(country, { previousData });
+      observed.push(data);
+      data = await recordSnapshot(store, country, data).catch((error) => {
+        console.warn(`History update failed for ${key}`, error.message);
+        return data;
+      });
+      data = await recordPrices(store, country, data).catch((error) => {
+        console.warn(`Price history update failed for ${key}`, error.message);
+        return data;
+      });
+    } catch (error) {
+      data = {
+        ...(previousData ?? emptyPayload(store, country)),
+        ...(previousData ? { preservedAt: new Date().toISOString() } : {}),
+        errors: [createErrorRecord(error, { store, preserved: Boolean(previousData) })],
+      };
+    }
+    data = {
+      ...data,
+      errors: mergeErrors(previousData?.errors, data.errors, {
+        store,
+        fallbackAt: previousData?.updatedAt,
+      }),
+    };
+    await cache.set(key, { data, fetchedAt: Date.now(), source: 'live' }).catch((error) => {
+      console.warn(`Cache write failed for ${key}`, error.message);
+    });
+    searchIndex = null;
+    await updateSoftLaunches(store, cachedPayloads(store), { observed }).catch((error) => {
+      console.warn(`Soft-launch update failed for ${key}`, error.message);
+    });
+    const events = detectChartEvents(previousData, data, { store, country });
+    const watchEvents = selectWatchEvents(watchlist, events);
+    await recordWatchEvents(watchEvents);
+    dispatchAlerts(events, { rules: alertRules }).catch((error) => {
+      console.warn(`Alert dispatch failed for ${key}`, error.message);
+    });
+    inFlight.delete(key);
+    if (watchEvents.length > 0) {
+      stream.publish('watch', { key, store, country, events: watchEvents });
+    }
+    const changes = diffPayloads(previousData, data);
+    if (hasChanges(changes)) {
+      stream.publish('refresh', {
+        key,
+        store,
+        country,
+        updatedAt: data.updatedAt,
+        preservedAt: data.preservedAt ?? null,
+        summary: toSummaryEntry(data),
+        changes,
+      });
+    }
+    return data;
+  })();
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
 async function getStoreData(store, country, { force = false } = {}) {
   const key = `${store}:${country}`;
   const cached = cache.get(key);
   if (!force && isFresh(cached)) {
-    return cached.data;
+    return { data: cached.data, source: cached.source === 'disk' ? 'disk' : 'cache' };
+  }
+  if (!force && cached) {
+    refreshStoreData(store, country).catch((error) => {
+      console.warn(`Background refresh failed for ${key}`, error.message);
+    });
+    return { data: cached.data, source: cached.source === 'disk' ? 'disk' : 'cache' };
   }
+  return { data: await refreshStoreData(store, country), source: 'live' };
+}
+
+function refreshGenreData(store, country, genre) {
+  const key = `${store}:${country}:${genre.id}`;
   if (inFlight.has(key)) {
     return inFlight.get(key);
   }
 
   const promise = (async () => {
+    const previousData = genreCache.get(key)?.data ?? null;
     let data;
     try {
-      if (store === 'apple') {
-        data = await fetchAppleData(country);
-      } else {
-        data = await fetchGoogleData(country, cached?.data ?? null);
-      }
+      data = await getStore(store).fetch(country, { previousData, genre });
     } catch (error) {
-      const fallback = cached?.data ?? null;
-      if (fallback) {
-        data = {
-          ...fallback,
-          preservedAt: new Date().toISOString(),
-          errors: [
-            ...(fallback.errors ?? []),
-            { message: error.message, preserved: true },
-          ],
-        };
-      } else {
-        data = {
-          country,
-          store,
-          updatedAt: new Date().toISOString(),
-          new: [],
-          updated: [],
-          errors: [{ message: error.message }],
-        };
-      }
+      data = {
+        ...(previousData ?? { ...emptyPayload(store, country), genre: genre.id }),
+        ...(previousData ? { preservedAt: new Date().toISOString() } : {}),
+        errors: [createErrorRecord(error, { store, preserved: Boolean(previousData) })],
+      };
     }
-    cache.set(key, { data, fetchedAt: Date.now() });
+    data = {
+      ...data,
+      errors: mergeErrors(previousData?.errors, data.errors, {
+        store,
+        fallbackAt: previousData?.updatedAt,
+      }),
+    };
+    await genreCache.set(key, { data, fetchedAt: Date.now(), source: 'live' }).catch((error) => {
+      console.warn(`Cache write failed for ${key}`, error.message);
+    });
     inFlight.delete(key);
     return data;
   })();
@@ -145,6 +677,52 @@ async function getStoreData(store, country, { force = false } = {}) {
   return promise;
 }
 
+async function getGenreData(store, country, genre, { force = false } = {}) {
+  const adapter = getStore(store);
+  if (!adapter.capabilities.genres || !genre[store]) {
+    const entry = await getStoreData(store, country, { force });
+    return { data: filterPayloadByGenre(entry.data, genre), source: entry.source };
+  }
+  const key = `${store}:${country}:${genre.id}`;
+  const cached = genreCache.get(key);
+  if (!force && isFresh(cached)) {
+    return { data: cached.data, source: 'cache' };
+  }
+  if (!force && cached) {
+    refreshGenreData(store, country, genre).catch((error) => {
+      console.warn(`Background refresh failed for ${key}`, error.message);
+    });
+    return { data: cached.data, source: 'cache' };
+  }
+  return { data: await refreshGenreData(store, country, genre), source: 'live' };
+}
+
+async function refreshCountry(country) {
+  const startedAt = Date.now();
+  const payloads = await Promise.all(
+    storesForCountry(country).map((store) => {
+      const entry = cache.get(`${store.id}:${country}`);
+      return isFresh(entry) ? entry.data : refreshStoreData(store.id, country);
+    })
+  );
+  return payloads.every((data) =>
+    (data.errors ?? []).every((record) => new Date(record.lastAt).getTime() < startedAt)
+  );
+}
+
+async function loadCursor() {
+  const meta = await loadJson(META_PATH, {});
+  return meta.incrementalCursor ?? 0;
+}
+
+async function saveCursor(cursor) {
+  await updateJson(META_PATH, {}, (meta) => ({
+    ...meta,
+    incrementalCursor: cursor,
+    schedulerRunAt: new Date().toISOString(),
+  }));
+}
+
 function resolveStaticPath(urlPath) {
   const decoded = decodeURIComponent(urlPath);
   const safePath = path.resolve(ROOT, `.${decoded}`);
@@ -183,7 +761,7 @@ async function serveStatic(req, res) {
   }
 }
 
-function handleApi(req, res) {
+export function handleApi(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   if (req.method === 'OPTIONS') {
     setCors(res);
@@ -191,7 +769,8 @@ function handleApi(req, res) {
     res.end();
     return;
   }
-  if (req.method !== 'GET') {
+  const methods = ROUTE_METHODS.find(([route]) => route.test(url.pathname))?.[1] ?? ['GET'];
+  if (!methods.includes(req.method)) {
     sendJson(res, 405, { error: 'Method not allowed' });
     return;
   }
@@ -201,11 +780,299 @@ function handleApi(req, res) {
     return;
   }
 
+  if (url.pathname === '/api/stores') {
+    sendJson(res, 200, { stores: listStores().map(describeStore) });
+    return;
+  }
+
+  if (url.pathname === '/api/genres') {
+    sendJson(res, 200, { genres: describeGenres(listStores()) });
+    return;
+  }
+
+  if (url.pathname === '/api/errors') {
+    sendJson(res, 200, buildErrorReport(url.searchParams));
+    return;
+  }
+
+  if (url.pathname === '/api/global') {
+    const store = url.searchParams.get('store');
+    if (store && !getStore(store)) {
+      sendJson(res, 400, { error: 'Unknown store' });
+      return;
+    }
+    sendJson(res, 200, buildGlobalReport(url.searchParams));
+    return;
+  }
+
+  if (url.pathname === '/api/soft-launches') {
+    const store = url.searchParams.get('store');
+    if (store && !getStore(store)) {
+      sendJson(res, 400, { error: 'Unknown store' });
+      return;
+    }
+    buildSoftLaunchReport(url.searchParams)
+      .then((report) => sendJson(res, 200, report))
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (url.pathname === '/api/stream') {
+    const country = url.searchParams.get('country')?.toUpperCase() || null;
+    if (country && !countryCodes.includes(country)) {
+      sendJson(res, 404, { error: 'Unknown country code' });
+      return;
+    }
+    stream.subscribe(req, res, { country });
+    return;
+  }
+
   if (url.pathname === '/api/health') {
     sendJson(res, 200, { ok: true, timestamp: new Date().toISOString() });
     return;
   }
 
+  if (url.pathname === '/api/search') {
+    buildSearch(url.searchParams)
+      .then((body) => sendJson(res, 200, body))
+      .catch((error) => sendError(res, error));
+    return;
+  }
+
+  if (url.pathname === '/api/developers') {
+    sendJson(res, 200, buildDeveloperList(url.searchParams));
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/developers/')) {
+    const id = decodeURIComponent(url.pathname.split('/').pop() ?? '');
+    buildDeveloperDetail(id)
+      .then((developer) => {
+        if (!developer) {
+          sendJson(res, 404, { error: 'Unknown developer' });
+          return;
+        }
+        sendJson(res, 200, developer);
+      })
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (url.pathname === '/api/watchlist') {
+    sendJson(res, 200, watchlist);
+    return;
+  }
+
+  if (url.pathname === '/api/watchlist/events') {
+    const params = url.searchParams;
+    loadWatchEvents()
+      .then((events) => {
+        const filtered = filterWatchEvents(events, {
+          type: params.get('type') || null,
+          store: params.get('store') || null,
+          country: params.get('country')?.toUpperCase() || null,
+          developer: params.get('developer') || null,
+          app: params.get('app') || null,
+          since: params.get('since') || null,
+        });
+        sendJson(res, 200, {
+          total: filtered.length,
+          events: filtered.slice(0, parseLimit(params, EVENTS_LIMIT)),
+        });
+      })
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (
+    url.pathname === '/api/alerts/rules' ||
+    RULE_ROUTE.test(url.pathname) ||
+    RULE_TEST_ROUTE.test(url.pathname)
+  ) {
+    handleAlertRules(req, url)
+      .then(({ status, body }) => sendJson(res, status, body))
+      .catch((error) => sendError(res, error));
+    return;
+  }
+
+  if (url.pathname === '/api/presets' || PRESET_ROUTE.test(url.pathname)) {
+    handlePresets(req, url)
+      .then(({ status, body }) => sendJson(res, status, body))
+      .catch((error) => sendError(res, error));
+    return;
+  }
+
+  if (url.pathname === '/api/alerts/deliveries') {
+    const ruleId = url.searchParams.get('rule');
+    loadDeliveries()
+      .then((deliveries) => {
+        const filtered = deliveries
+          .filter((delivery) => !ruleId || delivery.ruleId === ruleId)
+          .reverse();
+        sendJson(res, 200, {
+          total: filtered.length,
+          deliveries: filtered
+            .slice(0, parseLimit(url.searchParams, LIST_LIMIT))
+            .map((delivery) => ({ ...delivery, url: redactUrl(delivery.url) })),
+        });
+      })
+      .catch((error) => sendError(res, error));
+    return;
+  }
+
+  const watchMatch = url.pathname.match(WATCH_ROUTE);
+  if (watchMatch) {
+    const [, kind, rawId] = watchMatch;
+    const id = decodeURIComponent(rawId);
+    const store = url.searchParams.get('store');
+    if (store && !getStore(store)) {
+      sendJson(res, 400, { error: 'Unknown store' });
+      return;
+    }
+    updateWatchlist(req.method, kind, id, url.searchParams)
+      .then((next) => sendJson(res, 200, next))
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (url.pathname === '/api/lookups') {
+    sendJson(res, 200, { generatedAt: new Date().toISOString(), itunes: getLookupMetrics() });
+    return;
+  }
+
+  if (url.pathname === '/api/upstreams') {
+    sendJson(res, 200, { generatedAt: new Date().toISOString(), hosts: getUpstreamStates() });
+    return;
+  }
+
+  if (url.pathname === '/api/scheduler') {
+    sendJson(res, 200, {
+      generatedAt: new Date().toISOString(),
+      ...(scheduler?.snapshot() ?? { state: 'stopped' }),
+    });
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/history/')) {
+    const code = url.pathname.split('/').pop()?.toUpperCase();
+    if (!code || !countryCodes.includes(code)) {
+      sendJson(res, 404, { error: 'Unknown country code' });
+      return;
+    }
+    const store = url.searchParams.get('store') ?? 'apple';
+    if (!getStore(store)) {
+      sendJson(res, 400, { error: 'Unknown store' });
+      return;
+    }
+    const requested = url.searchParams.get('list');
+    const list = PAYLOAD_LISTS.includes(requested) ? requested : 'new';
+    const days = Number.parseFloat(url.searchParams.get('days') ?? '7');
+    const since = Date.now() - (Number.isNaN(days) ? 7 : days) * DAY_MS;
+
+    loadHistory(store, code)
+      .then((history) => {
+        sendJson(res, 200, {
+          country: code,
+          store,
+          list,
+          snapshots: history.snapshots.length,
+          movers: getMovers(history, { list, since }),
+          events: history.events.filter(
+            (event) => event.list === list && new Date(event.at).getTime() >= since
+          ),
+        });
+      })
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/prices/')) {
+    const code = url.pathname.split('/').pop()?.toUpperCase();
+    if (!code || !countryCodes.includes(code)) {
+      sendJson(res, 404, { error: 'Unknown country code' });
+      return;
+    }
+    const store = url.searchParams.get('store') ?? 'apple';
+    if (!getStore(store)) {
+      sendJson(res, 400, { error: 'Unknown store' });
+      return;
+    }
+    const change = url.searchParams.get('change') || null;
+    if (change && !PRICE_CHANGES.includes(change)) {
+      sendJson(res, 400, { error: `change must be one of ${PRICE_CHANGES.join(', ')}` });
+      return;
+    }
+    const id = url.searchParams.get('app') || null;
+    const days = Number.parseFloat(url.searchParams.get('days') ?? '30');
+    const since = Date.now() - (Number.isNaN(days) ? 30 : days) * DAY_MS;
+
+    loadPrices(store, code)
+      .then((prices) => {
+        const apps = listPriceChanges(prices, { id, change, since });
+        sendJson(res, 200, { country: code, store, count: apps.length, apps });
+      })
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/matches/')) {
+    const code = url.pathname.split('/').pop()?.toUpperCase();
+    if (!code || !countryCodes.includes(code)) {
+      sendJson(res, 404, { error: 'Unknown country code' });
+      return;
+    }
+    const supported = new Set(storesForCountry(code).map((store) => store.id));
+    if (!supported.has('apple') || !supported.has('google')) {
+      sendJson(res, 400, { error: 'Matching needs both Apple and Google data' });
+      return;
+    }
+
+    Promise.all([getStoreData('apple', code), getStoreData('google', code), loadOverrides()])
+      .then(([apple, google, overrides]) => {
+        sendJson(res, 200, {
+          country: code,
+          updatedAt: { apple: apple.data.updatedAt, google: google.data.updatedAt },
+          ...matchPayloads(apple.data, google.data, { overrides }),
+        });
+      })
+      .catch((error) => {
+        sendJson(res, 500, { error: error.message });
+      });
+    return;
+  }
+
+  if (url.pathname === '/api/export') {
+    exportSnapshots(url.searchParams)
+      .then((download) => sendDownload(res, download))
+      .catch((error) => sendError(res, error));
+    return;
+  }
+
+  const exportMatch = url.pathname.match(EXPORT_ROUTE);
+  if (exportMatch) {
+    const code = decodeURIComponent(exportMatch[1]).toUpperCase();
+    if (!countryCodes.includes(code)) {
+      sendJson(res, 404, { error: 'Unknown country code' });
+      return;
+    }
+    exportCountry(code, url.searchParams)
+      .then((download) => sendDownload(res, download))
+      .catch((error) => sendError(res, error));
+    return;
+  }
+
   if (url.pathname.startsWith('/api/country/')) {
     const code = url.pathname.split('/').pop()?.toUpperCase();
     if (!code || !countryCodes.includes(code)) {
@@ -213,10 +1080,41 @@ function handleApi(req, res) {
       return;
     }
     const force = url.searchParams.get('refresh') === '1' || url.searchParams.get('refresh') === 'true';
+    const genreParam = url.searchParams.get('genre');
+    const genre = findGenre(genreParam);
+    if (genreParam && !genre) {
+      sendJson(res, 400, { error: `Unknown genre "${genreParam}"` });
+      return;
+    }
+    const chart = url.searchParams.get('chart') || null;
+    if (chart && !isChart(chart)) {
+      sendJson(res, 400, { error: `Unknown chart "${chart}"` });
+      return;
+    }
 
-    Promise.all([getStoreData('apple', code, { force }), getStoreData('google', code, { force })])
-      .then(([apple, google]) => {
-        sendJson(res, 200, { country: code, apple, google });
+    const stores = listStores();
+    const supported = new Set(storesForCountry(code).map((store) => store.id));
+    const load = (store) =>
+      genre
+        ? getGenreData(store.id, code, genre, { force })
+        : getStoreData(store.id, code, { force });
+
+    Promise.all(stores.map((store) => (supported.has(store.id) ? load(store) : null)))
+      .then((entries) => {
+        sendJson(res, 200, {
+          country: code,
+          genre: genre?.id ?? null,
+          chart,
+          ...Object.fromEntries(
+            stores.map((store, index) => [
+              store.id,
+              selectChart(entries[index]?.data ?? null, chart),
+            ])
+          ),
+          sources: Object.fromEntries(
+            stores.map((store, index) => [store.id, entries[index]?.source ?? null])
+          ),
+        });
       })
       .catch((error) => {
         sendJson(res, 500, { error: error.message });
@@ -227,17 +1125,70 @@ function handleApi(req, res) {
   sendJson(res, 404, { error: 'Not found' });
 }
 
-await initCountries();
+function keepStreamCountriesWarm() {
+  stream.countries().forEach((country) => {
+    storesForCountry(country).forEach((store) => {
+      getStoreData(store.id, country).catch((error) => {
+        console.warn(`Stream refresh failed for ${store.id}:${country}`, error.message);
+      });
+    });
+  });
+}
+
+async function warmCache() {
+  const keys = countryCodes.flatMap((code) =>
+    storesForCountry(code).map((store) => `${store.id}:${code}`)
+  );
+  return cache.warm(keys);
+}
 
-const server = http.createServer((req, res) => {
-  if (req.url?.startsWith('/api/')) {
-    handleApi(req, res);
-    return;
+export async function createServer({ schedule = SCHEDULER_ENABLED } = {}) {
+  await initCountries();
+  watchlist = await loadWatchlist();
+  alertRules = await loadRules();
+  presets = await loadPresets();
+  const warmed = await warmCache();
+  if (warmed > 0) {
+    console.log(`Warmed ${warmed} cache entries from ${cache.backend} storage`);
   }
-  serveStatic(req, res);
-});
 
-server.listen(PORT, () => {
-  console.log(`Store Scrap server running at http://localhost:${PORT}`);
-  console.log(`Cache TTL: ${Math.round(CACHE_TTL_MS / 1000)}s`);
-});
+  const server = http.createServer((req, res) => {
+    if (req.url?.startsWith('/api/')) {
+      handleApi(req, res);
+      return;
+    }
+    serveStatic(req, res);
+  });
+  const warmTimer = setInterval(keepStreamCountriesWarm, Math.max(CACHE_TTL_MS, 30000));
+  warmTimer.unref();
+
+  scheduler?.stop();
+  scheduler = createScheduler({
+    countries: countryCodes,
+    refresh: refreshCountry,
+    batchSize: SCHEDULER_BATCH,
+    intervalMs: SCHEDULER_INTERVAL_MS,
+    priorities: parsePriorities(SCHEDULER_PRIORITY),
+    loadCursor,
+    saveCursor,
+  });
+  if (schedule) {
+    await scheduler.start();
+  }
+
+  server.on('close', () => {
+    clearInterval(warmTimer);
+    scheduler.stop();
+  });
+  return server;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = await createServer();
+  server.listen(PORT, () => {
+    console.log(`Store Scrap server running at http://localhost:${PORT}`);
+    console.log(`Cache TTL: ${Math.round(CACHE_TTL_MS / 1000)}s`);
+    console.log(`Upstream transport: ${getTransportMode()}`);
+    console.log(`Scheduler: ${scheduler.snapshot().state}`);
+  });
+}
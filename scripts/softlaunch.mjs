@@ -0,0 +1,160 @@
+import path from 'path';
+import { aggregateList } from './global.mjs';
+import { DATA_DIR } from './paths.mjs';
+import { DAY_MS, loadJson, toTime, updateJson } from './util.mjs';
+
+const SOFT_LAUNCH_DIR = path.join(DATA_DIR, 'softlaunch');
+const RETENTION_MS =
+  Number.parseInt(process.env.SOFT_LAUNCH_RETENTION_DAYS ?? '90', 10) * DAY_MS;
+const APP_FIELDS = ['id', 'name', 'developer', 'url', 'artwork', 'price', 'isFree', 'releasedAt'];
+
+export const MAX_MARKETS = Number.parseInt(process.env.SOFT_LAUNCH_MAX_MARKETS ?? '8', 10);
+export const MAJOR_MARKETS = (process.env.SOFT_LAUNCH_MAJOR_MARKETS ?? 'US,CN,JP,KR,GB,DE,FR')
+  .split(',')
+  .map((code) => code.trim().toUpperCase())
+  .filter(Boolean);
+
+function trackerPath(store) {
+  return path.join(SOFT_LAUNCH_DIR, `${store}.json`);
+}
+
+export async function loadSoftLaunches(store) {
+  const tracker = await loadJson(trackerPath(store), null);
+  return tracker ?? { store, updatedAt: null, apps: {} };
+}
+
+function isCandidate(item, { majorMarkets, maxMarkets }) {
+  return (
+    item.countryCount <= maxMarkets &&
+    !item.countries.some((entry) => majorMarkets.includes(entry.country))
+  );
+}
+
+function statusFor(markets, { majorMarkets, maxMarkets }) {
+  if (markets.some((market) => majorMarkets.includes(market.country))) {
+    return 'launched';
+  }
+  return markets.length > maxMarkets ? 'expanding' : 'soft-launch';
+}
+
+function trackApp(known, item, at, options) {
+  const observed = options.observed;
+  const seen = new Set(item.countries.map(({ country }) => country));
+  const markets = new Map((known?.markets ?? []).map((market) => [market.country, market]));
+  const added = [];
+  const removed = [];
+
+  markets.forEach((market, country) => {
+    if (!seen.has(country) && toTime(observed[country]) > toTime(market.lastSeenAt)) {
+      markets.delete(country);
+      removed.push(country);
+    }
+  });
+  item.countries.forEach(({ country, rank, firstSeenAt }) => {
+    const market = markets.get(country);
+    const lastSeenAt = observed[country] ?? market?.lastSeenAt ?? at;
+    if (market) {
+      markets.set(country, { ...market, rank, lastSeenAt });
+      return;
+    }
+    markets.set(country, { country, rank, firstSeenAt: firstSeenAt ?? at, lastSeenAt });
+    added.push(markets.get(country));
+  });
+
+  const sortedMarkets = [...markets.values()].sort(
+    (a, b) => toTime(a.firstSeenAt) - toTime(b.firstSeenAt) || a.country.localeCompare(b.country)
+  );
+  const timeline = [...(known?.timeline ?? [])];
+  if (added.length > 0 || removed.length > 0) {
+    const addedAt = added
+      .map((market) => market.firstSeenAt)
+      .sort((a, b) => toTime(a) - toTime(b));
+    timeline.push({
+      at: addedAt[0] ?? at,
+      added: added.map((market) => market.country).sort(),
+      ...(removed.length > 0 ? { removed: removed.sort() } : {}),
+      marketCount: sortedMarkets.length,
+    });
+  }
+  const status = known?.launchedAt ? 'launched' : statusFor(sortedMarkets, options);
+
+  return {
+    ...Object.fromEntries(
+      APP_FIELDS.map((field) => [field, item[field] ?? known?.[field] ?? null])
+    ),
+    genres: item.genres ?? known?.genres ?? [],
+    status,
+    detectedAt: known?.detectedAt ?? at,
+    launchedAt: known?.launchedAt ?? (status === 'launched' ? at : null),
+    lastSeenAt: item.countries.length > 0 ? at : known.lastSeenAt,
+    marketCount: sortedMarkets.length,
+    currentMarkets: item.countries.length,
+    markets: sortedMarkets,
+    timeline,
+  };
+}
+
+export function trackSoftLaunches(tracker, items, options = {}) {
+  const {
+    at = new Date().toISOString(),
+    majorMarkets = MAJOR_MARKETS,
+    maxMarkets = MAX_MARKETS,
+    observed = {},
+    countries = null,
+  } = options;
+  const apps = { ...tracker.apps };
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const majorsCovered = !countries || majorMarkets.every((code) => countries.includes(code));
+
+  items.forEach((item) => {
+    const known = apps[item.id];
+    if (!known && (!majorsCovered || !isCandidate(item, { majorMarkets, maxMarkets }))) {
+      return;
+    }
+    apps[item.id] = trackApp(known, item, at, { majorMarkets, maxMarkets, observed });
+  });
+  Object.entries(apps).forEach(([id, known]) => {
+    if (!itemsById.has(id)) {
+      apps[id] = trackApp(known, { countries: [] }, at, { majorMarkets, maxMarkets, observed });
+    }
+  });
+
+  const cutoff = toTime(at) - RETENTION_MS;
+  return {
+    store: tracker.store,
+    updatedAt: at,
+    apps: Object.fromEntries(
+      Object.entries(apps).filter(([, app]) => toTime(app.lastSeenAt) >= cutoff)
+    ),
+  };
+}
+
+export function isCompletePayload(data) {
+  return Boolean(data?.country) && !data.preservedAt && (data.errors ?? []).length === 0;
+}
+
+export function updateSoftLaunches(store, payloads, { observed = [], ...options } = {}) {
+  const items = aggregateList(payloads, 'new');
+  const observedAt = Object.fromEntries(
+    observed.filter(isCompletePayload).map((data) => [data.country, data.updatedAt])
+  );
+  const countries = payloads.map((data) => data.country);
+  const empty = { store, updatedAt: null, apps: {} };
+  return updateJson(trackerPath(store), empty, (tracker) =>
+    trackSoftLaunches(tracker, items, { ...options, observed: observedAt, countries })
+  );
+}
+
+export function filterSoftLaunches(tracker, { genre = null, minMarkets = 1, status = null } = {}) {
+  const normalizedGenre = genre?.toLowerCase() ?? null;
+  return Object.values(tracker.apps)
+    .filter((app) => app.marketCount >= minMarkets)
+    .filter((app) => !status || app.status === status)
+    .filter(
+      (app) =>
+        !normalizedGenre ||
+        app.genres.some((entry) => entry.toLowerCase() === normalizedGenre)
+    )
+    .map((app) => ({ store: tracker.store, ...app }))
+    .sort((a, b) => toTime(b.detectedAt) - toTime(a.detectedAt) || b.marketCount - a.marketCount);
+}
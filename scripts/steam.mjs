@@ -0,0 +1,129 @@
+import { createErrorRecord, mergeErrors } from './errors.mjs';
+import { getTransportMode, requestJson, validateTransportMode } from './transport.mjs';
+import { createLimiter, safeParseDate, safeParseNumber } from './util.mjs';
+
+const STEAM_BASE = 'https://store.steampowered.com';
+const STEAM_TRANSPORT = process.env.STEAM_TRANSPORT
+  ? validateTransportMode(process.env.STEAM_TRANSPORT)
+  : null;
+const TARGET_SIZE = 50;
+const SCREENSHOT_LIMIT = 5;
+
+function transport(url) {
+  return requestJson(url, { mode: STEAM_TRANSPORT ?? getTransportMode() });
+}
+
+const limiter = createLimiter(4);
+
+function parseLanguages(html) {
+  if (!html) {
+    return null;
+  }
+  return html
+    .split(/<br\s*\/?>/i)[0]
+    .replace(/<[^>]+>|\*/g, '')
+    .split(',')
+    .map((language) => language.trim())
+    .filter(Boolean);
+}
+
+function mapDetails(id, details, country) {
+  const releasedAt = details.release_date?.coming_soon
+    ? null
+    : safeParseDate(details.release_date?.date);
+  const isFree = Boolean(details.is_free);
+  const cents = details.price_overview?.final;
+  const requiredAge = safeParseNumber(details.required_age);
+  return {
+    id: String(id),
+    name: details.name,
+    developer: details.developers?.[0] ?? null,
+    url: `${STEAM_BASE}/app/${id}/`,
+    artwork: details.header_image ?? null,
+    price: isFree ? 'Free' : details.price_overview?.final_formatted ?? null,
+    priceAmount: isFree ? 0 : typeof cents === 'number' ? cents / 100 : null,
+    currency: details.price_overview?.currency ?? null,
+    isFree,
+    offersIAP: null,
+    iapRange: null,
+    rating: null,
+    ratingCount: null,
+    reviewCount: safeParseNumber(details.recommendations?.total),
+    contentRating: requiredAge ? `${requiredAge}+` : null,
+    sizeBytes: null,
+    minOsVersion: null,
+    languages: parseLanguages(details.supported_languages),
+    screenshots: (details.screenshots ?? [])
+      .map((screenshot) => screenshot.path_thumbnail)
+      .filter(Boolean)
+      .slice(0, SCREENSHOT_LIMIT),
+    releasedAt: releasedAt ? releasedAt.toISOString() : null,
+    updatedAt: null,
+    version: null,
+    releaseNotes: null,
+    genres: (details.genres ?? []).map((genre) => genre.description),
+    country,
+  };
+}
+
+function detailsUrl(id, country) {
+  return `${STEAM_BASE}/api/appdetails?appids=${id}&cc=${country}&l=english`;
+}
+
+async function fetchDetails(id, country) {
+  const response = await transport(detailsUrl(id, country));
+  const entry = response?.[id];
+  if (!entry?.success || entry.data?.type !== 'game') {
+    return null;
+  }
+  return mapDetails(id, entry.data, country);
+}
+
+export async function fetchSteamData(country) {
+  const featuredUrl = `${STEAM_BASE}/api/featuredcategories?cc=${country}&l=english`;
+  const featured = await transport(featuredUrl).catch((error) => {
+    error.stage = 'steam-featured';
+    error.url = featuredUrl;
+    throw error;
+  });
+  const errors = [];
+  const ids = (featured.new_releases?.tabs?.viewall?.items ?? [])
+    .filter((item) => item.type === 0)
+    .map((item) => item.id)
+    .slice(0, TARGET_SIZE);
+
+  const items = await Promise.all(
+    ids.map((id) =>
+      limiter(async () => {
+        try {
+          return await fetchDetails(id, country);
+        } catch (error) {
+          errors.push(
+            createErrorRecord(error, {
+              store: 'steam',
+              stage: 'steam-appdetails',
+              url: detailsUrl(id, country),
+            })
+          );
+          return null;
+        }
+      })
+    )
+  );
+
+  const normalized = items.filter(Boolean);
+  normalized.sort((a, b) => {
+    const aDate = a.releasedAt ? new Date(a.releasedAt).getTime() : 0;
+    const bDate = b.releasedAt ? new Date(b.releasedAt).getTime() : 0;
+    return bDate - aDate;
+  });
+
+  return {
+    country,
+    store: 'steam',
+    updatedAt: new Date().toISOString(),
+    new: normalized,
+    updated: [],
+    errors: mergeErrors([], errors),
+  };
+}
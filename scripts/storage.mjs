@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const LOCK_STALE_MS = Number.parseInt(process.env.LOCK_STALE_MS ?? '30000', 10);
+const LOCK_TIMEOUT_MS = Number.parseInt(process.env.LOCK_TIMEOUT_MS ?? '15000', 10);
+const LOCK_RETRY_MS = 25;
+const LOCK_HEARTBEAT_MS = Math.max(Math.floor(LOCK_STALE_MS / 3), LOCK_RETRY_MS);
+
+const localLocks = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function serializeJson(data) {
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+export async function writeFileAtomic(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tempPath, contents);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+export async function quarantineFile(filePath, reason) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = `${filePath}.corrupt-${stamp}`;
+  try {
+    await fs.rename(filePath, target);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  console.warn(`Quarantined unreadable ${filePath} as ${path.basename(target)}`, reason);
+  return target;
+}
+
+export async function readJsonFile(filePath, fallback, { quarantine = false, onCorrupt } = {}) {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    if (!quarantine) {
+      throw error;
+    }
+    const target = await quarantineFile(filePath, error.message);
+    onCorrupt?.(error, target);
+    return fallback;
+  }
+}
+
+function readLockOwner(lockPath) {
+  return fs.readFile(lockPath, 'utf8').catch(() => null);
+}
+
+async function removeStaleLock(lockPath, owner) {
+  const stalePath = `${lockPath}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    await fs.rename(lockPath, stalePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+  if ((await readLockOwner(stalePath)) === owner) {
+    console.warn(`Removing stale lock ${lockPath}`);
+  } else {
+    await fs.link(stalePath, lockPath).catch(() => {});
+  }
+  await fs.rm(stalePath, { force: true });
+}
+
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const owner = `${process.pid} ${crypto.randomUUID()}\n`;
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      return owner;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    const current = await readLockOwner(lockPath);
+    const stats = await fs.stat(lockPath).catch(() => null);
+    if (current !== null && stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      await removeStaleLock(lockPath, current);
+      continue;
+    }
+    if (Date.now() > deadline) {
+      const error = new Error(`Timed out waiting for lock ${lockPath}`);
+      error.code = 'ELOCKED';
+      throw error;
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+function keepLockFresh(lockPath) {
+  const timer = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, LOCK_HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+async function releaseLock(lockPath, owner) {
+  if ((await readLockOwner(lockPath)) === owner) {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+export function withFileLock(filePath, task) {
+  const previous = localLocks.get(filePath) ?? Promise.resolve();
+  const run = previous.then(async () => {
+    const lockPath = `${filePath}.lock`;
+    const owner = await acquireLock(lockPath);
+    const stopHeartbeat = keepLockFresh(lockPath);
+    try {
+      return await task();
+    } finally {
+      stopHeartbeat();
+      await releaseLock(lockPath, owner);
+    }
+  });
+  const settled = run.catch(() => {});
+  localLocks.set(filePath, settled);
+  settled.then(() => {
+    if (localLocks.get(filePath) === settled) {
+      localLocks.delete(filePath);
+    }
+  });
+  return run;
+}
+
+export function writeJsonFile(filePath, data) {
+  return withFileLock(filePath, () => writeFileAtomic(filePath, serializeJson(data)));
+}
+
+export function updateJsonFile(filePath, fallback, update, options = {}) {
+  return withFileLock(filePath, async () => {
+    const current = await readJsonFile(filePath, fallback, { ...options, quarantine: true });
+    const next = await update(current);
+    await writeFileAtomic(filePath, serializeJson(next));
+    return next;
+  });
+}
@@ -0,0 +1,108 @@
+import { fetchAppleData } from './apple.mjs';
+import { fetchGoogleData } from './google.mjs';
+import { fetchSteamData } from './steam.mjs';
+
+const STEAM_COUNTRIES = (process.env.STEAM_COUNTRIES ?? 'US')
+  .split(',')
+  .map((code) => code.trim().toUpperCase())
+  .filter(Boolean);
+
+const registry = new Map();
+
+export function registerStore(adapter) {
+  if (!adapter?.id || typeof adapter.fetch !== 'function') {
+    throw new Error('Store adapters need an id and a fetch function');
+  }
+  registry.set(adapter.id, {
+    label: adapter.id,
+    countries: null,
+    ...adapter,
+    capabilities: {
+      new: false,
+      updated: false,
+      charts: false,
+      price: false,
+      ratings: false,
+      genres: false,
+      ...adapter.capabilities,
+    },
+  });
+}
+
+export function getStore(id) {
+  return registry.get(id) ?? null;
+}
+
+export function listStores() {
+  return [...registry.values()];
+}
+
+export function storeIds() {
+  return [...registry.keys()];
+}
+
+export function storesForCountry(country) {
+  return listStores().filter((store) => !store.countries || store.countries.includes(country));
+}
+
+export function listTypes(store) {
+  return ['new', 'updated', 'charts'].filter((type) => store.capabilities[type]);
+}
+
+export function describeStore(store) {
+  return {
+    id: store.id,
+    label: store.label,
+    capabilities: store.capabilities,
+    lists: listTypes(store),
+    countries: store.countries,
+  };
+}
+
+export function emptyPayload(store, country) {
+  return {
+    country,
+    store,
+    updatedAt: new Date().toISOString(),
+    new: [],
+    updated: [],
+    errors: [],
+  };
+}
+
+registerStore({
+  id: 'apple',
+  label: 'Apple',
+  capabilities: {
+    new: true,
+    updated: true,
+    charts: true,
+    price: true,
+    ratings: true,
+    genres: true,
+  },
+  fetch: (country, { genre } = {}) => fetchAppleData(country, { genre }),
+});
+
+registerStore({
+  id: 'google',
+  label: 'Google',
+  capabilities: {
+    new: true,
+    updated: true,
+    charts: true,
+    price: true,
+    ratings: true,
+    genres: true,
+  },
+  fetch: (country, { previousData, genre } = {}) =>
+    fetchGoogleData(country, previousData ?? null, { genre }),
+});
+
+registerStore({
+  id: 'steam',
+  label: 'Steam',
+  capabilities: { new: true, price: true },
+  countries: STEAM_COUNTRIES,
+  fetch: (country) => fetchSteamData(country),
+});
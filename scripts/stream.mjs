@@ -0,0 +1,102 @@
+import { PAYLOAD_LISTS, hasList, itemRank, listItems } from './charts.mjs';
+import { diffRanks } from './history.mjs';
+
+const HEARTBEAT_MS = 25000;
+
+export function diffPayloads(previous, next) {
+  const changes = {};
+
+  for (const list of PAYLOAD_LISTS) {
+    if (!hasList(next, list)) {
+      continue;
+    }
+    const before = listItems(previous, list);
+    const after = listItems(next, list);
+    const itemsById = new Map(after.map((item) => [item.id, item]));
+    const namesById = new Map(before.map((item) => [item.id, item.name]));
+    const { entered, dropped, moved } = diffRanks(
+      before.map((item) => item.id),
+      after.map((item) => item.id),
+      { previousRanks: before.map(itemRank), ranks: after.map(itemRank) }
+    );
+
+    changes[list] = {
+      order: after.map((item) => item.id),
+      added: entered.map(({ id }) => itemsById.get(id)),
+      removed: dropped.map(({ id, previousRank }) => ({
+        id,
+        name: namesById.get(id) ?? null,
+        previousRank,
+      })),
+      moved: moved.map(({ id, rank, previousRank, delta }) => ({
+        id,
+        name: itemsById.get(id)?.name ?? null,
+        rank,
+        previousRank,
+        delta,
+      })),
+    };
+  }
+
+  return changes;
+}
+
+export function hasChanges(changes) {
+  return Object.values(changes).some(
+    (list) => list.added.length > 0 || list.removed.length > 0 || list.moved.length > 0
+  );
+}
+
+export function createEventStream() {
+  const clients = new Set();
+  let nextId = 1;
+
+  function write(client, event, data, id = null) {
+    const idLine = id === null ? '' : `id: ${id}\n`;
+    client.res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function subscribe(req, res, { country = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    });
+    const client = { res, country };
+    clients.add(client);
+    write(client, 'hello', { country, connectedAt: new Date().toISOString() });
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  function publish(event, data) {
+    const id = nextId;
+    nextId += 1;
+    clients.forEach((client) => {
+      if (client.country && data.country && client.country !== data.country) {
+        return;
+      }
+      write(client, event, data, id);
+    });
+  }
+
+  function countries() {
+    return new Set([...clients].map((client) => client.country).filter(Boolean));
+  }
+
+  return {
+    subscribe,
+    publish,
+    countries,
+    get size() {
+      return clients.size;
+    },
+  };
+}
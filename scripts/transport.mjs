@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import path from 'path';
+import { FIXTURE_DIR } from './paths.mjs';
+import { throttle } from './ratelimit.mjs';
+import { fetchJson, loadJson, saveJson } from './util.mjs';
+
+const MODES = ['live', 'record', 'replay'];
+const MAX_SLUG_LENGTH = 120;
+const SCOPE_HOSTS = { gplay: 'play.google.com' };
+
+function readModeFlag(argv) {
+  const entry = argv.find((item) => item.startsWith('--transport='));
+  return entry ? entry.split('=').slice(1).join('=') : null;
+}
+
+export function validateTransportMode(mode) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown transport mode "${mode}" (expected ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+let currentMode = validateTransportMode(
+  readModeFlag(process.argv) ?? process.env.STORE_SCRAP_TRANSPORT ?? 'live'
+);
+
+export function getTransportMode() {
+  return currentMode;
+}
+
+export function setTransportMode(mode) {
+  currentMode = validateTransportMode(mode);
+}
+
+function slugify(value) {
+  const slug = value.replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/^_+|_+$/g, '');
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+  const hash = crypto.createHash('sha1').update(value).digest('hex').slice(0, 10);
+  return `${slug.slice(0, MAX_SLUG_LENGTH)}_${hash}`;
+}
+
+export function fixturePath(key) {
+  const match = key.match(/^([a-z]+):\/\/([^/]+)(.*)$/i);
+  if (match) {
+    return path.join(FIXTURE_DIR, match[2], `${slugify(match[3]) || 'index'}.json`);
+  }
+  const [scope, ...rest] = key.split(':');
+  return path.join(FIXTURE_DIR, scope, `${slugify(rest.join(':'))}.json`);
+}
+
+export function upstreamHost(key) {
+  const match = key.match(/^[a-z]+:\/\/([^/]+)/i);
+  return match ? match[1].toLowerCase() : SCOPE_HOSTS[key.split(':')[0]] ?? null;
+}
+
+async function replay(key) {
+  const fixture = await loadJson(fixturePath(key), null);
+  if (!fixture) {
+    throw new Error(`No recorded fixture for ${key}`);
+  }
+  if (fixture.error) {
+    const error = new Error(fixture.error.message);
+    error.status = fixture.error.status ?? null;
+    throw error;
+  }
+  return fixture.data;
+}
+
+async function record(key, load) {
+  const recordedAt = new Date().toISOString();
+  try {
+    const data = await load();
+    await saveJson(fixturePath(key), { key, recordedAt, data });
+    return data;
+  } catch (error) {
+    await saveJson(fixturePath(key), {
+      key,
+      recordedAt,
+      error: { message: error.message, status: error.status ?? null },
+    });
+    throw error;
+  }
+}
+
+export async function request(key, load, { mode = currentMode } = {}) {
+  if (mode === 'replay') {
+    return replay(key);
+  }
+  const throttled = () => throttle(upstreamHost(key), load);
+  if (mode === 'record') {
+    return record(key, throttled);
+  }
+  return throttled();
+}
+
+export function requestJson(url, options = {}) {
+  return request(url, () => fetchJson(url), options);
+}
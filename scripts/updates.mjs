@@ -0,0 +1,73 @@
+import path from 'path';
+import { DATA_DIR } from './paths.mjs';
+import { DAY_MS, toTime, updateJson } from './util.mjs';
+
+const UPDATES_DIR = path.join(DATA_DIR, 'updates');
+const UPDATE_WINDOW_MS = Number.parseInt(process.env.UPDATE_WINDOW_DAYS ?? '7', 10) * DAY_MS;
+const VERSION_RETENTION_MS = 30 * DAY_MS;
+const TARGET_SIZE = 50;
+
+function updatesPath(store, country, genre) {
+  if (genre) {
+    return path.join(UPDATES_DIR, store, 'genres', genre, `${country}.json`);
+  }
+  return path.join(UPDATES_DIR, store, `${country}.json`);
+}
+
+function hasChanged(known, item) {
+  if (item.version && known.version && item.version !== known.version) {
+    return true;
+  }
+  return Boolean(item.updatedAt && known.updatedAt) && toTime(item.updatedAt) > toTime(known.updatedAt);
+}
+
+function trackVersions(state, items, at) {
+  const detected = [];
+
+  for (const item of items) {
+    if (!item.version && !item.updatedAt) {
+      continue;
+    }
+    const known = state.versions[item.id];
+    if (known && hasChanged(known, item)) {
+      detected.push({
+        ...item,
+        previousVersion: known.version ?? null,
+        releaseNotes: item.releaseNotes ?? null,
+        detectedAt: at,
+      });
+    }
+    state.versions[item.id] = {
+      version: item.version ?? known?.version ?? null,
+      updatedAt: item.updatedAt ?? known?.updatedAt ?? null,
+      seenAt: at,
+    };
+  }
+
+  const cutoff = toTime(at) - UPDATE_WINDOW_MS;
+  const detectedIds = new Set(detected.map((item) => item.id));
+  state.recent = [...detected, ...state.recent.filter((item) => !detectedIds.has(item.id))]
+    .filter((item) => toTime(item.detectedAt) >= cutoff)
+    .sort((a, b) => toTime(b.updatedAt ?? b.detectedAt) - toTime(a.updatedAt ?? a.detectedAt))
+    .slice(0, TARGET_SIZE);
+  state.versions = Object.fromEntries(
+    Object.entries(state.versions).filter(
+      ([, entry]) => toTime(entry.seenAt) >= toTime(at) - VERSION_RETENTION_MS
+    )
+  );
+
+  return state;
+}
+
+export async function detectUpdates(
+  store,
+  country,
+  items,
+  { at = new Date().toISOString(), genre = null } = {}
+) {
+  const empty = { country, store, versions: {}, recent: [] };
+  const state = await updateJson(updatesPath(store, country, genre), empty, (current) =>
+    trackVersions(current, items, at)
+  );
+  return state.recent;
+}
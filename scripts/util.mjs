@@ -1,5 +1,6 @@
-import fs from 'fs/promises';
-import path from 'path';
+import { readJsonFile, updateJsonFile, writeJsonFile } from './storage.mjs';
+
+export const DAY_MS = 1000 * 60 * 60 * 24;
 
 export async function fetchJson(url, options = {}) {
   const response = await fetch(url, {
@@ -12,12 +13,34 @@ export async function fetchJson(url, options = {}) {
 
   if (!response.ok) {
     const body = await response.text();
-    throw new Error(`Request failed (${response.status}) for ${url}: ${body.slice(0, 200)}`);
+    const error = new Error(`Request failed (${response.status}) for ${url}: ${body.slice(0, 200)}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('retry-after');
+    throw error;
   }
 
   return response.json();
 }
 
+export async function fetchBuffer(url, options = {}) {
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'store-scrap/1.0',
+      ...options.headers,
+    },
+    ...options,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Request failed (${response.status}) for ${url}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('retry-after');
+    throw error;
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
 export function createLimiter(limit = 5) {
   let active = 0;
   const queue = [];
@@ -59,21 +82,62 @@ export function safeParseDate(value) {
   return Number.isNaN(parsed.getTime()) ? null : parsed;
 }
 
-export async function loadJson(filePath, fallback) {
-  try {
-    const contents = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(contents);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return fallback;
-    }
-    throw error;
+export function toTime(value) {
+  const time = value ? new Date(value).getTime() : Number.NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+export function safeParseNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
   }
+  const parsed =
+    typeof value === 'number' ? value : Number.parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+const SIZE_UNITS = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+export function parseByteSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const match = /^([\d.,]+)\s*([kmg])?b?$/i.exec(String(value ?? '').trim());
+  const amount = match ? safeParseNumber(match[1]) : null;
+  if (amount === null) {
+    return null;
+  }
+  return Math.round(amount * (SIZE_UNITS[match[2]?.toLowerCase()] ?? 1));
+}
+
+export function invalid(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function pool(lists) {
+  const items = new Map();
+  lists.forEach((list) => {
+    (list ?? []).forEach((item) => {
+      if (!items.has(item.id)) {
+        items.set(item.id, item);
+      }
+    });
+  });
+  return items;
+}
+
+export function loadJson(filePath, fallback, options = {}) {
+  return readJsonFile(filePath, fallback, options);
 }
 
 export async function saveJson(filePath, data) {
-  await fs.mkdir(path.dirname(filePath), { recursive: true });
-  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+  await writeJsonFile(filePath, data);
+}
+
+export function updateJson(filePath, fallback, update) {
+  return updateJsonFile(filePath, fallback, update);
 }
 
 export function isCacheFresh(entry, ttlMs) {
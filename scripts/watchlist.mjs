@@ -0,0 +1,108 @@
+import path from 'path';
+import { developerId } from './developers.mjs';
+import { detectChartEvents } from './events.mjs';
+import { DATA_DIR } from './paths.mjs';
+import { loadJson, saveJson } from './util.mjs';
+
+const WATCHLIST_PATH = path.join(DATA_DIR, 'watchlist.json');
+const EVENTS_PATH = path.join(DATA_DIR, 'watchlist-events.json');
+const MAX_EVENTS = Number.parseInt(process.env.WATCHLIST_MAX_EVENTS ?? '1000', 10);
+const WATCH_TYPES = ['entered', 'dropped', 'updated', 'price'];
+
+let eventQueue = Promise.resolve();
+
+export function emptyWatchlist() {
+  return { updatedAt: null, developers: [], apps: [] };
+}
+
+export async function loadWatchlist() {
+  const watchlist = await loadJson(WATCHLIST_PATH, null);
+  return { ...emptyWatchlist(), ...watchlist };
+}
+
+export async function saveWatchlist(watchlist) {
+  const next = { ...watchlist, updatedAt: new Date().toISOString() };
+  await saveJson(WATCHLIST_PATH, next);
+  return next;
+}
+
+export function watchDeveloper(watchlist, name) {
+  const id = developerId(name);
+  if (!id || watchlist.developers.includes(id)) {
+    return watchlist;
+  }
+  return { ...watchlist, developers: [...watchlist.developers, id].sort() };
+}
+
+export function unwatchDeveloper(watchlist, name) {
+  const id = developerId(name);
+  return { ...watchlist, developers: watchlist.developers.filter((entry) => entry !== id) };
+}
+
+function sameApp(entry, { store = null, id }) {
+  return String(entry.id) === String(id) && (entry.store ?? null) === store;
+}
+
+export function watchApp(watchlist, app) {
+  if (watchlist.apps.some((entry) => sameApp(entry, app))) {
+    return watchlist;
+  }
+  return { ...watchlist, apps: [...watchlist.apps, { store: app.store ?? null, id: app.id }] };
+}
+
+export function unwatchApp(watchlist, app) {
+  return { ...watchlist, apps: watchlist.apps.filter((entry) => !sameApp(entry, app)) };
+}
+
+export function isWatched(watchlist, store, item) {
+  return (
+    watchlist.apps.some(
+      (entry) => String(entry.id) === String(item.id) && (!entry.store || entry.store === store)
+    ) || watchlist.developers.includes(developerId(item.developer))
+  );
+}
+
+export function selectWatchEvents(watchlist, events) {
+  if (watchlist.developers.length === 0 && watchlist.apps.length === 0) {
+    return [];
+  }
+  return events.filter(
+    (event) => WATCH_TYPES.includes(event.type) && isWatched(watchlist, event.store, event)
+  );
+}
+
+export function detectWatchEvents(watchlist, previous, next, options = {}) {
+  return selectWatchEvents(watchlist, detectChartEvents(previous, next, options));
+}
+
+export async function loadWatchEvents() {
+  const log = await loadJson(EVENTS_PATH, null);
+  return log?.events ?? [];
+}
+
+export function recordWatchEvents(events) {
+  if (events.length === 0) {
+    return eventQueue;
+  }
+  eventQueue = eventQueue
+    .then(async () => {
+      const existing = await loadWatchEvents();
+      await saveJson(EVENTS_PATH, { events: [...existing, ...events].slice(-MAX_EVENTS) });
+    })
+    .catch((error) => {
+      console.warn('Watchlist event log update failed', error.message);
+    });
+  return eventQueue;
+}
+
+export function filterWatchEvents(events, { type, store, country, developer, app, since } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  return events
+    .filter((event) => !type || event.type === type)
+    .filter((event) => !store || event.store === store)
+    .filter((event) => !country || event.country === country)
+    .filter((event) => !developer || event.developerId === developerId(developer))
+    .filter((event) => !app || String(event.id) === String(app))
+    .filter((event) => !sinceTime || new Date(event.at).getTime() >= sinceTime)
+    .reverse();
+}
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import path from 'path';
+import { DATA_DIR } from './paths.mjs';
+import { loadJson, saveJson } from './util.mjs';
+
+const DELIVERIES_PATH = path.join(DATA_DIR, 'alerts', 'deliveries.json');
+const MAX_DELIVERIES = Number.parseInt(process.env.WEBHOOK_MAX_DELIVERIES ?? '200', 10);
+const TIMEOUT_MS = Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS ?? '10000', 10);
+const RETRY_DELAYS = (process.env.WEBHOOK_RETRY_DELAYS ?? '1000,5000,30000')
+  .split(',')
+  .map((value) => Number.parseInt(value, 10))
+  .filter((value) => !Number.isNaN(value));
+const DISCORD_LIMIT = 2000;
+export const ALLOW_PRIVATE_TARGETS = (process.env.WEBHOOK_ALLOW_PRIVATE ?? 'off') === 'on';
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127],
+  ['::ffff:0:0', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+export const FORMATS = ['json', 'slack', 'discord'];
+
+let logQueue = Promise.resolve();
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function bareHost(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+export function isPrivateTarget(url) {
+  const host = bareHost(url);
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+async function resolvesPrivately(url) {
+  if (isPrivateTarget(url)) {
+    return true;
+  }
+  try {
+    const addresses = await dns.lookup(bareHost(url), { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+}
+
+export function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.pathname === '/' && !url.search ? url.origin : `${url.origin}/***`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeEvent(event) {
+  const where = [event.store, event.country].filter(Boolean).join(' ');
+  const rank = event.rank ? ` #${event.rank}` : '';
+  const previousRank = event.previousRank ? ` (was #${event.previousRank})` : '';
+  const label = `${event.name ?? event.id}${event.developer ? ` by ${event.developer}` : ''}`;
+  if (event.type === 'price') {
+    return `${label}: price ${event.previousPrice ?? '?'} → ${event.price ?? '?'} (${where})`;
+  }
+  if (event.type === 'updated') {
+    const versions = `${event.previousVersion ?? '?'} → ${event.version ?? '?'}`;
+    return `${label}: updated ${versions} (${where})`;
+  }
+  return `${label}: ${event.type} ${event.list ?? ''}${rank}${previousRank} (${where})`;
+}
+
+export function formatPayload(rule, events, { format = 'json', sentAt } = {}) {
+  const at = sentAt ?? new Date().toISOString();
+  if (format === 'slack' || format === 'discord') {
+    const heading = `Store Scrap alert "${rule.name}" (${events.length} events)`;
+    const text = [heading, ...events.map((event) => `• ${describeEvent(event)}`)].join('\n');
+    return format === 'slack'
+      ? { text }
+      : { content: text.length > DISCORD_LIMIT ? `${text.slice(0, DISCORD_LIMIT - 1)}…` : text };
+  }
+  return {
+    rule: { id: rule.id, name: rule.name, event: rule.event },
+    sentAt: at,
+    events,
+  };
+}
+
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+async function post(url, body, headers) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  await response.arrayBuffer().catch(() => null);
+  return response.status;
+}
+
+function isRetryable(status) {
+  return status === null || status === 429 || status >= 500;
+}
+
+export async function loadDeliveries() {
+  const log = await loadJson(DELIVERIES_PATH, null);
+  return log?.deliveries ?? [];
+}
+
+function recordDelivery(delivery) {
+  logQueue = logQueue
+    .then(async () => {
+      const deliveries = await loadDeliveries();
+      await saveJson(DELIVERIES_PATH, {
+        deliveries: [...deliveries, delivery].slice(-MAX_DELIVERIES),
+      });
+    })
+    .catch((error) => {
+      console.warn('Webhook delivery log update failed', error.message);
+    });
+  return logQueue;
+}
+
+export async function deliverWebhook(
+  rule,
+  events,
+  { retryDelays = RETRY_DELAYS, allowPrivate = ALLOW_PRIVATE_TARGETS } = {}
+) {
+  const { url, format = 'json', secret } = rule.webhook;
+  const timestamp = new Date().toISOString();
+  const body = JSON.stringify(formatPayload(rule, events, { format, sentAt: timestamp }));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'store-scrap-webhooks',
+    'X-Store-Scrap-Rule': rule.id,
+    'X-Store-Scrap-Timestamp': timestamp,
+  };
+  const signingSecret = secret ?? process.env.WEBHOOK_SECRET;
+  if (signingSecret) {
+    headers['X-Store-Scrap-Signature'] = signPayload(signingSecret, timestamp, body);
+  }
+
+  const startedAt = Date.now();
+  const blocked = !allowPrivate && (await resolvesPrivately(url));
+  let status = null;
+  let error = blocked ? 'Webhook url resolves to a private or loopback address' : null;
+  let attempts = 0;
+  while (!blocked) {
+    attempts += 1;
+    try {
+      status = await post(url, body, headers);
+      error = status >= 200 && status < 300 ? null : `HTTP ${status}`;
+    } catch (requestError) {
+      status = null;
+      error = requestError.message;
+    }
+    if (!error || !isRetryable(status) || attempts > retryDelays.length) {
+      break;
+    }
+    await delay(retryDelays[attempts - 1]);
+  }
+
+  const delivery = {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    url: redactUrl(url),
+    format,
+    ok: !error,
+    status,
+    error,
+    attempts,
+    eventCount: events.length,
+    at: timestamp,
+    durationMs: Date.now() - startedAt,
+  };
+  await recordDelivery(delivery);
+  return delivery;
+}
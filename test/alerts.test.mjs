@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { dispatchAlerts, matchRule, publicRule, validateRule } from '../scripts/alerts.mjs';
+import { detectChartEvents } from '../scripts/events.mjs';
+
+const stores = ['apple', 'google'];
+const webhook = { url: 'https://hooks.example.com/store-scrap?token=abc' };
+
+function rule(input) {
+  return validateRule({ name: 'Rule', webhook, ...input }, { stores });
+}
+
+const item = (id, extra = {}) => ({
+  id,
+  name: `Game ${id}`,
+  developer: 'Rival Games',
+  price: '$2.99',
+  isFree: false,
+  ...extra,
+});
+
+describe('validateRule', () => {
+  it('normalizes matchers and keeps the secret private', () => {
+    const created = rule({
+      event: 'entered',
+      match: { store: 'google', countries: 'us', developer: 'Rival Games, Inc.', topN: '50' },
+      webhook: { ...webhook, format: 'slack', secret: 'shh' },
+    });
+
+    assert.equal(created.enabled, true);
+    assert.deepEqual(created.match, {
+      store: 'google',
+      countries: ['US'],
+      list: null,
+      developer: 'rival-games',
+      app: null,
+      topN: 50,
+    });
+    assert.deepEqual(publicRule(created).webhook, {
+      url: 'https://hooks.example.com/***',
+      format: 'slack',
+      hasSecret: true,
+    });
+
+    const renamed = validateRule(
+      { ...created, name: 'Renamed', webhook: publicRule(created).webhook },
+      { stores, existing: created }
+    );
+    assert.equal(renamed.webhook.url, webhook.url);
+    assert.equal(renamed.webhook.secret, 'shh');
+  });
+
+  it('rejects private and loopback webhook targets unless allowed', () => {
+    const targets = [
+      'http://127.0.0.1:9/hook',
+      'http://localhost:8787/api',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://10.0.0.5/hook',
+      'http://192.168.1.20/hook',
+    ];
+    targets.forEach((url) => {
+      assert.throws(
+        () => rule({ event: 'price', webhook: { url } }),
+        (error) => error.status === 400 && /private or loopback/.test(error.message)
+      );
+    });
+    const local = validateRule(
+      { name: 'Local', event: 'price', webhook: { url: targets[0] } },
+      { stores, allowPrivate: true }
+    );
+    assert.equal(local.webhook.url, targets[0]);
+  });
+
+  it('rejects invalid rules with a 400 status', () => {
+    const attempts = [
+      [{ event: 'entered', name: '' }, /name/],
+      [{ event: 'launched' }, /event/],
+      [{ event: 'entered', match: { store: 'steam' } }, /store/],
+      [{ event: 'dropped', match: { topN: 0 } }, /topN/],
+      [{ event: 'price', webhook: { url: 'ftp://example.com' } }, /url/],
+      [{ event: 'price', webhook: { ...webhook, format: 'teams' } }, /format/],
+    ];
+    attempts.forEach(([input, message]) => {
+      assert.throws(
+        () => validateRule({ name: 'Rule', webhook, ...input }, { stores }),
+        (error) => error.status === 400 && message.test(error.message)
+      );
+    });
+  });
+});
+
+describe('matchRule', () => {
+  const options = { store: 'google', country: 'US', at: '2026-10-19T00:00:00.000Z' };
+
+  it('matches new games by a developer in any country', () => {
+    const events = detectChartEvents(
+      { new: [item('a')] },
+      { new: [item('b'), item('a')] },
+      { ...options, country: 'BR' }
+    );
+    const byDeveloper = rule({ event: 'entered', match: { developer: 'Rival Games', list: 'new' } });
+
+    assert.deepEqual(
+      events.filter((event) => matchRule(byDeveloper, event)).map((event) => event.id),
+      ['b']
+    );
+  });
+
+  it('treats falling below the top N as a drop', () => {
+    const previous = { new: Array.from({ length: 4 }, (_, index) => item(`g${index}`)) };
+    const next = { new: [item('g3'), item('g0'), item('g1')] };
+    const events = detectChartEvents(previous, next, options);
+    const topTwo = rule({ event: 'dropped', match: { countries: ['US'], topN: 2 } });
+
+    assert.deepEqual(
+      events.filter((event) => matchRule(topTwo, event)).map((event) => [event.type, event.id]),
+      [['moved', 'g1']]
+    );
+    assert.equal(matchRule({ ...topTwo, enabled: false }, events[0]), false);
+  });
+
+  it('detects paid games becoming free in one country', () => {
+    const previous = { new: [item('a'), item('b')] };
+    const next = { new: [item('a', { price: 'Free', isFree: true }), item('b', { price: '$0.99' })] };
+    const events = detectChartEvents(previous, next, { ...options, country: 'JP' });
+    const becameFree = rule({ event: 'became-free', match: { countries: ['JP'] } });
+    const elsewhere = rule({ event: 'became-free', match: { countries: ['US'] } });
+
+    assert.deepEqual(
+      events.filter((event) => matchRule(becameFree, event)).map((event) => event.id),
+      ['a']
+    );
+    assert.equal(events.some((event) => matchRule(elsewhere, event)), false);
+  });
+});
+
+describe('dispatchAlerts', () => {
+  it('delivers one webhook per rule with its matching events', async () => {
+    const events = detectChartEvents(
+      { new: [item('a')] },
+      { new: [item('b')] },
+      { store: 'apple', country: 'US' }
+    );
+    const rules = [rule({ event: 'entered' }), rule({ event: 'dropped' }), rule({ event: 'price' })];
+    const calls = [];
+
+    await dispatchAlerts(events, {
+      rules,
+      deliver: async (target, matched) => calls.push([target.event, matched.map((e) => e.id)]),
+    });
+
+    assert.deepEqual(calls, [
+      ['entered', ['b']],
+      ['dropped', ['a']],
+    ]);
+  });
+});
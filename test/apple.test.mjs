@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const { fetchAppleData, getLookupMetrics } = await import('../scripts/apple.mjs');
+const { findGenre } = await import('../scripts/genres.mjs');
+
+after(() => sandbox.cleanup());
+
+describe('fetchAppleData', () => {
+  it('keeps only games and sorts the new list by release date', async () => {
+    const data = await fetchAppleData('US');
+
+    assert.equal(data.store, 'apple');
+    assert.equal(data.country, 'US');
+    assert.deepEqual(
+      data.new.map((item) => [item.id, item.chart, item.chartRank]),
+      [
+        ['6450000003', 'top-free', 3],
+        ['6450000001', 'top-free', 1],
+        ['6450000004', 'top-free', 4],
+        ['6450000005', 'top-grossing', 1],
+      ]
+    );
+    assert.ok(data.new.every((item) => item.genres.includes('Games')));
+  });
+
+  it('stores every chart with its true store rank', async () => {
+    const data = await fetchAppleData('US');
+    const ranks = (chart) => data.charts[chart].map((item) => [item.id, item.chartRank]);
+
+    assert.deepEqual(ranks('top-free'), [
+      ['6450000001', 1],
+      ['6450000003', 3],
+      ['6450000004', 4],
+    ]);
+    assert.deepEqual(ranks('top-grossing'), [
+      ['6450000005', 1],
+      ['6450000001', 2],
+    ]);
+    assert.equal(data.charts['top-paid'], undefined);
+    assert.deepEqual(data.unavailableCharts, ['top-paid']);
+    assert.deepEqual(data.errors, []);
+  });
+
+  it('looks up every feed entry in one batched iTunes request', async () => {
+    const before = getLookupMetrics().batches;
+    await fetchAppleData('US');
+    const metrics = getLookupMetrics();
+
+    assert.equal(before, 1);
+    assert.equal(metrics.batches, 1);
+    assert.deepEqual(
+      metrics.recent.map((batch) => [batch.group, batch.size, batch.found, batch.ok]),
+      [['US', 5, 5, true]]
+    );
+    assert.equal(metrics.requestsSaved, 4);
+  });
+
+  it('maps iTunes lookup fields onto the common item schema', async () => {
+    const data = await fetchAppleData('US');
+    const paid = data.new.find((item) => item.id === '6450000004');
+
+    assert.equal(paid.name, 'Orbit Drift');
+    assert.equal(paid.developer, 'Parsec Interactive');
+    assert.equal(paid.price, '$2.99');
+    assert.equal(paid.isFree, false);
+    assert.equal(paid.priceAmount, 2.99);
+    assert.equal(paid.currency, 'USD');
+    assert.equal(paid.releasedAt, '2026-08-15T07:00:00.000Z');
+    assert.equal(paid.version, '3.1');
+  });
+
+  it('normalizes ratings, content rating, size and media', async () => {
+    const data = await fetchAppleData('US');
+    const paid = data.new.find((item) => item.id === '6450000004');
+    const free = data.new.find((item) => item.id === '6450000001');
+
+    assert.equal(paid.rating, 4.62);
+    assert.equal(paid.ratingCount, 18234);
+    assert.equal(paid.contentRating, '9+');
+    assert.equal(paid.sizeBytes, 734003200);
+    assert.equal(paid.minOsVersion, '15.0');
+    assert.deepEqual(paid.languages, ['EN', 'DE', 'JA']);
+    assert.equal(paid.screenshots.length, 5);
+    assert.equal(free.rating, null);
+    assert.deepEqual(free.screenshots, []);
+  });
+
+  it('fetches genre charts from the genre RSS feeds', async () => {
+    const data = await fetchAppleData('US', { genre: findGenre('puzzle') });
+
+    assert.equal(data.genre, 'puzzle');
+    assert.deepEqual(
+      data.new.map((item) => [item.id, item.name, item.artwork]),
+      [
+        [
+          '6450000003',
+          'Harbor Merge',
+          'https://is1-ssl.mzstatic.com/image/thumb/6450000003/100x100bb.png',
+        ],
+      ]
+    );
+  });
+
+  it('returns empty lists when no chart can be fetched', async () => {
+    const data = await fetchAppleData('GB');
+
+    assert.deepEqual(data.new, []);
+    assert.deepEqual(data.updated, []);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { after, describe, it } from 'node:test';
+import { createSandbox, readJson } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const { artworkRendition, attachArtworkHashes, decodePng, differenceHash, hashArtwork } =
+  await import('../scripts/artwork.mjs');
+const { artworkSimilarity } = await import('../scripts/matching.mjs');
+
+after(() => sandbox.cleanup());
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+function encodePng(width, height, pixel, { filter = 0 } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const rows = [];
+  for (let y = 0; y < height; y += 1) {
+    const row = Buffer.alloc(width * 3 + 1);
+    row[0] = filter;
+    for (let x = 0; x < width; x += 1) {
+      const rgb = pixel(x, y);
+      for (let channel = 0; channel < 3; channel += 1) {
+        const left = filter === 1 && x > 0 ? pixel(x - 1, y)[channel] : 0;
+        row[1 + x * 3 + channel] = (rgb[channel] - left) & 0xff;
+      }
+    }
+    rows.push(row);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+const gradient = (x) => [x * 8, x * 8, x * 8];
+const checker = (x, y) => ((Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? [255, 0, 0] : [0, 0, 255]);
+
+describe('artworkRendition', () => {
+  it('requests small PNG renditions from the store CDNs', () => {
+    assert.equal(
+      artworkRendition('https://is1-ssl.mzstatic.com/image/thumb/Purple/AppIcon.png/100x100bb.jpg'),
+      'https://is1-ssl.mzstatic.com/image/thumb/Purple/AppIcon.png/32x32bb.png'
+    );
+    assert.equal(
+      artworkRendition('https://play-lh.googleusercontent.com/abc=w240-h480-rw'),
+      'https://play-lh.googleusercontent.com/abc=w32-h32'
+    );
+    assert.equal(artworkRendition(null), null);
+  });
+});
+
+describe('decodePng', () => {
+  it('decodes 8-bit RGB images with row filters', () => {
+    const plain = decodePng(encodePng(32, 32, gradient));
+    const filtered = decodePng(encodePng(32, 32, gradient, { filter: 1 }));
+
+    assert.equal(plain.width, 32);
+    assert.equal(plain.height, 32);
+    assert.equal(Math.round(plain.gray[31]), 248);
+    assert.deepEqual(filtered.gray, plain.gray);
+    assert.throws(() => decodePng(Buffer.from('GIF89a')), /not a PNG/);
+  });
+});
+
+describe('differenceHash', () => {
+  it('hashes similar images alike and different images apart', () => {
+    const base = differenceHash(decodePng(encodePng(32, 32, gradient)));
+    const brighter = differenceHash(
+      decodePng(encodePng(32, 32, (x) => gradient(x).map((value) => Math.min(value + 5, 255))))
+    );
+    const other = differenceHash(decodePng(encodePng(32, 32, checker)));
+
+    assert.equal(base, 'ffffffffffffffff');
+    assert.equal(base.length, 16);
+    assert.equal(artworkSimilarity(base, brighter), 1);
+    assert.ok(artworkSimilarity(base, other) < 0.75);
+  });
+});
+
+describe('hashArtwork', () => {
+  it('hashes each rendition once and caches the result', async () => {
+    const url = 'https://is1-ssl.mzstatic.com/image/thumb/6450000001/100x100bb.png';
+    const first = hashArtwork(url);
+
+    assert.equal(hashArtwork(url), first);
+    assert.equal(await first, 'c3a5f0e1d2b48796');
+
+    const [item] = await attachArtworkHashes([{ id: '6450000001', artwork: url }]);
+    assert.equal(item.artworkHash, 'c3a5f0e1d2b48796');
+    const stored = await readJson(path.join(sandbox.cacheDir, 'artwork.json'));
+    assert.equal(
+      stored['https://is1-ssl.mzstatic.com/image/thumb/6450000001/32x32bb.png'],
+      'c3a5f0e1d2b48796'
+    );
+  });
+
+  it('returns null when the artwork cannot be hashed', async () => {
+    const [item] = await attachArtworkHashes([
+      { id: 'missing', artwork: 'https://play-lh.googleusercontent.com/missing' },
+      { id: 'none', artwork: null },
+    ]);
+    assert.equal(item.artworkHash, null);
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { after, before, describe, it } from 'node:test';
+import { ROOT, createSandbox, readJson, writeJson } from './helpers.mjs';
+
+const run = promisify(execFile);
+const sandbox = await createSandbox({ SOFT_LAUNCH_MAJOR_MARKETS: 'US' });
+const countries = (await readJson(path.join(ROOT, 'countries.json'))).map((entry) => entry.code);
+const cursor = countries.indexOf('US');
+const nextCountry = countries[(cursor + 1) % countries.length];
+
+function build(...args) {
+  return run(process.execPath, [path.join(ROOT, 'scripts', 'build.mjs'), ...args], {
+    env: { ...process.env, ...sandbox.env },
+  });
+}
+
+after(() => sandbox.cleanup());
+
+describe('build.mjs --incremental', () => {
+  before(async () => {
+    await writeJson(path.join(sandbox.dataDir, 'meta.json'), {
+      incrementalCursor: cursor,
+      schedulerRunAt: '2026-10-01T00:00:00.000Z',
+    });
+    await writeJson(path.join(sandbox.dataDir, 'google', `${nextCountry}.json`), {
+      country: nextCountry,
+      store: 'google',
+      updatedAt: '2026-10-01T00:00:00.000Z',
+      new: [{ id: 'com.example.kept', name: 'Kept' }],
+      updated: [],
+      errors: [],
+    });
+    await build('--incremental', '--limit=2');
+  });
+
+  it('writes per-store snapshots for the processed countries', async () => {
+    const apple = await readJson(path.join(sandbox.dataDir, 'apple', 'US.json'));
+    const google = await readJson(path.join(sandbox.dataDir, 'google', 'US.json'));
+
+    assert.deepEqual(
+      apple.new.map((item) => item.id),
+      ['6450000003', '6450000001', '6450000004', '6450000005']
+    );
+    assert.equal(google.new.length, 5);
+    assert.equal(apple.new[0].chartRank, 3);
+    assert.equal(apple.new[0].rank, 3);
+    assert.deepEqual(
+      apple.charts['top-free'].map((item) => item.rank),
+      apple.charts['top-free'].map((item) => item.chartRank)
+    );
+  });
+
+  it('preserves previous data when the upstream returns nothing', async () => {
+    const google = await readJson(path.join(sandbox.dataDir, 'google', `${nextCountry}.json`));
+    assert.deepEqual(
+      google.new.map((item) => item.id),
+      ['com.example.kept']
+    );
+    assert.ok(google.preservedAt);
+  });
+
+  it('advances the round-robin cursor and writes the summary', async () => {
+    const meta = await readJson(path.join(sandbox.dataDir, 'meta.json'));
+    const summary = await readJson(path.join(sandbox.dataDir, 'global_summary.json'));
+
+    assert.equal(meta.incrementalCursor, (cursor + 2) % countries.length);
+    assert.deepEqual(meta.countriesProcessed, ['US', nextCountry]);
+    assert.equal(summary.countries.length, countries.length);
+    assert.equal(summary.countries.find((entry) => entry.code === 'US').apple.newCount, 4);
+    assert.equal(meta.itunesLookups.batches, 1);
+    assert.equal(meta.itunesLookups.ids, 5);
+    assert.ok(meta.durationMs >= 0);
+    assert.equal(meta.schedulerRunAt, '2026-10-01T00:00:00.000Z');
+  });
+
+  it('writes the worldwide aggregation across countries', async () => {
+    const global = await readJson(path.join(sandbox.dataDir, 'global.json'));
+    const kept = global.google.new.find((item) => item.id === 'com.example.kept');
+
+    assert.equal(global.country, 'WW');
+    assert.equal(global.google.countryCount, 2);
+    assert.equal(global.apple.new.length, 4);
+    assert.deepEqual(kept.countries.map((entry) => entry.country), [nextCountry]);
+    assert.equal(kept.bestRank, 1);
+  });
+
+  it('tracks games charting outside the major markets as soft launches', async () => {
+    const tracker = await readJson(path.join(sandbox.dataDir, 'softlaunch', 'google.json'));
+
+    assert.deepEqual(Object.keys(tracker.apps), ['com.example.kept']);
+    assert.equal(tracker.apps['com.example.kept'].status, 'soft-launch');
+    assert.deepEqual(
+      tracker.apps['com.example.kept'].markets.map((market) => market.country),
+      [nextCountry]
+    );
+  });
+
+  it('quarantines a corrupt iTunes cache without blocking Apple data', async () => {
+    await fs.mkdir(sandbox.cacheDir, { recursive: true });
+    await fs.writeFile(path.join(sandbox.cacheDir, 'itunes_cache.json'), '{"a": 1}}');
+
+    await build('--countries=US');
+    const apple = await readJson(path.join(sandbox.dataDir, 'apple', 'US.json'));
+    const files = await fs.readdir(sandbox.cacheDir);
+
+    assert.equal(apple.new.length, 4);
+    assert.equal(apple.preservedAt, undefined);
+    assert.equal(apple.errors.length, 1);
+    assert.equal(apple.errors[0].stage, 'itunes-cache');
+    assert.match(apple.errors[0].message, /^Quarantined corrupt iTunes cache: .*JSON/);
+    assert.ok(files.some((file) => file.startsWith('itunes_cache.json.corrupt-')));
+    assert.ok(!files.includes('itunes_cache.json'));
+  });
+
+  it('counts repeated failures instead of growing the error list', async () => {
+    for (let run = 0; run < 2; run += 1) {
+      await fs.writeFile(path.join(sandbox.cacheDir, 'itunes_cache.json'), '{"a": 1}}');
+      await build('--countries=US');
+    }
+    const apple = await readJson(path.join(sandbox.dataDir, 'apple', 'US.json'));
+
+    assert.equal(apple.new.length, 4);
+    assert.equal(apple.errors.length, 1);
+    assert.equal(apple.errors[0].count, 3);
+  });
+});
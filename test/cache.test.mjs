@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { createSandbox, readJson, writeJson } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const { createCache, createFileCache, createMemoryCache } = await import('../scripts/cache.mjs');
+
+after(() => sandbox.cleanup());
+
+const payload = (country, updatedAt) => ({
+  country,
+  store: 'apple',
+  updatedAt,
+  new: [{ id: '1', name: 'One' }],
+  updated: [],
+  errors: [],
+});
+
+describe('createMemoryCache', () => {
+  it('stores entries in memory only', async () => {
+    const cache = createMemoryCache();
+    await cache.set('apple:US', { data: payload('US'), fetchedAt: 1, source: 'live' });
+
+    assert.equal(cache.get('apple:US').source, 'live');
+    assert.equal(await cache.warm(['apple:US']), 0);
+    assert.equal([...cache.values()].length, 1);
+  });
+});
+
+describe('createFileCache', () => {
+  it('persists entries under the cache directory, not the build snapshots', async () => {
+    const cache = createFileCache();
+    await cache.set('apple:DE', {
+      data: payload('DE', '2026-10-19T10:00:00.000Z'),
+      fetchedAt: Date.now(),
+      source: 'live',
+    });
+    await cache.set('google:DE:puzzle', {
+      data: payload('DE', '2026-10-19T10:00:00.000Z'),
+      fetchedAt: Date.now(),
+      source: 'live',
+    });
+
+    const stored = await readJson(path.join(sandbox.cacheDir, 'payloads', 'apple', 'DE.json'));
+    assert.equal(stored.country, 'DE');
+    await readJson(path.join(sandbox.cacheDir, 'payloads', 'google', 'puzzle', 'DE.json'));
+    await assert.rejects(fs.access(path.join(sandbox.dataDir, 'apple', 'DE.json')));
+  });
+
+  it('warms from build snapshots and marks entries with their snapshot time', async () => {
+    await writeJson(
+      path.join(sandbox.dataDir, 'apple', 'FR.json'),
+      payload('FR', '2026-10-18T08:00:00.000Z')
+    );
+    const cache = createFileCache();
+
+    assert.equal(await cache.warm(['apple:FR', 'apple:IT']), 1);
+    const entry = cache.get('apple:FR');
+    assert.equal(entry.source, 'disk');
+    assert.equal(entry.fetchedAt, Date.parse('2026-10-18T08:00:00.000Z'));
+    assert.equal(cache.has('apple:IT'), false);
+  });
+
+  it('warms from whichever of the cache file and build snapshot is newer', async () => {
+    const cacheDir = path.join(sandbox.cacheDir, 'payloads');
+    await writeJson(path.join(cacheDir, 'apple', 'NL.json'), payload('NL', '2026-10-18T00:00:00Z'));
+    await writeJson(
+      path.join(sandbox.dataDir, 'apple', 'NL.json'),
+      payload('NL', '2026-10-19T00:00:00Z')
+    );
+    await writeJson(path.join(cacheDir, 'apple', 'BE.json'), payload('BE', '2026-10-19T00:00:00Z'));
+    await writeJson(
+      path.join(sandbox.dataDir, 'apple', 'BE.json'),
+      payload('BE', '2026-10-18T00:00:00Z')
+    );
+    const cache = createFileCache();
+
+    assert.equal(await cache.warm(['apple:NL', 'apple:BE']), 2);
+    assert.equal(cache.get('apple:NL').data.updatedAt, '2026-10-19T00:00:00Z');
+    assert.equal(cache.get('apple:BE').data.updatedAt, '2026-10-19T00:00:00Z');
+    assert.equal(cache.get('apple:BE').fetchedAt, Date.parse('2026-10-19T00:00:00Z'));
+  });
+
+  it('skips unreadable files while warming', async () => {
+    await fs.writeFile(path.join(sandbox.dataDir, 'apple', 'ES.json'), '{"broken":');
+    const cache = createFileCache();
+
+    assert.equal(await cache.warm(['apple:ES']), 0);
+  });
+});
+
+describe('createCache', () => {
+  it('rejects unknown backends', () => {
+    assert.throws(() => createCache('redis'), /Unknown cache backend/);
+    assert.equal(createCache('memory').backend, 'memory');
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  deriveNewList,
+  hasList,
+  isChart,
+  itemRank,
+  listItems,
+  payloadItems,
+  selectChart,
+  withListItems,
+} from '../scripts/charts.mjs';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const now = Date.parse('2026-10-19T00:00:00.000Z');
+const ago = (days) => new Date(now - days * DAY_MS).toISOString();
+const entry = (id, chart, chartRank, releasedAt) => ({ id, chart, chartRank, releasedAt });
+
+const charts = {
+  'top-free': [entry('a', 'top-free', 1, ago(5)), entry('b', 'top-free', 4, ago(1))],
+  'top-paid': [entry('c', 'top-paid', 2, ago(40)), entry('d', 'top-paid', 9, null)],
+  'top-grossing': [entry('b', 'top-grossing', 2, ago(1)), entry('a', 'top-grossing', 1, ago(5))],
+};
+
+describe('deriveNewList', () => {
+  it('merges every chart by release date and keeps the best chart rank', () => {
+    const list = deriveNewList(charts, { since: now - 60 * DAY_MS });
+    assert.deepEqual(
+      list.map((item) => [item.id, item.chart, item.chartRank]),
+      [
+        ['b', 'top-grossing', 2],
+        ['a', 'top-free', 1],
+        ['c', 'top-paid', 2],
+      ]
+    );
+  });
+
+  it('drops releases outside the window and applies the limit', () => {
+    const ids = (options) => deriveNewList(charts, options).map((item) => item.id);
+    assert.deepEqual(ids({ since: now - 30 * DAY_MS }), ['b', 'a']);
+    assert.deepEqual(ids({ since: now - 60 * DAY_MS, limit: 1 }), ['b']);
+    assert.deepEqual(deriveNewList({}), []);
+  });
+});
+
+describe('chart helpers', () => {
+  const payload = { store: 'apple', new: [{ id: 'a' }], charts };
+
+  it('reads named lists and charts from a payload', () => {
+    assert.equal(isChart('top-paid'), true);
+    assert.equal(isChart('new'), false);
+    assert.deepEqual(listItems(payload, 'new'), [{ id: 'a' }]);
+    assert.equal(listItems(payload, 'top-free').length, 2);
+    assert.deepEqual(listItems({ new: [] }, 'top-paid'), []);
+  });
+
+  it('ranks items by their store chart position', () => {
+    assert.equal(itemRank({ id: 'a', chartRank: 7 }, 0), 7);
+    assert.equal(itemRank({ id: 'a', rank: 3 }, 0), 3);
+    assert.equal(itemRank({ id: 'a' }, 4), 5);
+  });
+
+  it('replaces lists and pools items across every list', () => {
+    assert.equal(hasList(payload, 'top-paid'), true);
+    assert.equal(hasList({ new: [] }, 'top-paid'), false);
+    assert.equal(hasList({}, 'updated'), true);
+
+    const replaced = withListItems(payload, 'top-paid', []);
+    assert.deepEqual(replaced.charts['top-paid'], []);
+    assert.equal(replaced.charts['top-free'], charts['top-free']);
+    assert.deepEqual(withListItems(payload, 'new', []).new, []);
+
+    assert.deepEqual([...payloadItems(payload).keys()], ['a', 'b', 'c', 'd']);
+    assert.deepEqual(payloadItems(payload).get('a'), { id: 'a' });
+  });
+
+  it('narrows a payload to one chart', () => {
+    const selected = selectChart(payload, 'top-paid');
+    assert.deepEqual(Object.keys(selected.charts), ['top-paid']);
+    assert.deepEqual(selected.new, payload.new);
+    assert.equal(selectChart(payload, null), payload);
+    assert.deepEqual(selectChart({ store: 'steam', new: [] }, 'top-free'), {
+      store: 'steam',
+      new: [],
+    });
+  });
+});
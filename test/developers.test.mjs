@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildDeveloperIndex,
+  developerId,
+  searchDevelopers,
+  summarizeDeveloper,
+} from '../scripts/developers.mjs';
+
+const payloads = [
+  {
+    country: 'US',
+    store: 'apple',
+    new: [
+      { id: '1', name: 'Harbor Merge', developer: 'Tidepool Studio, Inc.' },
+      { id: '2', name: 'Orbit Drift', developer: 'Parsec Interactive' },
+    ],
+    updated: [{ id: '1', name: 'Harbor Merge', developer: 'Tidepool Studio, Inc.' }],
+    charts: {
+      'top-grossing': [
+        { id: '1', name: 'Harbor Merge', developer: 'Tidepool Studio, Inc.', chartRank: 12 },
+      ],
+    },
+  },
+  {
+    country: 'JP',
+    store: 'google',
+    new: [
+      { id: 'com.parsec.orbit', name: 'Orbit Drift', developer: 'Parsec Interactive' },
+      { id: 'com.tidepool.merge', name: 'Harbor Merge', developer: 'Tidepool Studio' },
+      { id: 'com.tidepool.dock', name: 'Dock Sort', developer: 'Tidepool Studio' },
+    ],
+    updated: [],
+  },
+];
+
+describe('developerId', () => {
+  it('normalizes names into stable slugs', () => {
+    assert.equal(developerId('Tidepool Studio, Inc.'), 'tidepool-studio');
+    assert.equal(developerId('TIDEPOOL STUDIO'), 'tidepool-studio');
+    assert.equal(developerId(''), null);
+  });
+});
+
+describe('buildDeveloperIndex', () => {
+  it('groups apps by developer across stores and countries', () => {
+    const index = buildDeveloperIndex(payloads);
+    const tidepool = index.get('tidepool-studio');
+
+    assert.equal(tidepool.name, 'Tidepool Studio, Inc.');
+    assert.deepEqual(tidepool.stores, ['apple', 'google']);
+    assert.deepEqual(tidepool.countries, ['JP', 'US']);
+    assert.equal(tidepool.appCount, 3);
+    assert.deepEqual(
+      tidepool.apps[0].charts,
+      [
+        { country: 'US', list: 'new', rank: 1 },
+        { country: 'US', list: 'updated', rank: 1 },
+        { country: 'US', list: 'top-grossing', rank: 12 },
+      ]
+    );
+    assert.deepEqual(summarizeDeveloper(tidepool).apps.map((app) => app.id), [
+      '1',
+      'com.tidepool.merge',
+      'com.tidepool.dock',
+    ]);
+  });
+
+  it('searches by name and store', () => {
+    const index = buildDeveloperIndex(payloads);
+
+    assert.deepEqual(
+      searchDevelopers(index).map((developer) => developer.id),
+      ['tidepool-studio', 'parsec-interactive']
+    );
+    assert.deepEqual(
+      searchDevelopers(index, { query: 'parsec' }).map((developer) => developer.id),
+      ['parsec-interactive']
+    );
+    assert.equal(searchDevelopers(index, { store: 'steam' }).length, 0);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createErrorRecord, mergeErrors } from '../scripts/errors.mjs';
+
+describe('createErrorRecord', () => {
+  it('captures the stage, upstream and HTTP status', () => {
+    const error = new Error('Request failed (503) for https://itunes.apple.com/lookup?id=1');
+    error.status = 503;
+    error.attempts = 4;
+
+    const record = createErrorRecord(error, {
+      store: 'apple',
+      stage: 'itunes-lookup',
+      url: 'https://itunes.apple.com/lookup?id=1',
+    });
+
+    assert.equal(record.store, 'apple');
+    assert.equal(record.stage, 'itunes-lookup');
+    assert.equal(record.status, 503);
+    assert.equal(record.attempts, 4);
+    assert.equal(record.count, 1);
+    assert.equal(record.firstAt, record.lastAt);
+  });
+});
+
+describe('mergeErrors', () => {
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const record = (overrides) => ({
+    store: 'apple',
+    stage: 'rss',
+    message: 'Request failed (503) for https://rss.example/a',
+    url: 'https://rss.example/a',
+    status: 503,
+    attempts: 1,
+    count: 1,
+    firstAt: '2026-10-19T10:00:00.000Z',
+    lastAt: '2026-10-19T10:00:00.000Z',
+    ...overrides,
+  });
+
+  it('deduplicates repeated failures into one record with a count', () => {
+    const merged = mergeErrors(
+      [record()],
+      [
+        record({
+          message: 'Request failed (503) for https://rss.example/b',
+          url: 'https://rss.example/b',
+          attempts: 4,
+          lastAt: '2026-10-19T11:00:00.000Z',
+        }),
+      ],
+      { now }
+    );
+
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].count, 2);
+    assert.equal(merged[0].attempts, 4);
+    assert.equal(merged[0].firstAt, '2026-10-19T10:00:00.000Z');
+    assert.equal(merged[0].lastAt, '2026-10-19T11:00:00.000Z');
+    assert.equal(merged[0].url, 'https://rss.example/b');
+  });
+
+  it('folds legacy { message, preserved } entries into one record', () => {
+    const legacy = Array.from({ length: 88 }, () => ({
+      message: 'Unexpected non-whitespace character after JSON at position 18814087',
+      preserved: true,
+    }));
+
+    const merged = mergeErrors(legacy, [], {
+      store: 'apple',
+      fallbackAt: '2026-10-19T09:00:00.000Z',
+      now,
+    });
+
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].count, 88);
+    assert.equal(merged[0].store, 'apple');
+  });
+
+  it('drops records past the retention window and caps the list', () => {
+    const stale = record({ stage: 'gplay-list', lastAt: '2026-09-01T00:00:00.000Z' });
+    const distinct = Array.from({ length: 40 }, (_, index) =>
+      record({ status: 400 + index, lastAt: new Date(now - index * 1000).toISOString() })
+    );
+
+    const merged = mergeErrors([stale], distinct, { now });
+
+    assert.equal(merged.length, 25);
+    assert.ok(merged.every((entry) => entry.stage === 'rss'));
+    assert.equal(merged[0].status, 400);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectChartEvents } from '../scripts/events.mjs';
+
+const options = { store: 'apple', country: 'US', at: '2026-10-19T00:00:00.000Z' };
+
+const item = (id, chartRank, extra = {}) => ({
+  id,
+  name: `Game ${id}`,
+  developer: 'Rival Games',
+  chart: 'top-free',
+  chartRank,
+  price: 'Free',
+  isFree: true,
+  ...extra,
+});
+
+const payload = (topFree, extra = {}) => ({
+  new: [],
+  updated: [],
+  charts: { 'top-free': topFree },
+  ...extra,
+});
+
+describe('detectChartEvents', () => {
+  it('reports chart entries, moves and drops at their store chart positions', () => {
+    const events = detectChartEvents(
+      payload([item('a', 1), item('b', 4)]),
+      payload([item('b', 2), item('c', 9)]),
+      options
+    );
+
+    assert.deepEqual(
+      events.map((event) => [event.type, event.list, event.id, event.rank, event.previousRank]),
+      [
+        ['moved', 'top-free', 'b', 2, 4],
+        ['entered', 'top-free', 'c', 9, undefined],
+        ['dropped', 'top-free', 'a', undefined, 1],
+      ]
+    );
+  });
+
+  it('ranks the derived new list by chart position too', () => {
+    const events = detectChartEvents(
+      payload([], { new: [item('a', 12)] }),
+      payload([], { new: [item('b', 3), item('a', 7)] }),
+      options
+    );
+
+    assert.deepEqual(
+      events.map((event) => [event.type, event.id, event.rank, event.previousRank]),
+      [
+        ['entered', 'b', 3, undefined],
+        ['moved', 'a', 7, 12],
+      ]
+    );
+  });
+
+  it('skips charts missing from either payload', () => {
+    const previous = payload([item('a', 1)]);
+    const next = { new: [], updated: [], charts: {} };
+
+    assert.deepEqual(detectChartEvents(previous, next, options), []);
+    assert.deepEqual(detectChartEvents(next, previous, options), []);
+  });
+
+  it('detects price changes of games that only appear in a chart', () => {
+    const events = detectChartEvents(
+      payload([item('a', 1, { price: '$4.99', priceAmount: 4.99, isFree: false })]),
+      payload([item('a', 1)]),
+      options
+    );
+
+    assert.deepEqual(
+      events.map((event) => [event.type, event.id, event.previousPrice, event.price]),
+      [['price', 'a', '$4.99', 'Free']]
+    );
+  });
+});
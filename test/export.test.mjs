@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  exportColumns,
+  exportRows,
+  renderExport,
+  toCsv,
+  toJsonl,
+  toXlsx,
+} from '../scripts/export.mjs';
+import { readZip } from './helpers.mjs';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const now = Date.parse('2026-10-19T00:00:00.000Z');
+const ago = (days) => new Date(now - days * DAY_MS).toISOString();
+
+const payload = {
+  country: 'US',
+  store: 'google',
+  new: [
+    { id: 'a', name: 'Alpha', isFree: true, releasedAt: ago(1), genres: ['Puzzle', 'Word'] },
+    { id: 'b', name: '=HYPERLINK("x")', isFree: false, price: '$1.99', releasedAt: ago(10) },
+    {
+      id: 'c',
+      name: 'Gamma, "the" game',
+      isFree: true,
+      releasedAt: ago(3),
+      priceChange: { type: 'free', at: ago(2) },
+    },
+  ],
+  updated: [{ id: 'd', name: 'Delta', isFree: false, updatedAt: ago(20), rank: 7 }],
+  charts: {
+    'top-paid': [
+      { id: 'b', isFree: false, releasedAt: ago(10), chart: 'top-paid', chartRank: 3, rank: 2 },
+    ],
+  },
+};
+
+describe('exportRows', () => {
+  it('keeps the chart rank and adds store, country and list columns', () => {
+    const rows = exportRows([payload, null], { now });
+    assert.deepEqual(
+      rows.map((row) => [row.store, row.country, row.list, row.rank, row.id]),
+      [
+        ['google', 'US', 'new', 1, 'a'],
+        ['google', 'US', 'new', 2, 'b'],
+        ['google', 'US', 'new', 3, 'c'],
+        ['google', 'US', 'updated', 7, 'd'],
+      ]
+    );
+  });
+
+  it('exports chart lists with the store rank', () => {
+    const rows = exportRows([payload], { now, lists: ['top-paid', 'top-free'] });
+    assert.deepEqual(
+      rows.map((row) => [row.list, row.rank, row.chart, row.id]),
+      [['top-paid', 3, 'top-paid', 'b']]
+    );
+  });
+
+  it('applies the UI time range and price filters after ranking', () => {
+    const ids = (options) => exportRows([payload], { now, ...options }).map((row) => row.id);
+    assert.deepEqual(ids({ time: '7d' }), ['a', 'c']);
+    assert.deepEqual(ids({ time: '30d', price: 'paid' }), ['b', 'd']);
+    assert.deepEqual(ids({ price: 'changed' }), ['c']);
+    assert.deepEqual(ids({ lists: ['updated'] }), ['d']);
+    assert.equal(exportRows([payload], { now, time: '24h', price: 'paid' }).length, 0);
+  });
+});
+
+describe('renderers', () => {
+  const rows = exportRows([payload], { now, lists: ['new'] });
+
+  it('orders the leading columns before the remaining item fields', () => {
+    assert.deepEqual(exportColumns(rows).slice(0, 7), [
+      'store',
+      'country',
+      'list',
+      'rank',
+      'id',
+      'name',
+      'price',
+    ]);
+    assert.ok(exportColumns(rows).includes('priceChange'));
+  });
+
+  it('quotes CSV fields and neutralises spreadsheet formulas', () => {
+    const columns = ['rank', 'name', 'genres', 'isFree'];
+    const lines = toCsv(rows, columns).split('\r\n');
+    assert.equal(lines[0], '\ufeffrank,name,genres,isFree');
+    assert.equal(lines[1], '1,Alpha,Puzzle; Word,true');
+    assert.equal(lines[2], `2,"'=HYPERLINK(""x"")",,false`);
+    assert.equal(lines[3], '3,"Gamma, ""the"" game",,true');
+    assert.equal(lines[4], '');
+  });
+
+  it('writes one JSON object per line', () => {
+    const lines = toJsonl(rows).trim().split('\n');
+    assert.deepEqual(JSON.parse(lines[2]).priceChange, { type: 'free', at: ago(2) });
+    assert.equal(toJsonl([]), '');
+  });
+
+  it('builds an XLSX workbook with typed cells', () => {
+    const entries = readZip(toXlsx(rows, ['rank', 'name', 'isFree']));
+    assert.deepEqual(
+      entries.map((entry) => entry.name),
+      [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml',
+      ]
+    );
+    const sheet = entries.at(-1).data.toString('utf8');
+    assert.match(sheet, /<c r="A2"><v>1<\/v><\/c>/);
+    assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+    assert.match(sheet, /<t xml:space="preserve">=HYPERLINK\(&quot;x&quot;\)<\/t>/);
+    assert.match(sheet, /state="frozen"/);
+  });
+
+  it('falls back to CSV for unknown formats', () => {
+    assert.equal(renderExport([], 'jsonl').contentType, 'application/x-ndjson; charset=utf-8');
+    assert.equal(renderExport([], 'nope').contentType, 'text/csv; charset=utf-8');
+  });
+});
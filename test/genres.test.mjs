@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  GENRES,
+  describeGenres,
+  filterPayloadByGenre,
+  findGenre,
+  itemMatchesGenre,
+} from '../scripts/genres.mjs';
+
+describe('findGenre', () => {
+  it('resolves ids, Google categories and store labels', () => {
+    assert.equal(findGenre('puzzle').google, 'GAME_PUZZLE');
+    assert.equal(findGenre('GAME_ROLE_PLAYING').id, 'rpg');
+    assert.equal(findGenre('Role Playing').apple, 7014);
+    assert.equal(findGenre('rpg').label, 'Role Playing');
+    assert.equal(findGenre('shooter'), null);
+    assert.equal(findGenre(''), null);
+  });
+
+  it('keeps ids and store mappings unique', () => {
+    const unique = (values) => new Set(values).size === values.length;
+    assert.ok(unique(GENRES.map((genre) => genre.id)));
+    assert.ok(unique(GENRES.map((genre) => genre.apple).filter(Boolean)));
+    assert.ok(unique(GENRES.map((genre) => genre.google).filter(Boolean)));
+  });
+});
+
+describe('filterPayloadByGenre', () => {
+  it('derives a genre chart from the store payload', () => {
+    const payload = {
+      store: 'steam',
+      country: 'US',
+      new: [
+        { id: '1', genres: ['Action', 'RPG'] },
+        { id: '2', genres: ['Strategy'] },
+      ],
+      updated: [{ id: '3', genres: ['role playing'] }],
+    };
+    const rpg = findGenre('rpg');
+
+    assert.equal(itemMatchesGenre(payload.new[0], rpg), true);
+    const derived = filterPayloadByGenre(payload, rpg);
+    assert.equal(derived.genre, 'rpg');
+    assert.equal(derived.derived, true);
+    assert.deepEqual(
+      [...derived.new, ...derived.updated].map((item) => item.id),
+      ['1', '3']
+    );
+    assert.equal(filterPayloadByGenre(null, rpg), null);
+  });
+});
+
+describe('describeGenres', () => {
+  it('lists which stores fetch each genre directly', () => {
+    const stores = [
+      { id: 'apple', capabilities: { genres: true } },
+      { id: 'google', capabilities: { genres: true } },
+      { id: 'steam', capabilities: { genres: false } },
+    ];
+    const genres = Object.fromEntries(
+      describeGenres(stores).map((genre) => [genre.id, genre.fetched])
+    );
+
+    assert.deepEqual(genres.puzzle, ['apple', 'google']);
+    assert.deepEqual(genres.arcade, ['google']);
+    assert.deepEqual(genres.family, ['apple']);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { aggregateList, buildGlobal } from '../scripts/global.mjs';
+
+const item = (id, extra = {}) => ({ id, name: `Game ${id}`, developer: 'Studio', ...extra });
+
+const payloads = [
+  {
+    country: 'US',
+    store: 'google',
+    updatedAt: '2026-10-18T00:00:00.000Z',
+    new: [
+      item('a', { rank: 1, firstSeenAt: '2026-10-10T00:00:00.000Z' }),
+      item('b', { rank: 2, firstSeenAt: '2026-10-12T00:00:00.000Z' }),
+    ],
+    updated: [],
+  },
+  {
+    country: 'PH',
+    store: 'google',
+    updatedAt: '2026-10-19T00:00:00.000Z',
+    new: [
+      item('c', { rank: 1, firstSeenAt: '2026-09-01T00:00:00.000Z' }),
+      item('a', { rank: 4, firstSeenAt: '2026-10-01T00:00:00.000Z' }),
+    ],
+    updated: [],
+  },
+  {
+    country: 'CA',
+    store: 'google',
+    updatedAt: '2026-10-17T00:00:00.000Z',
+    new: [item('c'), item('a')],
+    updated: [item('b')],
+  },
+];
+
+describe('aggregateList', () => {
+  it('merges apps across countries with best, average and earliest positions', () => {
+    const [first, second] = aggregateList(payloads, 'new');
+
+    assert.equal(first.id, 'a');
+    assert.equal(first.countryCount, 3);
+    assert.equal(first.bestRank, 1);
+    assert.equal(first.bestCountry, 'US');
+    assert.equal(first.averageRank, 2.3);
+    assert.equal(first.firstSeenAt, '2026-10-01T00:00:00.000Z');
+    assert.equal(first.firstSeenCountry, 'PH');
+    assert.deepEqual(
+      first.countries.map((entry) => [entry.country, entry.rank]),
+      [
+        ['US', 1],
+        ['CA', 2],
+        ['PH', 4],
+      ]
+    );
+    assert.equal(first.rank, undefined);
+
+    assert.equal(second.id, 'c');
+    assert.deepEqual(second.countries.map((entry) => entry.country), ['PH', 'CA']);
+  });
+
+  it('falls back to the payload time and list position when items lack history', () => {
+    const [entry] = aggregateList([payloads[2]], 'updated');
+
+    assert.equal(entry.bestRank, 1);
+    assert.equal(entry.firstSeenAt, '2026-10-17T00:00:00.000Z');
+  });
+});
+
+describe('buildGlobal', () => {
+  it('aggregates every store and applies the limit', () => {
+    const global = buildGlobal({ google: payloads, apple: [null] }, { limit: 1 });
+
+    assert.equal(global.country, 'WW');
+    assert.equal(global.google.countryCount, 3);
+    assert.equal(global.google.updatedAt, '2026-10-19T00:00:00.000Z');
+    assert.deepEqual(global.google.new.map((entry) => entry.id), ['a']);
+    assert.equal(global.apple.countryCount, 0);
+    assert.deepEqual(global.apple.new, []);
+    assert.deepEqual(global.apple.charts['top-free'], []);
+  });
+
+  it('aggregates charts by their store chart rank', () => {
+    const charted = (country, entries) => ({
+      country,
+      store: 'apple',
+      updatedAt: '2026-10-19T00:00:00.000Z',
+      new: [],
+      updated: [],
+      charts: {
+        'top-paid': entries.map(([id, chartRank]) => item(id, { chart: 'top-paid', chartRank })),
+      },
+    });
+    const global = buildGlobal({
+      apple: [
+        charted('US', [
+          ['x', 2],
+          ['y', 5],
+        ]),
+        charted('JP', [['y', 3]]),
+      ],
+    });
+
+    assert.deepEqual(
+      global.apple.charts['top-paid'].map((entry) => [entry.id, entry.bestRank, entry.averageRank]),
+      [
+        ['y', 3, 4],
+        ['x', 2, 2],
+      ]
+    );
+    assert.equal(global.apple.charts['top-paid'][0].chartRank, undefined);
+    assert.deepEqual(global.apple.charts['top-free'], []);
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import gplay from 'google-play-scraper';
+import { after, describe, it } from 'node:test';
+import { createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const { fetchGoogleData } = await import('../scripts/google.mjs');
+const { findGenre } = await import('../scripts/genres.mjs');
+
+after(() => sandbox.cleanup());
+
+describe('Google Play collections', () => {
+  it('only uses collection names google-play-scraper defines', () => {
+    const collections = Object.values(gplay.collection);
+    ['TOP_FREE', 'TOP_PAID', 'GROSSING'].forEach((name) => {
+      assert.ok(collections.includes(name), name);
+    });
+    assert.equal(gplay.collection.TOP_GROSSING, undefined);
+    assert.equal(gplay.collection.NEW_FREE, undefined);
+  });
+});
+
+describe('fetchGoogleData', () => {
+  it('builds the new list from release dates across all charts', async () => {
+    const data = await fetchGoogleData('US');
+
+    assert.equal(data.store, 'google');
+    assert.deepEqual(
+      data.new.map((item) => item.id),
+      [
+        'com.tidepool.harbormerge',
+        'com.ashfall.cinder',
+        'com.parsec.orbit',
+        'com.crownworks.ledger',
+        'com.legacy.solitaire',
+      ]
+    );
+    const orbit = data.new.find((item) => item.id === 'com.parsec.orbit');
+    assert.equal(orbit.isFree, false);
+    assert.equal(orbit.priceAmount, 1.99);
+    assert.equal(orbit.currency, 'USD');
+    assert.equal(orbit.rating, 4.4);
+    assert.equal(orbit.ratingCount, 52310);
+    assert.equal(orbit.reviewCount, 8120);
+    assert.equal(orbit.contentRating, 'Everyone 10+');
+    assert.equal(orbit.sizeBytes, 152 * 1024 * 1024);
+    assert.equal(orbit.minOsVersion, '8.0');
+    assert.equal(orbit.offersIAP, true);
+    assert.equal(orbit.iapRange, '$0.99 - $19.99');
+    assert.equal(orbit.screenshots.length, 2);
+    assert.equal(orbit.updatedAt, '2026-09-30T10:00:00.000Z');
+  });
+
+  it('stores every collection as its own chart with the store rank', async () => {
+    const data = await fetchGoogleData('US');
+    const ranks = (chart) => data.charts[chart].map((item) => [item.id, item.chartRank]);
+
+    assert.deepEqual(ranks('top-free'), [
+      ['com.tidepool.harbormerge', 1],
+      ['com.ashfall.cinder', 2],
+      ['com.legacy.solitaire', 3],
+    ]);
+    assert.deepEqual(ranks('top-paid'), [['com.parsec.orbit', 1]]);
+    assert.deepEqual(ranks('top-grossing'), [
+      ['com.crownworks.ledger', 1],
+      ['com.parsec.orbit', 2],
+    ]);
+    const orbit = data.new.find((item) => item.id === 'com.parsec.orbit');
+    assert.deepEqual([orbit.chart, orbit.chartRank], ['top-paid', 1]);
+    assert.deepEqual(data.unavailableCharts, []);
+  });
+
+  it('fetches genre charts from the matching GAME_* category', async () => {
+    const data = await fetchGoogleData('US', null, { genre: findGenre('puzzle') });
+
+    assert.equal(data.genre, 'puzzle');
+    assert.deepEqual(
+      data.new.map((item) => item.id),
+      ['com.tidepool.tiletide', 'com.tidepool.harbormerge']
+    );
+    assert.deepEqual(data.errors, []);
+  });
+
+  it('preserves the previous payload when every collection comes back empty', async () => {
+    const previousData = {
+      country: 'GB',
+      store: 'google',
+      updatedAt: '2026-10-01T00:00:00.000Z',
+      new: [{ id: 'com.example.kept', name: 'Kept' }],
+      updated: [],
+      errors: [],
+    };
+
+    const data = await fetchGoogleData('GB', previousData);
+
+    assert.deepEqual(data.new, previousData.new);
+    assert.equal(data.updatedAt, previousData.updatedAt);
+    assert.ok(data.preservedAt);
+  });
+
+  it('returns empty lists when there is nothing to preserve', async () => {
+    const data = await fetchGoogleData('GB');
+
+    assert.deepEqual(data.new, []);
+    assert.equal(data.preservedAt, undefined);
+  });
+});
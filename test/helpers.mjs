@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import zlib from 'zlib';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT = path.join(__dirname, '..');
+export const FIXTURES = path.join(__dirname, 'fixtures');
+
+export async function createSandbox(overrides = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-scrap-'));
+  const env = {
+    STORE_SCRAP_DATA_DIR: path.join(dir, 'data'),
+    STORE_SCRAP_CACHE_DIR: path.join(dir, 'cache'),
+    STORE_SCRAP_FIXTURES: FIXTURES,
+    STORE_SCRAP_TRANSPORT: 'replay',
+    NEW_WINDOW_DAYS: '36500',
+    STEAM_COUNTRIES: '',
+    SCHEDULER: 'off',
+    ...overrides,
+  };
+  const previous = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, env);
+
+  function restoreEnv() {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+  }
+
+  return {
+    dir,
+    env,
+    dataDir: env.STORE_SCRAP_DATA_DIR,
+    cacheDir: env.STORE_SCRAP_CACHE_DIR,
+    cleanup: async () => {
+      restoreEnv();
+      await fs.rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+export async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+export async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+export async function createReceiver(respond = () => 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(respond(requests.length));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let cursor = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    const checksum = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const offset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.subarray(cursor + 46, cursor + 46 + nameLength).toString('utf8');
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    entries.push({ name, checksum, data });
+    cursor += 46 + nameLength;
+  }
+  return entries;
+}
@@ -0,0 +1,261 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox({ HISTORY_RETENTION_DAYS: '30' });
+const { diffRanks, getMovers, loadHistory, recordSnapshot } = await import(
+  '../scripts/history.mjs'
+);
+
+after(() => sandbox.cleanup());
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const start = Date.parse('2026-10-01T00:00:00.000Z');
+const day = (offset) => new Date(start + offset * DAY_MS).toISOString();
+
+function payload(offset, ids) {
+  return {
+    country: 'US',
+    store: 'apple',
+    updatedAt: day(offset),
+    new: ids.map((id) => ({ id, name: `Game ${id}`, developer: 'Studio' })),
+    updated: [],
+  };
+}
+
+describe('diffRanks', () => {
+  it('reports entered, dropped and moved ids', () => {
+    assert.deepEqual(diffRanks(['a', 'b', 'c'], ['c', 'a', 'd']), {
+      entered: [{ id: 'd', rank: 3 }],
+      dropped: [{ id: 'b', previousRank: 2 }],
+      moved: [
+        { id: 'c', rank: 1, previousRank: 3, delta: 2 },
+        { id: 'a', rank: 2, previousRank: 1, delta: -1 },
+      ],
+    });
+    assert.deepEqual(diffRanks(undefined, ['a']), {
+      entered: [{ id: 'a', rank: 1 }],
+      dropped: [],
+      moved: [],
+    });
+  });
+});
+
+describe('recordSnapshot', () => {
+  it('annotates ranks against the previous snapshot and logs entries and drops', async () => {
+    const first = await recordSnapshot('apple', 'US', payload(0, ['a', 'b', 'c']));
+    assert.deepEqual(
+      first.new.map((item) => [item.id, item.rank, item.previousRank, item.rankDelta]),
+      [
+        ['a', 1, null, null],
+        ['b', 2, null, null],
+        ['c', 3, null, null],
+      ]
+    );
+
+    const second = await recordSnapshot('apple', 'US', payload(1, ['c', 'a', 'd']));
+    assert.deepEqual(
+      second.new.map((item) => [item.id, item.rank, item.previousRank, item.rankDelta]),
+      [
+        ['c', 1, 3, 2],
+        ['a', 2, 1, -1],
+        ['d', 3, null, null],
+      ]
+    );
+    assert.equal(second.new[0].firstSeenAt, day(0));
+    assert.equal(second.new[2].firstSeenAt, day(1));
+
+    const history = await loadHistory('apple', 'US');
+    assert.deepEqual(
+      history.snapshots.map((snapshot) => snapshot.lists.new),
+      [
+        ['a', 'b', 'c'],
+        ['c', 'a', 'd'],
+      ]
+    );
+    assert.deepEqual(
+      history.events.map((event) => [event.type, event.id, event.rank, event.previousRank]),
+      [
+        ['entered', 'd', 3, null],
+        ['dropped', 'b', null, 2],
+      ]
+    );
+  });
+
+  it('keeps the snapshots of concurrent writers', async () => {
+    await Promise.all([
+      recordSnapshot('google', 'NZ', payload(0, ['a'])),
+      recordSnapshot('google', 'NZ', payload(1, ['a', 'b'])),
+    ]);
+
+    const history = await loadHistory('google', 'NZ');
+    assert.equal(history.snapshots.length, 2);
+    assert.deepEqual(Object.keys(history.apps).sort(), ['a', 'b']);
+  });
+
+  it('skips preserved payloads and repeated timestamps', async () => {
+    const preserved = { ...payload(2, ['x']), preservedAt: day(2) };
+    assert.equal(await recordSnapshot('apple', 'US', preserved), preserved);
+    const repeated = payload(1, ['x']);
+    assert.equal(await recordSnapshot('apple', 'US', repeated), repeated);
+    assert.equal((await loadHistory('apple', 'US')).snapshots.length, 2);
+  });
+
+  it('prunes snapshots, events and apps past the retention window', async () => {
+    await recordSnapshot('apple', 'GB', payload(0, ['a', 'b']));
+    await recordSnapshot('apple', 'GB', payload(1, ['b', 'c']));
+    await recordSnapshot('apple', 'GB', payload(40, ['c']));
+
+    const history = await loadHistory('apple', 'GB');
+    assert.deepEqual(
+      history.snapshots.map((snapshot) => snapshot.at),
+      [day(40)]
+    );
+    assert.deepEqual(Object.keys(history.apps), ['c']);
+    assert.deepEqual(
+      history.events.map((event) => [event.type, event.id, event.at]),
+      [['dropped', 'b', day(40)]]
+    );
+  });
+});
+
+describe('chart lists', () => {
+  const charted = (offset, entries) => ({
+    ...payload(offset, []),
+    charts: {
+      'top-free': entries.map(([id, chartRank]) => ({
+        id,
+        name: `Game ${id}`,
+        chart: 'top-free',
+        chartRank,
+      })),
+    },
+  });
+  const chartEvents = async () =>
+    (await loadHistory('apple', 'DE')).events
+      .filter((event) => event.list === 'top-free')
+      .map((event) => [event.type, event.id, event.rank, event.previousRank]);
+
+  it('records the store chart position instead of the list index', async () => {
+    const first = await recordSnapshot(
+      'apple',
+      'DE',
+      charted(0, [
+        ['a', 1],
+        ['b', 3],
+        ['c', 4],
+      ])
+    );
+    assert.deepEqual(
+      first.charts['top-free'].map((item) => [item.id, item.rank]),
+      [
+        ['a', 1],
+        ['b', 3],
+        ['c', 4],
+      ]
+    );
+
+    const second = await recordSnapshot(
+      'apple',
+      'DE',
+      charted(1, [
+        ['b', 1],
+        ['c', 5],
+        ['d', 7],
+      ])
+    );
+    assert.deepEqual(
+      second.charts['top-free'].map((item) => [item.id, item.rank, item.previousRank]),
+      [
+        ['b', 1, 3],
+        ['c', 5, 4],
+        ['d', 7, null],
+      ]
+    );
+    assert.deepEqual(await chartEvents(), [
+      ['entered', 'd', 7, null],
+      ['dropped', 'a', null, 1],
+    ]);
+
+    const movers = getMovers(await loadHistory('apple', 'DE'), { list: 'top-free', since: start });
+    assert.deepEqual(
+      movers.climbers.map((entry) => [entry.id, entry.rank, entry.baselineRank]),
+      [['b', 1, 3]]
+    );
+    assert.deepEqual(
+      movers.fallers.map((entry) => [entry.id, entry.change]),
+      [['c', -1]]
+    );
+    assert.deepEqual(
+      movers.entries.map((entry) => [entry.id, entry.rank]),
+      [['d', 7]]
+    );
+  });
+
+  it('keeps the last positions of a chart that was not fetched', async () => {
+    await recordSnapshot('apple', 'DE', { ...payload(2, []), charts: {} });
+    await recordSnapshot(
+      'apple',
+      'DE',
+      charted(3, [
+        ['b', 1],
+        ['c', 5],
+        ['d', 7],
+      ])
+    );
+
+    const history = await loadHistory('apple', 'DE');
+    assert.deepEqual(history.snapshots[2].lists['top-free'], ['b', 'c', 'd']);
+    assert.deepEqual(history.snapshots[2].ranks['top-free'], [1, 5, 7]);
+    assert.equal((await chartEvents()).length, 2);
+  });
+});
+
+describe('getMovers', () => {
+  it('compares the latest snapshot with the first one since the cutoff', async () => {
+    await recordSnapshot('apple', 'CA', payload(0, ['a', 'b', 'c', 'd']));
+    await recordSnapshot('apple', 'CA', payload(1, ['b', 'a', 'c', 'd']));
+    await recordSnapshot('apple', 'CA', payload(2, ['d', 'b', 'e', 'a']));
+    const history = await loadHistory('apple', 'CA');
+
+    const movers = getMovers(history, { since: start });
+    assert.equal(movers.from, day(0));
+    assert.equal(movers.to, day(2));
+    assert.deepEqual(
+      movers.climbers.map((entry) => [entry.id, entry.rank, entry.baselineRank, entry.change]),
+      [['d', 1, 4, 3]]
+    );
+    assert.deepEqual(
+      movers.fallers.map((entry) => [entry.id, entry.change]),
+      [['a', -3]]
+    );
+    assert.deepEqual(
+      movers.entries.map((entry) => [entry.id, entry.rank, entry.firstSeenAt]),
+      [['e', 3, day(2)]]
+    );
+
+    const recent = getMovers(history, { since: start + DAY_MS });
+    assert.equal(recent.from, day(1));
+    assert.deepEqual(
+      recent.climbers.map((entry) => [entry.id, entry.change]),
+      [['d', 3]]
+    );
+    assert.deepEqual(
+      recent.fallers.map((entry) => [entry.id, entry.change]),
+      [
+        ['a', -2],
+        ['b', -1],
+      ]
+    );
+  });
+
+  it('returns empty lists without snapshots', () => {
+    assert.deepEqual(getMovers({ snapshots: [], apps: {} }), {
+      from: null,
+      to: null,
+      climbers: [],
+      fallers: [],
+      entries: [],
+    });
+  });
+});
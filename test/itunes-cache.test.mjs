@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { createSandbox, readJson, writeJson } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const { createLookupCache, evictStale, shardOf } = await import('../scripts/itunes-cache.mjs');
+
+after(() => sandbox.cleanup());
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+function createCache(name) {
+  const dir = path.join(sandbox.cacheDir, name);
+  return {
+    dir,
+    legacyPath: path.join(dir, 'itunes_cache.json'),
+    cache: createLookupCache({
+      dir: path.join(dir, 'itunes'),
+      legacyPath: path.join(dir, 'itunes_cache.json'),
+      ttlMs: DAY_MS,
+    }),
+  };
+}
+
+describe('shardOf', () => {
+  it('shards ids by their last two characters', () => {
+    assert.equal(shardOf(6450000042), '42');
+    assert.equal(shardOf('7'), '07');
+    assert.equal(shardOf('com.Example.AB'), 'ab');
+  });
+});
+
+describe('evictStale', () => {
+  it('drops entries past the TTL', () => {
+    const entries = { a: { updatedAt: ago(0) }, b: { updatedAt: ago(2 * DAY_MS) }, c: {} };
+    assert.deepEqual(Object.keys(evictStale(entries, DAY_MS)), ['a']);
+  });
+});
+
+describe('createLookupCache', () => {
+  it('writes results to shard files and reads back fresh entries', async () => {
+    const { dir, cache } = createCache('shards');
+    await cache.set(
+      new Map([
+        ['6450000001', { trackId: 6450000001 }],
+        ['6450000101', null],
+        ['6450000002', { trackId: 6450000002 }],
+      ]),
+      { country: 'US' }
+    );
+
+    assert.deepEqual((await fs.readdir(path.join(dir, 'itunes'))).sort(), ['01.json', '02.json']);
+    const found = await cache.get(['6450000001', '6450000101', '6450000003'], { country: 'US' });
+    assert.deepEqual([...found], [
+      ['6450000001', { trackId: 6450000001 }],
+      ['6450000101', null],
+    ]);
+  });
+
+  it('merges concurrent writers and evicts stale entries on write', async () => {
+    const { dir } = createCache('merge');
+    await writeJson(path.join(dir, 'itunes', '01.json'), {
+      'US:6450000201': { data: { stale: true }, updatedAt: ago(3 * DAY_MS) },
+    });
+    const first = createCache('merge').cache;
+    const second = createCache('merge').cache;
+    await Promise.all([
+      first.set(new Map([['6450000001', { from: 'first' }]]), { country: 'US' }),
+      second.set(new Map([['6450000101', { from: 'second' }]]), { country: 'US' }),
+    ]);
+
+    const shard = await readJson(path.join(dir, 'itunes', '01.json'));
+    assert.deepEqual(Object.keys(shard).sort(), ['US:6450000001', 'US:6450000101']);
+  });
+
+  it('keeps each storefront apart', async () => {
+    const { cache } = createCache('countries');
+    await cache.set(new Map([['6450000007', { price: 4.99, currency: 'USD' }]]), {
+      country: 'US',
+    });
+    await cache.set(new Map([['6450000007', { price: 5.49, currency: 'EUR' }]]), {
+      country: 'DE',
+    });
+
+    const us = await cache.get(['6450000007'], { country: 'US' });
+    const de = await cache.get(['6450000007'], { country: 'DE' });
+    const jp = await cache.get(['6450000007'], { country: 'JP' });
+    assert.deepEqual(us.get('6450000007'), { price: 4.99, currency: 'USD' });
+    assert.deepEqual(de.get('6450000007'), { price: 5.49, currency: 'EUR' });
+    assert.equal(jp.size, 0);
+  });
+
+  it('drops the legacy single-file cache, which has no storefront', async () => {
+    const { dir, legacyPath, cache } = createCache('legacy');
+    await writeJson(legacyPath, {
+      6450000005: { data: { trackId: 6450000005 }, updatedAt: ago(0) },
+    });
+
+    const found = await cache.get(['6450000005'], { country: 'US' });
+    assert.equal(found.size, 0);
+    await assert.rejects(fs.stat(path.join(dir, 'itunes')), { code: 'ENOENT' });
+    await assert.rejects(fs.stat(legacyPath), { code: 'ENOENT' });
+  });
+
+  it('quarantines corrupt files and reports them instead of failing', async () => {
+    const { dir, legacyPath, cache } = createCache('corrupt');
+    await fs.mkdir(path.join(dir, 'itunes'), { recursive: true });
+    await fs.writeFile(legacyPath, '{"a": 1}}');
+    await fs.writeFile(path.join(dir, 'itunes', '09.json'), '{');
+
+    const reports = [];
+    const onCorrupt = (error, target) => reports.push(path.basename(target));
+    assert.equal((await cache.get(['6450000009'], { country: 'US', onCorrupt })).size, 0);
+    await cache.set(new Map([['6450000009', { trackId: 6450000009 }]]), {
+      country: 'US',
+      onCorrupt,
+    });
+
+    assert.equal(reports.length, 2);
+    assert.match(reports[0], /^itunes_cache\.json\.corrupt-/);
+    assert.match(reports[1], /^09\.json\.corrupt-/);
+    const found = await cache.get(['6450000009'], { country: 'US' });
+    assert.equal(found.get('6450000009').trackId, 6450000009);
+  });
+});
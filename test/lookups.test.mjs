@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createLookupBatcher } from '../scripts/lookups.mjs';
+
+function createFetcher(fail = new Set()) {
+  const calls = [];
+  const fetchBatch = async (ids, group) => {
+    calls.push([group, ids]);
+    if (ids.some((id) => fail.has(id))) {
+      throw new Error(`Lookup failed for ${ids.join(',')}`);
+    }
+    return new Map(ids.filter((id) => id !== 'missing').map((id) => [id, { id, group }]));
+  };
+  return { calls, fetchBatch };
+}
+
+describe('createLookupBatcher', () => {
+  it('collects pending ids per group into sorted, chunked requests', async () => {
+    const { calls, fetchBatch } = createFetcher();
+    const batcher = createLookupBatcher({ fetchBatch, size: 3, waitMs: 5 });
+    const results = await Promise.all([
+      batcher.lookup('e', 'US'),
+      batcher.lookup('a', 'US'),
+      batcher.lookup('d', 'US'),
+      batcher.lookup('b', 'US'),
+      batcher.lookup('c', 'JP'),
+      batcher.lookup('missing', 'US'),
+    ]);
+
+    assert.deepEqual(calls, [
+      ['US', ['a', 'd', 'e']],
+      ['US', ['b', 'missing']],
+      ['JP', ['c']],
+    ]);
+    assert.deepEqual(results, [
+      { id: 'e', group: 'US' },
+      { id: 'a', group: 'US' },
+      { id: 'd', group: 'US' },
+      { id: 'b', group: 'US' },
+      { id: 'c', group: 'JP' },
+      null,
+    ]);
+  });
+
+  it('shares in-flight lookups within a group only', async () => {
+    const { calls, fetchBatch } = createFetcher();
+    const batcher = createLookupBatcher({ fetchBatch, waitMs: 5 });
+    const [us, again, jp] = await Promise.all([
+      batcher.lookup(1, 'US'),
+      batcher.lookup('1', 'US'),
+      batcher.lookup('1', 'JP'),
+    ]);
+
+    assert.equal(us, again);
+    assert.deepEqual(us, { id: '1', group: 'US' });
+    assert.deepEqual(jp, { id: '1', group: 'JP' });
+    assert.deepEqual(calls, [
+      ['US', ['1']],
+      ['JP', ['1']],
+    ]);
+    assert.equal(batcher.metrics().deduped, 1);
+  });
+
+  it('clamps the batch size and falls back on invalid options', () => {
+    const { fetchBatch } = createFetcher();
+    assert.equal(createLookupBatcher({ fetchBatch, size: 500 }).metrics().batchSize, 200);
+    assert.equal(createLookupBatcher({ fetchBatch, size: 0 }).metrics().batchSize, 1);
+    assert.equal(createLookupBatcher({ fetchBatch, size: Number.NaN }).metrics().batchSize, 100);
+
+    assert.equal(createLookupBatcher({ fetchBatch, waitMs: -5 }).metrics().batchWaitMs, 25);
+    assert.equal(createLookupBatcher({ fetchBatch, waitMs: 0 }).metrics().batchWaitMs, 0);
+  });
+
+  it('rejects every id of a failed batch and records per-batch metrics', async () => {
+    const { fetchBatch } = createFetcher(new Set(['x']));
+    const batcher = createLookupBatcher({ fetchBatch, size: 2, waitMs: 5 });
+    const settled = await Promise.allSettled([
+      batcher.lookup('x', 'US'),
+      batcher.lookup('y', 'US'),
+      batcher.lookup('z', 'US'),
+    ]);
+
+    assert.deepEqual(
+      settled.map((entry) => entry.status),
+      ['rejected', 'rejected', 'fulfilled']
+    );
+    assert.equal(settled[0].reason, settled[1].reason);
+
+    const metrics = batcher.metrics();
+    assert.equal(metrics.lookups, 3);
+    assert.equal(metrics.batches, 2);
+    assert.equal(metrics.failedBatches, 1);
+    assert.equal(metrics.ids, 3);
+    assert.equal(metrics.found, 1);
+    assert.equal(metrics.requestsSaved, 1);
+    assert.deepEqual(
+      metrics.recent.map((batch) => [batch.group, batch.size, batch.ok, batch.found]),
+      [
+        ['US', 2, false, 0],
+        ['US', 1, true, 1],
+      ]
+    );
+    assert.match(metrics.recent[0].error, /Lookup failed for x,y/);
+
+    batcher.resetMetrics();
+    assert.equal(batcher.metrics().batches, 0);
+    assert.deepEqual(batcher.metrics().recent, []);
+  });
+});
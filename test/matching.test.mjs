@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  artworkSimilarity,
+  developerSimilarity,
+  matchPayloads,
+  normalizeDeveloper,
+  normalizeTitle,
+  titleSimilarity,
+} from '../scripts/matching.mjs';
+
+const apple = {
+  country: 'US',
+  store: 'apple',
+  new: [
+    {
+      id: '1001',
+      name: 'Pokémon Quest™: Island Adventure',
+      developer: 'Pocket Studio, Inc.',
+      releasedAt: '2026-09-01T00:00:00.000Z',
+      rank: 1,
+    },
+    { id: '1002', name: 'Tower Rush', developer: 'Keep Games Ltd', rank: 2 },
+    { id: '1003', name: 'Word Garden', developer: 'Letterbox', rank: 3 },
+  ],
+  updated: [{ id: '1004', name: 'Cozy Farm', developer: 'Barnyard' }],
+};
+
+const google = {
+  country: 'US',
+  store: 'google',
+  new: [
+    { id: 'com.keep.rush', name: 'Tower Rush', developer: 'Keep Games', rank: 1 },
+    {
+      id: 'com.pocket.quest',
+      name: 'Pokemon Quest',
+      developer: 'Pocket Studio',
+      releasedAt: '2026-09-15T00:00:00.000Z',
+      rank: 2,
+    },
+    { id: 'com.other.garden', name: 'Garden Word Puzzle', developer: 'Unrelated', rank: 3 },
+    { id: 'com.barn.farm', name: 'Cozy Farm Life', developer: 'Barn Yard', rank: 4 },
+  ],
+  updated: [],
+};
+
+describe('normalization', () => {
+  it('strips accents, symbols and company suffixes', () => {
+    assert.equal(normalizeTitle('Pokémon Quest™: Island'), 'pokemon quest island');
+    assert.equal(normalizeDeveloper('Pocket Studio, Inc.'), 'pocket studio');
+    assert.equal(titleSimilarity('Pokémon Quest: Island Adventure', 'Pokemon Quest'), 0.9);
+    assert.equal(developerSimilarity('Barnyard', 'Barn Yard'), 0.85);
+  });
+
+  it('compares artwork hashes by hamming distance', () => {
+    assert.equal(artworkSimilarity('ff00', 'ff00'), 1);
+    assert.equal(artworkSimilarity('ff00', 'ff01'), 15 / 16);
+    assert.equal(artworkSimilarity('ff00', null), null);
+  });
+});
+
+describe('matchPayloads', () => {
+  it('pairs confident matches one-to-one and orders them by rank', () => {
+    const { pairs, appleOnly, googleOnly } = matchPayloads(apple, google);
+
+    assert.deepEqual(
+      pairs.map((pair) => [pair.apple.id, pair.google.id, pair.source]),
+      [
+        ['1002', 'com.keep.rush', 'auto'],
+        ['1001', 'com.pocket.quest', 'auto'],
+        ['1004', 'com.barn.farm', 'auto'],
+      ]
+    );
+    assert.deepEqual([pairs[0].apple.rank, pairs[0].google.rank], [2, 1]);
+    assert.equal(pairs[0].confidence, 1);
+    assert.ok(pairs.every((pair) => pair.confidence >= 0.75));
+    assert.equal(appleOnly, 1);
+    assert.equal(googleOnly, 1);
+  });
+
+  it('reports which store launched first', () => {
+    const [rush, quest] = matchPayloads(apple, google).pairs;
+
+    assert.equal(quest.firstStore, 'apple');
+    assert.equal(quest.leadDays, 14);
+    assert.equal(rush.firstStore, null);
+  });
+
+  it('applies manual overrides and exclusions', () => {
+    const { pairs } = matchPayloads(apple, google, {
+      overrides: {
+        pairs: [{ apple: 1004, google: 'com.barn.farm' }],
+        exclude: [{ apple: '1002', google: 'com.keep.rush' }],
+      },
+    });
+
+    assert.deepEqual(
+      pairs.map((pair) => [pair.apple.id, pair.google.id, pair.source]),
+      [
+        ['1001', 'com.pocket.quest', 'auto'],
+        ['1004', 'com.barn.farm', 'override'],
+      ]
+    );
+    assert.equal(pairs[1].confidence, 1);
+    assert.equal(pairs[1].apple.rank, null);
+  });
+
+  it('pairs chart games outside the new list by their best chart rank', () => {
+    const chart = (id, name, list, chartRank) => ({
+      id,
+      name,
+      developer: 'Crown Works',
+      chart: list,
+      chartRank,
+    });
+    const { pairs } = matchPayloads(
+      {
+        ...apple,
+        charts: {
+          'top-grossing': [chart('2001', 'Kingdom Ledger', 'top-grossing', 2)],
+          'top-free': [chart('2001', 'Kingdom Ledger', 'top-free', 9)],
+        },
+      },
+      {
+        ...google,
+        charts: { 'top-paid': [chart('com.crown.ledger', 'Kingdom Ledger', 'top-paid', 1)] },
+      }
+    );
+    const ledger = pairs.find((pair) => pair.apple.id === '2001');
+
+    assert.equal(ledger.google.id, 'com.crown.ledger');
+    assert.deepEqual(
+      [ledger.apple.chart, ledger.apple.rank, ledger.google.chart, ledger.google.rank],
+      ['top-grossing', 2, 'top-paid', 1]
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validatePreset, validateView } from '../scripts/presets.mjs';
+
+const options = { countries: ['JP', 'US', 'WW'], tabs: ['apple-new', 'google-new'] };
+
+describe('validateView', () => {
+  it('fills defaults and normalizes values', () => {
+    const view = validateView({ country: 'jp', tab: 'google-new', genre: 'GAME_PUZZLE' }, options);
+    assert.deepEqual(view, {
+      country: 'JP',
+      tab: 'google-new',
+      genre: 'puzzle',
+      time: 'all',
+      price: 'all',
+      rating: 0,
+      ratings: 0,
+      sort: 'default',
+      chart: 'top-free',
+    });
+  });
+
+  it('rejects unknown values with a 400 status', () => {
+    const attempts = [
+      [{ country: 'ZZ' }, /country/],
+      [{ tab: 'steam-updated' }, /tab/],
+      [{ genre: 'shooter' }, /genre/],
+      [{ time: '90d' }, /time/],
+      [{ price: 'cheap' }, /price/],
+      [{ rating: -1 }, /rating/],
+      [{ sort: 'name' }, /sort/],
+      [{ chart: 'new' }, /chart/],
+    ];
+    attempts.forEach(([view, message]) => {
+      assert.throws(
+        () => validateView(view, options),
+        (error) => error.status === 400 && message.test(error.message)
+      );
+    });
+  });
+});
+
+describe('validatePreset', () => {
+  it('requires a unique name and keeps the id when updating', () => {
+    const created = validatePreset(
+      { name: ' Google new JP ', view: { country: 'JP', price: 'free', time: '7d' } },
+      options
+    );
+    assert.equal(created.name, 'Google new JP');
+    assert.equal(created.view.time, '7d');
+
+    assert.throws(
+      () => validatePreset({ name: 'google NEW jp', view: {} }, { ...options, presets: [created] }),
+      (error) => error.status === 409
+    );
+    const renamed = validatePreset(
+      { ...created, name: 'Google new JP (free)' },
+      { ...options, presets: [created], existing: created }
+    );
+    assert.equal(renamed.id, created.id);
+    assert.equal(renamed.createdAt, created.createdAt);
+    assert.throws(() => validatePreset({ name: '  ' }, options), /name is required/);
+  });
+});
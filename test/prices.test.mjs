@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const { classifyPriceChange, describePriceChange, listPriceChanges, loadPrices, recordPrices } =
+  await import('../scripts/prices.mjs');
+
+after(() => sandbox.cleanup());
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const start = Date.parse('2026-10-01T00:00:00.000Z');
+const day = (offset) => new Date(start + offset * DAY_MS).toISOString();
+
+const paid = (amount) => ({ price: `$${amount}`, priceAmount: amount, isFree: false });
+const free = { price: 'Free', priceAmount: 0, isFree: true };
+
+function payload(offset, prices) {
+  return {
+    country: 'US',
+    store: 'google',
+    updatedAt: day(offset),
+    new: Object.entries(prices).map(([id, price]) => ({
+      id,
+      name: `Game ${id}`,
+      currency: 'USD',
+      offersIAP: true,
+      ...price,
+    })),
+    updated: [],
+  };
+}
+
+describe('classifyPriceChange', () => {
+  it('separates drops, increases and free switches', () => {
+    const observe = (price) => ({ currency: 'USD', amount: price.priceAmount, ...price });
+    assert.equal(classifyPriceChange(observe(paid(4.99)), observe(paid(1.99))), 'drop');
+    assert.equal(classifyPriceChange(observe(paid(1.99)), observe(paid(4.99))), 'increase');
+    assert.equal(classifyPriceChange(observe(paid(1.99)), observe(free)), 'free');
+    assert.equal(classifyPriceChange(observe(free), observe(paid(1.99))), 'paid');
+    assert.equal(
+      classifyPriceChange(observe(paid(1.99)), { ...observe(paid(2.99)), currency: 'EUR' }),
+      null
+    );
+    assert.equal(classifyPriceChange(null, observe(free)), null);
+  });
+});
+
+describe('recordPrices', () => {
+  it('keeps one observation per price and annotates recent changes', async () => {
+    await recordPrices('google', 'US', payload(0, { a: paid(4.99), b: paid(2.99), c: free }));
+    await recordPrices('google', 'US', payload(1, { a: paid(4.99), b: paid(2.99), c: free }));
+    const data = await recordPrices(
+      'google',
+      'US',
+      payload(2, { a: paid(1.99), b: free, c: { ...free, offersIAP: false } })
+    );
+
+    const prices = await loadPrices('google', 'US');
+    assert.deepEqual(
+      prices.apps.a.observations.map((entry) => [entry.at, entry.lastSeenAt, entry.change]),
+      [
+        [day(0), day(1), null],
+        [day(2), day(2), 'drop'],
+      ]
+    );
+    assert.equal(prices.apps.c.observations.at(-1).offersIAP, false);
+    assert.equal(prices.apps.c.observations.at(-1).change, null);
+
+    const [a, b, c] = data.new;
+    assert.deepEqual(a.priceChange, {
+      type: 'drop',
+      at: day(2),
+      price: '$1.99',
+      amount: 1.99,
+      previousPrice: '$4.99',
+      previousAmount: 4.99,
+      currency: 'USD',
+    });
+    assert.equal(b.priceChange.type, 'free');
+    assert.equal(c.priceChange, undefined);
+  });
+
+  it('tells temporary free promotions from permanent switches', async () => {
+    await recordPrices('google', 'US', payload(5, { b: paid(2.99), d: paid(0.99) }));
+    await recordPrices('google', 'US', payload(6, { b: paid(2.99), d: free }));
+    const data = await recordPrices('google', 'US', payload(30, { b: paid(2.99), d: free }));
+
+    const [b, d] = data.new;
+    assert.equal(b.priceChange.type, 'free-promotion');
+    assert.equal(b.priceChange.at, day(5));
+    assert.equal(d.priceChange.type, 'switched-to-free');
+
+    const prices = await loadPrices('google', 'US');
+    const since = start + 4 * DAY_MS;
+    const now = start + 30 * DAY_MS;
+    assert.deepEqual(
+      listPriceChanges(prices, { since, now }).map((app) => [app.id, app.priceChange.type]),
+      [
+        ['d', 'switched-to-free'],
+        ['b', 'free-promotion'],
+      ]
+    );
+    assert.deepEqual(
+      listPriceChanges(prices, { change: 'free-promotion', now }).map((app) => app.id),
+      ['b']
+    );
+    assert.equal(listPriceChanges(prices, { id: 'c', now })[0].observations.length, 2);
+  });
+
+  it('tracks and annotates games that only appear in a chart', async () => {
+    const chart = (offset, price) => ({
+      ...payload(offset, {}),
+      charts: { 'top-paid': [{ id: 'p', name: 'Game p', currency: 'USD', ...price }] },
+    });
+    await recordPrices('google', 'CA', chart(0, paid(5.99)));
+    const data = await recordPrices('google', 'CA', chart(1, paid(2.99)));
+
+    assert.deepEqual(data.new, []);
+    assert.equal(data.charts['top-paid'][0].priceChange.type, 'drop');
+    assert.equal((await loadPrices('google', 'CA')).apps.p.observations.length, 2);
+  });
+
+  it('merges concurrent writers instead of dropping observations', async () => {
+    await Promise.all([
+      recordPrices('google', 'NZ', payload(0, { x: paid(1.99) })),
+      recordPrices('google', 'NZ', payload(0, { y: paid(2.99) })),
+    ]);
+
+    assert.deepEqual(Object.keys((await loadPrices('google', 'NZ')).apps).sort(), ['x', 'y']);
+  });
+
+  it('ignores preserved payloads', async () => {
+    const data = { ...payload(40, { a: free }), preservedAt: day(40) };
+    assert.equal(await recordPrices('google', 'US', data), data);
+    assert.equal(describePriceChange(undefined), null);
+  });
+});
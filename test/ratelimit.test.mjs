@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  backoffDelay,
+  createHostGate,
+  createUpstreams,
+  isRetryable,
+  parseRetryAfter,
+} from '../scripts/ratelimit.mjs';
+import { upstreamHost } from '../scripts/transport.mjs';
+
+function createClock() {
+  const clock = { time: 0, waits: [] };
+  clock.now = () => clock.time;
+  clock.wait = async (ms) => {
+    clock.waits.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+function httpError(status, retryAfter = null) {
+  const error = new Error(`Request failed (${status})`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+function createGate(clock, options = {}) {
+  return createHostGate('itunes.apple.com', {
+    failureThreshold: 3,
+    cooldownMs: 60000,
+    attempts: 3,
+    baseMs: 100,
+    maxDelayMs: 5000,
+    now: clock.now,
+    wait: clock.wait,
+    random: () => 1,
+    ...options,
+  });
+}
+
+function failingTask(errors, result = 'ok') {
+  let calls = 0;
+  const task = async () => {
+    const error = errors[calls];
+    calls += 1;
+    if (error) {
+      throw error;
+    }
+    return result;
+  };
+  task.calls = () => calls;
+  return task;
+}
+
+describe('parseRetryAfter', () => {
+  it('reads delay seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('120', now), 120000);
+    assert.equal(parseRetryAfter('1.5', now), 1500);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(null, now), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles the ceiling per attempt with jitter in its upper half', () => {
+    assert.equal(backoffDelay(1, { baseMs: 100, maxMs: 1000, random: () => 0 }), 50);
+    assert.equal(backoffDelay(1, { baseMs: 100, maxMs: 1000, random: () => 1 }), 100);
+    assert.equal(backoffDelay(3, { baseMs: 100, maxMs: 1000, random: () => 1 }), 400);
+    assert.equal(backoffDelay(8, { baseMs: 100, maxMs: 1000, random: () => 1 }), 1000);
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries throttling, server, and network errors only', () => {
+    assert.equal(isRetryable(httpError(429)), true);
+    assert.equal(isRetryable(httpError(503)), true);
+    assert.equal(isRetryable(new Error('socket hang up')), true);
+    assert.equal(isRetryable(httpError(404)), false);
+    assert.equal(isRetryable(Object.assign(new Error('open'), { code: 'ECIRCUITOPEN' })), false);
+  });
+});
+
+describe('createHostGate', () => {
+  it('spaces requests by the host interval', async () => {
+    const clock = createClock();
+    const gate = createGate(clock, { intervalMs: 250, concurrency: 1 });
+    await Promise.all([1, 2, 3].map((value) => gate.run(async () => value)));
+    assert.deepEqual(clock.waits, [250, 250]);
+    assert.equal(gate.state().successes, 3);
+  });
+
+  it('retries retryable failures with exponential backoff', async () => {
+    const clock = createClock();
+    const gate = createGate(clock);
+    const task = failingTask([httpError(500), httpError(502)]);
+
+    assert.equal(await gate.run(task), 'ok');
+    assert.equal(task.calls(), 3);
+    assert.deepEqual(clock.waits, [100, 200]);
+    const state = gate.state();
+    assert.equal(state.state, 'closed');
+    assert.equal(state.retries, 2);
+    assert.equal(state.consecutiveFailures, 0);
+  });
+
+  it('does not retry client errors or count them against the host', async () => {
+    const clock = createClock();
+    const gate = createGate(clock);
+    const task = failingTask([httpError(404)]);
+
+    await assert.rejects(gate.run(task), (error) => error.status === 404 && error.attempts === 1);
+    assert.equal(task.calls(), 1);
+    assert.equal(gate.state().clientErrors, 1);
+    assert.equal(gate.state().state, 'closed');
+  });
+
+  it('honors Retry-After and pauses the whole host', async () => {
+    const clock = createClock();
+    const gate = createGate(clock);
+    const task = failingTask([httpError(429, '2')]);
+
+    assert.equal(await gate.run(task), 'ok');
+    assert.deepEqual(clock.waits, [2000]);
+    assert.equal(gate.state().throttled, 1);
+  });
+
+  it('opens the circuit after repeated failures and rejects until the cooldown ends', async () => {
+    const clock = createClock();
+    const gate = createGate(clock, { attempts: 1 });
+    for (let index = 0; index < 3; index += 1) {
+      await assert.rejects(gate.run(failingTask([httpError(503)])));
+    }
+    const task = failingTask([]);
+
+    await assert.rejects(gate.run(task), (error) => error.code === 'ECIRCUITOPEN');
+    assert.equal(task.calls(), 0);
+    let state = gate.state();
+    assert.equal(state.state, 'open');
+    assert.equal(state.consecutiveFailures, 3);
+    assert.equal(state.rejected, 1);
+    assert.equal(state.retryAt, new Date(60000).toISOString());
+    assert.equal(state.lastError.status, 503);
+
+    clock.time = 60000;
+    assert.equal(gate.state().state, 'half-open');
+    assert.equal(await gate.run(task), 'ok');
+    state = gate.state();
+    assert.equal(state.state, 'closed');
+    assert.equal(state.consecutiveFailures, 0);
+  });
+
+  it('reopens the circuit when the half-open probe fails', async () => {
+    const clock = createClock();
+    const gate = createGate(clock, { attempts: 1, failureThreshold: 1 });
+    await assert.rejects(gate.run(failingTask([httpError(503)])));
+    clock.time = 60000;
+
+    await assert.rejects(gate.run(failingTask([httpError(503)])), (error) => error.status === 503);
+    assert.equal(gate.state().state, 'open');
+    assert.equal(gate.state().retryAt, new Date(120000).toISOString());
+  });
+
+  it('opens the circuit when Retry-After exceeds the longest backoff', async () => {
+    const clock = createClock();
+    const gate = createGate(clock);
+    const task = failingTask([httpError(429, '3600')]);
+
+    await assert.rejects(gate.run(task), (error) => error.status === 429);
+    assert.equal(task.calls(), 1);
+    assert.equal(gate.state().state, 'open');
+    assert.equal(gate.state().retryAt, new Date(3600000).toISOString());
+  });
+});
+
+describe('createUpstreams', () => {
+  it('keeps separate budgets per host and passes unknown hosts through', async () => {
+    const clock = createClock();
+    const upstreams = createUpstreams(
+      { 'a.example': { attempts: 1, failureThreshold: 1 }, 'b.example': {} },
+      { now: clock.now, wait: clock.wait }
+    );
+    await assert.rejects(upstreams.run('a.example', failingTask([httpError(503)])));
+
+    assert.equal(await upstreams.run('b.example', failingTask([])), 'ok');
+    assert.equal(await upstreams.run('c.example', failingTask([])), 'ok');
+    assert.deepEqual(
+      upstreams.states().map((state) => [state.host, state.state]),
+      [
+        ['a.example', 'open'],
+        ['b.example', 'closed'],
+      ]
+    );
+    upstreams.reset();
+    assert.equal(upstreams.states()[0].state, 'closed');
+  });
+});
+
+describe('upstreamHost', () => {
+  it('maps transport keys to rate-limited hosts', () => {
+    assert.equal(
+      upstreamHost('https://rss.applemarketingtools.com/api/v2/us/apps/top-free/100/apps.json'),
+      'rss.applemarketingtools.com'
+    );
+    assert.equal(upstreamHost('https://itunes.apple.com/lookup?id=1'), 'itunes.apple.com');
+    assert.equal(upstreamHost('gplay:list?collection=TOP_FREE'), 'play.google.com');
+    assert.equal(upstreamHost('other:key'), null);
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createScheduler, parsePriorities } from '../scripts/scheduler.mjs';
+
+const COUNTRIES = ['US', 'GB', 'DE', 'FR', 'JP'];
+
+function createClock(start = Date.parse('2026-10-19T00:00:00.000Z')) {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
+
+describe('parsePriorities', () => {
+  it('parses per-country intervals in minutes with a default', () => {
+    const priorities = parsePriorities('us:2, jp,KR:0.5', 600000);
+
+    assert.deepEqual([...priorities], [
+      ['US', 120000],
+      ['JP', 600000],
+      ['KR', 30000],
+    ]);
+    assert.equal(parsePriorities('').size, 0);
+  });
+});
+
+describe('createScheduler', () => {
+  it('walks the countries round-robin and persists the cursor', async () => {
+    const refreshed = [];
+    const cursors = [];
+    const scheduler = createScheduler({
+      countries: COUNTRIES,
+      batchSize: 2,
+      refresh: async (country) => {
+        refreshed.push(country);
+        return true;
+      },
+      saveCursor: async (cursor) => {
+        cursors.push(cursor);
+      },
+    });
+
+    await scheduler.runOnce();
+    await scheduler.runOnce();
+    await scheduler.runOnce();
+
+    assert.deepEqual(refreshed, ['US', 'GB', 'DE', 'FR', 'JP', 'US']);
+    assert.deepEqual(cursors, [2, 4, 1]);
+    assert.deepEqual(scheduler.snapshot().queue, ['GB', 'DE']);
+  });
+
+  it('resumes from the stored cursor', async () => {
+    const scheduler = createScheduler({
+      countries: COUNTRIES,
+      batchSize: 2,
+      refresh: async () => true,
+      loadCursor: async () => 3,
+    });
+
+    await scheduler.start({ delayMs: 60000 });
+    const snapshot = scheduler.snapshot();
+    scheduler.stop();
+
+    assert.equal(snapshot.state, 'running');
+    assert.deepEqual(snapshot.queue, ['FR', 'JP']);
+  });
+
+  it('refreshes priority countries whenever they are due', async () => {
+    const clock = createClock();
+    const refreshed = [];
+    const scheduler = createScheduler({
+      countries: COUNTRIES,
+      batchSize: 1,
+      priorities: new Map([['JP', 120000]]),
+      now: clock.now,
+      refresh: async (country) => {
+        refreshed.push(country);
+        return true;
+      },
+    });
+
+    await scheduler.runOnce();
+    clock.advance(60000);
+    await scheduler.runOnce();
+    clock.advance(60000);
+    await scheduler.runOnce();
+    scheduler.stop();
+
+    assert.deepEqual(refreshed, ['JP', 'US', 'GB', 'JP', 'DE']);
+    assert.equal(scheduler.snapshot().priorities[0].lastRefreshedAt, '2026-10-19T00:02:00.000Z');
+  });
+
+  it('backs off exponentially while upstream errors are high', async () => {
+    const clock = createClock();
+    let healthy = false;
+    const scheduler = createScheduler({
+      countries: COUNTRIES,
+      batchSize: 2,
+      intervalMs: 60000,
+      now: clock.now,
+      refresh: async (country) => {
+        if (!healthy && country === 'GB') {
+          throw new Error('upstream down');
+        }
+        return healthy;
+      },
+    });
+
+    await scheduler.runOnce();
+    let snapshot = scheduler.snapshot();
+    assert.equal(snapshot.state, 'stopped');
+    assert.equal(snapshot.errorRate, 1);
+    assert.equal(snapshot.backoff.level, 1);
+    assert.equal(snapshot.backoff.until, '2026-10-19T00:02:00.000Z');
+
+    await scheduler.runOnce();
+    assert.equal(scheduler.snapshot().backoff.until, '2026-10-19T00:04:00.000Z');
+
+    healthy = true;
+    await scheduler.runOnce();
+    snapshot = scheduler.snapshot();
+    assert.equal(snapshot.backoff.level, 0);
+    assert.equal(snapshot.backoff.until, null);
+    assert.equal(snapshot.recent.length, 6);
+    assert.equal(snapshot.recent[0].ok, true);
+  });
+});
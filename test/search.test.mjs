@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildSearchIndex, editDistance, searchApps } from '../scripts/search.mjs';
+
+const payloads = [
+  {
+    store: 'apple',
+    country: 'US',
+    new: [
+      { id: '1', name: 'Harbor Merge', developer: 'Tidepool Games', genres: ['Puzzle'] },
+      { id: '2', name: 'Orbit Drift', developer: 'Parsec Labs', genres: ['Action'] },
+    ],
+    updated: [{ id: '1', name: 'Harbor Merge', developer: 'Tidepool Games', rank: 4 }],
+    charts: {
+      'top-free': [{ id: '1', name: 'Harbor Merge', developer: 'Tidepool Games', chartRank: 6 }],
+    },
+  },
+  {
+    store: 'apple',
+    country: 'JP',
+    new: [{ id: '1', name: 'Harbor Merge', developer: 'Tidepool Games', genres: ['Puzzle'] }],
+    updated: [],
+  },
+  {
+    store: 'google',
+    country: 'US',
+    new: [
+      { id: 'com.tidepool.tiletide', name: 'Tile Tide', developer: 'Tidepool', genres: ['Puzzle'] },
+      { id: 'com.example.merger', name: 'Mérger Kingdom', developer: 'Harbor Studio' },
+    ],
+    updated: [],
+  },
+  null,
+];
+
+const index = buildSearchIndex(payloads);
+const ids = (query, options) => searchApps(index, query, options).map((result) => result.id);
+
+describe('editDistance', () => {
+  it('counts edits and stops past the limit', () => {
+    assert.equal(editDistance('harbor', 'harbour'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('kitten', 'sitting', 1), 2);
+    assert.equal(editDistance('a', 'abcd', 2), 3);
+  });
+});
+
+describe('searchApps', () => {
+  it('lists every country and list an app charts in with its rank', () => {
+    const [harbor] = searchApps(index, 'harbor merge');
+    assert.equal(harbor.id, '1');
+    assert.deepEqual(harbor.charts, [
+      { country: 'JP', list: 'new', rank: 1 },
+      { country: 'US', list: 'new', rank: 1 },
+      { country: 'US', list: 'top-free', rank: 6 },
+      { country: 'US', list: 'updated', rank: 4 },
+    ]);
+    assert.equal(harbor.countryCount, 2);
+    assert.deepEqual(harbor.matchedFields, ['name']);
+  });
+
+  it('ranks name matches above developer and genre matches', () => {
+    assert.deepEqual(ids('harbor'), ['1', 'com.example.merger']);
+    assert.deepEqual(ids('tidepool'), ['1', 'com.tidepool.tiletide']);
+    assert.deepEqual(ids('puzzle'), ['1', 'com.tidepool.tiletide']);
+  });
+
+  it('matches prefixes, typos and accents', () => {
+    assert.deepEqual(ids('orb'), ['2']);
+    assert.deepEqual(ids('harbour merge'), ['1', 'com.example.merger']);
+    assert.deepEqual(ids('merger kingdom'), ['com.example.merger']);
+    assert.deepEqual(ids('tidepol tile'), ['com.tidepool.tiletide']);
+    assert.deepEqual(ids('zzz'), []);
+    assert.deepEqual(ids('  '), []);
+  });
+
+  it('filters by store, country and list', () => {
+    assert.deepEqual(ids('tidepool', { store: 'google' }), ['com.tidepool.tiletide']);
+    assert.deepEqual(ids('harbor', { country: 'JP' }), ['1']);
+    const [harbor] = searchApps(index, 'harbor', { list: 'updated' });
+    assert.deepEqual(harbor.charts, [{ country: 'US', list: 'updated', rank: 4 }]);
+  });
+});
@@ -0,0 +1,524 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import path from 'node:path';
+import { FIXTURES, createReceiver, createSandbox, readJson, writeJson } from './helpers.mjs';
+
+const sandbox = await createSandbox({ SOFT_LAUNCH_MAJOR_MARKETS: 'US,JP', WEBHOOK_ALLOW_PRIVATE: 'on' });
+process.env.STORE_SCRAP_FIXTURES = path.join(sandbox.dir, 'fixtures');
+await fs.cp(FIXTURES, process.env.STORE_SCRAP_FIXTURES, { recursive: true });
+const { createServer } = await import('../scripts/server.mjs');
+
+let server;
+let baseUrl;
+
+async function request(pathname, options) {
+  const response = await fetch(`${baseUrl}${pathname}`, options);
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+before(async () => {
+  await writeJson(path.join(sandbox.dataDir, 'google', 'JP.json'), {
+    country: 'JP',
+    store: 'google',
+    updatedAt: '2026-10-01T00:00:00.000Z',
+    new: [{ id: 'com.example.snapshot', name: 'Snapshot' }],
+    updated: [],
+    errors: [],
+  });
+  await writeJson(path.join(sandbox.dataDir, 'google', 'PH.json'), {
+    country: 'PH',
+    store: 'google',
+    updatedAt: '2026-10-02T00:00:00.000Z',
+    new: [{ id: 'com.example.softlaunch', name: 'Soft Launch', genres: ['Puzzle'] }],
+    updated: [],
+    errors: [],
+  });
+  server = await createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await sandbox.cleanup();
+});
+
+describe('handleApi', () => {
+  it('reports health', async () => {
+    const { status, body } = await request('/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+  });
+
+  it('lists the registered stores', async () => {
+    const { status, body } = await request('/api/stores');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.stores.map((store) => store.id),
+      ['apple', 'google', 'steam']
+    );
+  });
+
+  it('returns a summary entry for every country', async () => {
+    const { status, body } = await request('/api/summary');
+    assert.equal(status, 200);
+    assert.ok(body.countries.length > 200);
+    assert.ok(body.countries.every((entry) => 'apple' in entry && 'google' in entry));
+  });
+
+  it('fetches country data from every supported store', async () => {
+    const { status, body } = await request('/api/country/us');
+    assert.equal(status, 200);
+    assert.equal(body.country, 'US');
+    assert.equal(body.apple.new.length, 4);
+    assert.equal(body.google.new.length, 5);
+    assert.equal(body.steam, null);
+    assert.equal(body.apple.new[0].rank, body.apple.new[0].chartRank);
+
+    const summary = await request('/api/summary');
+    const us = summary.body.countries.find((entry) => entry.code === 'US');
+    assert.equal(us.apple.newCount, 4);
+  });
+
+  it('narrows country data to one chart with ?chart=', async () => {
+    const { status, body } = await request('/api/country/US?chart=top-grossing');
+    assert.equal(status, 200);
+    assert.equal(body.chart, 'top-grossing');
+    assert.deepEqual(Object.keys(body.apple.charts), ['top-grossing']);
+    assert.deepEqual(
+      body.google.charts['top-grossing'].map((item) => [item.id, item.chartRank]),
+      [
+        ['com.crownworks.ledger', 1],
+        ['com.parsec.orbit', 2],
+      ]
+    );
+    assert.deepEqual(body.apple.unavailableCharts, ['top-paid']);
+    assert.equal(body.apple.new.length, 4);
+    assert.equal((await request('/api/country/US?chart=new')).status, 400);
+  });
+
+  it('serves cached data until a refresh is requested', async () => {
+    const first = await request('/api/country/US');
+    const cached = await request('/api/country/US');
+    assert.equal(cached.body.apple.updatedAt, first.body.apple.updatedAt);
+    assert.equal(cached.body.sources.apple, 'cache');
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const refreshed = await request('/api/country/US?refresh=1');
+    assert.notEqual(refreshed.body.apple.updatedAt, first.body.apple.updatedAt);
+
+    const history = await request('/api/history/US?store=apple');
+    assert.equal(history.status, 200);
+    assert.equal(history.body.snapshots, 2);
+  });
+
+  it('reports structured upstream errors', async () => {
+    await request('/api/country/GB');
+    const { status, body } = await request('/api/errors?country=GB&store=google');
+
+    assert.equal(status, 200);
+    assert.ok(body.errors.length > 0);
+    assert.ok(body.errors.every((record) => record.country === 'GB'));
+    assert.ok(body.errors.every((record) => record.stage === 'gplay-list'));
+    assert.ok(body.errors.every((record) => record.url.startsWith('gplay:list?')));
+  });
+
+  it('streams refresh events with chart changes', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/stream?country=US`, {
+      signal: controller.signal,
+    });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const readEvent = async (name) => {
+      let buffer = '';
+      for (;;) {
+        const { value } = await reader.read();
+        buffer += value;
+        const match = buffer.match(new RegExp(`event: ${name}\ndata: (.*)\n\n`));
+        if (match) {
+          return JSON.parse(match[1]);
+        }
+      }
+    };
+
+    assert.equal((await readEvent('hello')).country, 'US');
+    await request('/api/country/US?refresh=1');
+    const fixture = path.join(
+      process.env.STORE_SCRAP_FIXTURES,
+      'gplay',
+      'list_collection_TOP_FREE_country_US_category_GAME_num_100_fullDetail_true.json'
+    );
+    const original = await readJson(fixture);
+    await writeJson(fixture, {
+      ...original,
+      data: original.data.filter((entry) => entry.appId !== 'com.legacy.solitaire'),
+    });
+    await request('/api/country/US?refresh=1');
+    await writeJson(fixture, original);
+    const event = await readEvent('refresh');
+    controller.abort();
+    await request('/api/country/US?refresh=1');
+
+    assert.equal(event.country, 'US');
+    assert.equal(event.store, 'google');
+    assert.deepEqual(event.changes.new.added, []);
+    assert.deepEqual(
+      event.changes.new.removed.map((item) => item.id),
+      ['com.legacy.solitaire']
+    );
+    assert.ok(!event.changes.new.order.includes('com.legacy.solitaire'));
+    assert.deepEqual(
+      event.changes['top-free'].removed.map((item) => [item.id, item.previousRank]),
+      [['com.legacy.solitaire', 3]]
+    );
+    assert.ok(!event.changes['top-free'].order.includes('com.legacy.solitaire'));
+  });
+
+  it('rejects streams for unknown countries', async () => {
+    assert.equal((await request('/api/stream?country=ZZ')).status, 404);
+  });
+
+  it('warms the cache from disk and serves snapshots while revalidating', async () => {
+    const summary = await request('/api/summary');
+    const jp = summary.body.countries.find((entry) => entry.code === 'JP');
+    assert.equal(summary.body.meta.cacheBackend, 'file');
+    assert.equal(jp.google.source, 'disk');
+    assert.equal(jp.google.stale, true);
+
+    const { body } = await request('/api/country/JP');
+    assert.equal(body.sources.google, 'disk');
+    assert.equal(body.sources.apple, 'live');
+    assert.deepEqual(
+      body.google.new.map((item) => item.id),
+      ['com.example.snapshot']
+    );
+  });
+
+  it('aggregates cached countries into a worldwide view', async () => {
+    const { status, body } = await request('/api/global?store=google&limit=2');
+    assert.equal(status, 200);
+    assert.equal(body.country, 'WW');
+    assert.equal(body.apple, undefined);
+    assert.ok(body.google.countryCount >= 2);
+    assert.equal(body.google.new.length, 2);
+    assert.ok(body.google.new.every((item) => item.countries.length === item.countryCount));
+
+    const all = await request('/api/global?store=google');
+    const invalid = await request('/api/global?store=google&limit=0');
+    assert.ok(all.body.google.new.length > 2);
+    assert.equal(invalid.body.google.new.length, all.body.google.new.length);
+
+    assert.equal((await request('/api/global?store=nope')).status, 400);
+  });
+
+  it('lists soft launches detected from the cached charts', async () => {
+    const { status, body } = await request('/api/soft-launches?store=google');
+    assert.equal(status, 200);
+    assert.ok(body.majorMarkets.includes('US'));
+    assert.deepEqual(
+      body.apps.map((app) => app.id),
+      ['com.example.softlaunch']
+    );
+    assert.equal(body.apps[0].store, 'google');
+    assert.equal(body.apps[0].status, 'soft-launch');
+    assert.deepEqual(body.apps[0].timeline[0].added, ['PH']);
+
+    const filtered = await request('/api/soft-launches?store=google&genre=action');
+    assert.deepEqual(filtered.body.apps, []);
+
+    assert.equal((await request('/api/soft-launches?store=nope')).status, 400);
+
+    await request('/api/soft-launches?store=steam');
+    await assert.rejects(fs.access(path.join(sandbox.dataDir, 'softlaunch', 'steam.json')));
+  });
+
+  it('pairs Apple and Google entries for a country', async () => {
+    const { status, body } = await request('/api/matches/US');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.pairs.map((pair) => [
+        pair.name,
+        `${pair.apple.chart} #${pair.apple.rank}`,
+        `${pair.google.chart} #${pair.google.rank}`,
+      ]),
+      [
+        ['Kingdom Ledger', 'top-grossing #1', 'top-grossing #1'],
+        ['Harbor Merge', 'top-free #3', 'top-free #1'],
+        ['Cinder Knights', 'top-free #1', 'top-free #2'],
+        ['Orbit Drift', 'top-free #4', 'top-paid #1'],
+      ]
+    );
+    assert.ok(body.pairs.every((pair) => pair.firstStore === 'both'));
+    assert.ok(body.pairs.every((pair) => pair.scores.artwork >= 15 / 16));
+    assert.equal(body.googleOnly, 1);
+  });
+
+  it('indexes developers across cached countries and stores', async () => {
+    const { status, body } = await request('/api/developers?q=tidepool');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.developers.map((developer) => [developer.id, developer.stores]),
+      [['tidepool-studio', ['apple', 'google']]]
+    );
+
+    const detail = await request('/api/developers/tidepool-studio');
+    assert.equal(detail.status, 200);
+    assert.ok(detail.body.apps.some((app) => app.id === 'com.tidepool.harbormerge'));
+    assert.equal((await request('/api/developers/nobody')).status, 404);
+  });
+
+  it('manages the watchlist through POST and DELETE', async () => {
+    let result = await request('/api/watchlist/developers/Tidepool%20Studio', { method: 'POST' });
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.developers, ['tidepool-studio']);
+
+    result = await request('/api/watchlist/apps/com.parsec.orbit?store=google', {
+      method: 'POST',
+    });
+    assert.deepEqual(result.body.apps, [{ store: 'google', id: 'com.parsec.orbit' }]);
+
+    const detail = await request('/api/developers/tidepool-studio');
+    assert.equal(detail.body.watched, true);
+
+    result = await request('/api/watchlist/developers/tidepool-studio', { method: 'DELETE' });
+    assert.deepEqual(result.body.developers, []);
+    assert.equal((await request('/api/watchlist')).body.apps.length, 1);
+
+    const events = await request('/api/watchlist/events?developer=tidepool-studio');
+    assert.equal(events.status, 200);
+    assert.ok(Array.isArray(events.body.events));
+
+    assert.equal((await request('/api/watchlist/apps/x')).status, 405);
+    assert.equal(
+      (await request('/api/watchlist/apps/x?store=nope', { method: 'POST' })).status,
+      400
+    );
+  });
+
+  it('manages alert rules and sends test webhooks to a receiver', async () => {
+    const receiver = await createReceiver();
+    const post = (pathname, body) =>
+      request(pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      });
+
+    const created = await post('/api/alerts/rules', {
+      name: 'Free in JP',
+      event: 'became-free',
+      match: { countries: ['JP'] },
+      webhook: { url: receiver.url, secret: 'shh' },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.webhook.hasSecret, true);
+    assert.equal(created.body.webhook.secret, undefined);
+    assert.equal(created.body.webhook.url, `${new URL(receiver.url).origin}/***`);
+
+    const updated = await request(`/api/alerts/rules/${created.body.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ webhook: { format: 'discord' } }),
+    });
+    assert.equal(updated.body.webhook.format, 'discord');
+    assert.equal(updated.body.webhook.hasSecret, true);
+
+    const sent = await post(`/api/alerts/rules/${created.body.id}/test`);
+    assert.equal(sent.body.ok, true);
+    assert.match(receiver.requests[0].json.content, /Free in JP/);
+    assert.ok(receiver.requests[0].headers['x-store-scrap-signature']);
+
+    const deliveries = await request(`/api/alerts/deliveries?rule=${created.body.id}`);
+    assert.equal(deliveries.body.total, 1);
+    assert.equal(deliveries.body.deliveries[0].url, created.body.webhook.url);
+
+    assert.equal((await post('/api/alerts/rules', '{nope')).status, 400);
+    assert.equal((await post('/api/alerts/rules', { name: 'x', event: 'x' })).status, 400);
+
+    const removed = await request(`/api/alerts/rules/${created.body.id}`, { method: 'DELETE' });
+    assert.equal(removed.status, 200);
+    assert.deepEqual((await request('/api/alerts/rules')).body.rules, []);
+    assert.equal((await request(`/api/alerts/rules/${created.body.id}`)).status, 404);
+    await receiver.close();
+  });
+
+  it('shares named view presets through the presets API', async () => {
+    const view = { country: 'JP', tab: 'google-new', price: 'free', time: '7d' };
+    const created = await request('/api/presets', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Google new JP', view }),
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.view.country, 'JP');
+
+    const duplicate = await request('/api/presets', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'google new jp', view }),
+    });
+    assert.equal(duplicate.status, 409);
+    const invalid = await request('/api/presets', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Bad tab', view: { tab: 'nope' } }),
+    });
+    assert.equal(invalid.status, 400);
+
+    const path = `/api/presets/${created.body.id}`;
+    const updated = await request(path, {
+      method: 'PUT',
+      body: JSON.stringify({ view: { time: '30d' } }),
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(
+      [updated.body.name, updated.body.view.country, updated.body.view.time],
+      ['Google new JP', 'JP', '30d']
+    );
+
+    const { body } = await request('/api/presets');
+    assert.deepEqual(
+      body.presets.map((preset) => preset.name),
+      ['Google new JP']
+    );
+    assert.equal((await request(path, { method: 'DELETE' })).status, 200);
+    assert.equal((await request(path)).status, 404);
+  });
+
+  it('exposes the scheduler queue state', async () => {
+    const { status, body } = await request('/api/scheduler');
+    assert.equal(status, 200);
+    assert.equal(body.state, 'stopped');
+    assert.ok(body.totalCountries > 200);
+    assert.ok(body.queue.includes('US'));
+    assert.deepEqual(
+      body.priorities.map((entry) => entry.country),
+      ['US', 'JP', 'KR']
+    );
+  });
+
+  it('serves the price history recorded by refreshes', async () => {
+    const { status, body } = await request('/api/prices/US?store=google&app=com.parsec.orbit');
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    assert.deepEqual(
+      body.apps[0].observations.map((entry) => [entry.price, entry.amount, entry.currency]),
+      [['$1.99', 1.99, 'USD']]
+    );
+    assert.equal((await request('/api/prices/US?change=cheaper')).status, 400);
+  });
+
+  it('serves genre charts and lists the genre mapping', async () => {
+    const { status, body } = await request('/api/country/US?genre=puzzle');
+    assert.equal(status, 200);
+    assert.equal(body.genre, 'puzzle');
+    assert.deepEqual(
+      body.apple.new.map((item) => item.id),
+      ['6450000003']
+    );
+    assert.deepEqual(
+      body.google.new.map((item) => item.id),
+      ['com.tidepool.tiletide', 'com.tidepool.harbormerge']
+    );
+
+    const family = await request('/api/country/US?genre=family');
+    assert.equal(family.body.google.derived, true);
+    assert.deepEqual(family.body.google.new, []);
+
+    assert.equal((await request('/api/country/US?genre=shooter')).status, 400);
+
+    const genres = await request('/api/genres');
+    const puzzle = genres.body.genres.find((genre) => genre.id === 'puzzle');
+    assert.deepEqual(puzzle.fetched, ['apple', 'google']);
+  });
+
+  it('exports country charts and bulk snapshots as downloads', async () => {
+    const csv = await fetch(`${baseUrl}/api/country/US/export?store=google&type=new`);
+    assert.equal(csv.status, 200);
+    assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(
+      csv.headers.get('content-disposition'),
+      /^attachment; filename="store-scrap-US-google-new-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    const text = Buffer.from(await csv.arrayBuffer()).toString('utf8');
+    const [header, first] = text.split('\r\n');
+    assert.ok(header.startsWith('\ufeffstore,country,list,rank,chart,chartRank,id,name'));
+    assert.ok(first.startsWith('google,US,new,1,top-free,1,'));
+
+    const xlsx = await fetch(`${baseUrl}/api/country/US/export?format=xlsx`);
+    assert.match(xlsx.headers.get('content-type'), /spreadsheetml\.sheet$/);
+    const bytes = Buffer.from(await xlsx.arrayBuffer());
+    assert.equal(bytes.subarray(0, 2).toString(), 'PK');
+
+    const bulk = await fetch(`${baseUrl}/api/export?countries=JP&store=google&format=jsonl`);
+    assert.match(bulk.headers.get('content-disposition'), /store-scrap-JP-google-all-/);
+    const rows = (await bulk.text()).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(
+      rows.map((row) => [row.country, row.list, row.rank, row.id]),
+      [['JP', 'new', 1, 'com.example.snapshot']]
+    );
+
+    const chart = await fetch(`${baseUrl}/api/country/US/export?store=apple&type=top-free`);
+    const chartRows = Buffer.from(await chart.arrayBuffer()).toString('utf8').split('\r\n');
+    assert.ok(chartRows[1].startsWith('apple,US,top-free,1,top-free,1,6450000001,'));
+    assert.ok(chartRows[2].startsWith('apple,US,top-free,3,top-free,3,6450000003,'));
+
+    assert.equal((await request('/api/country/US/export?format=pdf')).status, 400);
+    assert.equal((await request('/api/country/US/export?time=1y')).status, 400);
+    assert.equal((await request('/api/export?countries=JP,ZZ')).status, 400);
+    assert.equal((await request('/api/country/ZZ/export')).status, 404);
+  });
+
+  it('searches every cached country and snapshot by name, developer and genre', async () => {
+    const { status, body } = await request('/api/search?q=snapshoot');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.results.map((result) => [result.store, result.id, result.charts]),
+      [['google', 'com.example.snapshot', [{ country: 'JP', list: 'new', rank: 1 }]]]
+    );
+
+    const orbit = await request('/api/search?q=orbit&store=google&country=US');
+    assert.ok(orbit.body.results.some((result) => result.id === 'com.parsec.orbit'));
+    assert.ok(orbit.body.results.every((result) => result.store === 'google'));
+
+    assert.equal((await request('/api/search')).status, 400);
+    assert.equal((await request('/api/search?q=orbit&list=top')).status, 400);
+    assert.equal((await request('/api/search?q=orbit&country=ZZ')).status, 400);
+  });
+
+  it('reports batched iTunes lookup metrics', async () => {
+    const { status, body } = await request('/api/lookups');
+    assert.equal(status, 200);
+    assert.ok(body.itunes.batches >= 1);
+    assert.ok(body.itunes.recent.every((batch) => batch.group === 'US'));
+  });
+
+  it('reports upstream circuit breaker state per host', async () => {
+    const { status, body } = await request('/api/upstreams');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.hosts.map((host) => [host.host, host.state]),
+      [
+        ['rss.applemarketingtools.com', 'closed'],
+        ['itunes.apple.com', 'closed'],
+        ['play.google.com', 'closed'],
+      ]
+    );
+  });
+
+  it('rejects unknown stores in the history route', async () => {
+    const { status } = await request('/api/history/US?store=nope');
+    assert.equal(status, 400);
+  });
+
+  it('returns 404 for unknown countries and routes', async () => {
+    assert.equal((await request('/api/country/ZZ')).status, 404);
+    assert.equal((await request('/api/history/ZZ')).status, 404);
+    assert.equal((await request('/api/missing')).status, 404);
+  });
+
+  it('returns 405 for unsupported methods and answers preflight requests', async () => {
+    assert.equal((await request('/api/summary', { method: 'POST' })).status, 405);
+    assert.equal((await request('/api/summary', { method: 'OPTIONS' })).status, 204);
+  });
+});
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { aggregateList } from '../scripts/global.mjs';
+import { filterSoftLaunches, trackSoftLaunches } from '../scripts/softlaunch.mjs';
+
+const options = { majorMarkets: ['US', 'JP'], maxMarkets: 2 };
+
+function payload(country, ids, firstSeenAt) {
+  return {
+    country,
+    store: 'google',
+    updatedAt: firstSeenAt,
+    new: ids.map((id, index) => ({
+      id,
+      name: `Game ${id}`,
+      genres: [id === 'puzzle' ? 'Puzzle' : 'Action'],
+      isFree: true,
+      rank: index + 1,
+      firstSeenAt,
+    })),
+  };
+}
+
+function track(tracker, payloads, at, observed = {}) {
+  return trackSoftLaunches(tracker, aggregateList(payloads, 'new'), { ...options, at, observed });
+}
+
+const empty = { store: 'google', updatedAt: null, apps: {} };
+const day1 = '2026-10-01T00:00:00.000Z';
+const day2 = '2026-10-05T00:00:00.000Z';
+const day3 = '2026-10-09T00:00:00.000Z';
+
+describe('trackSoftLaunches', () => {
+  it('flags games charting only in a few small markets', () => {
+    const tracker = track(
+      empty,
+      [
+        payload('PH', ['puzzle', 'hit'], day1),
+        payload('NZ', ['puzzle', 'hit'], day1),
+        payload('US', ['hit'], day1),
+        payload('CA', ['wide'], day1),
+        payload('AU', ['wide'], day1),
+        payload('SE', ['wide'], day1),
+      ],
+      day1
+    );
+
+    assert.deepEqual(Object.keys(tracker.apps), ['puzzle']);
+    const app = tracker.apps.puzzle;
+    assert.equal(app.status, 'soft-launch');
+    assert.equal(app.detectedAt, day1);
+    assert.deepEqual(app.markets.map((market) => market.country), ['NZ', 'PH']);
+    assert.deepEqual(app.timeline, [{ at: day1, added: ['NZ', 'PH'], marketCount: 2 }]);
+  });
+
+  it('flags nothing new until every major market has a payload', () => {
+    const payloads = [payload('PH', ['puzzle'], day1), payload('US', ['hit'], day1)];
+    const partial = trackSoftLaunches(empty, aggregateList(payloads, 'new'), {
+      ...options,
+      at: day1,
+      countries: ['PH', 'US'],
+    });
+    assert.deepEqual(partial.apps, {});
+
+    const complete = trackSoftLaunches(
+      partial,
+      aggregateList([...payloads, payload('JP', [], day1)], 'new'),
+      { ...options, at: day2, countries: ['PH', 'US', 'JP'] }
+    );
+    assert.deepEqual(Object.keys(complete.apps), ['puzzle']);
+
+    const later = trackSoftLaunches(complete, aggregateList(payloads, 'new'), {
+      ...options,
+      at: day3,
+      countries: ['PH', 'US'],
+    });
+    assert.equal(later.apps.puzzle.lastSeenAt, day3);
+  });
+
+  it('records the expansion timeline until the game reaches a major market', () => {
+    let tracker = track(empty, [payload('PH', ['puzzle'], day1)], day1);
+    tracker = track(
+      tracker,
+      [payload('PH', ['puzzle'], day1), payload('CA', ['puzzle'], day2)],
+      day2
+    );
+    tracker = track(
+      tracker,
+      [
+        payload('PH', ['puzzle'], day1),
+        payload('CA', ['puzzle'], day2),
+        payload('US', ['puzzle'], day3),
+      ],
+      day3
+    );
+
+    const app = tracker.apps.puzzle;
+    assert.equal(app.status, 'launched');
+    assert.equal(app.launchedAt, day3);
+    assert.equal(app.detectedAt, day1);
+    assert.deepEqual(
+      app.timeline.map((entry) => [entry.at, entry.added, entry.marketCount]),
+      [
+        [day1, ['PH'], 1],
+        [day2, ['CA'], 2],
+        [day3, ['US'], 3],
+      ]
+    );
+  });
+
+  it('drops markets a fresh payload no longer lists', () => {
+    let tracker = track(
+      empty,
+      [payload('PH', ['puzzle'], day1), payload('NZ', ['puzzle'], day1)],
+      day1,
+      { PH: day1, NZ: day1 }
+    );
+    tracker = track(
+      tracker,
+      [payload('PH', ['puzzle'], day1), payload('NZ', ['other'], day2)],
+      day2,
+      { NZ: day2 }
+    );
+
+    const app = tracker.apps.puzzle;
+    assert.deepEqual(app.markets.map((market) => market.country), ['PH']);
+    assert.equal(app.marketCount, 1);
+    assert.deepEqual(app.timeline.at(-1), { at: day2, added: [], removed: ['NZ'], marketCount: 1 });
+
+    tracker = track(tracker, [payload('NZ', ['other'], day3)], day3, { NZ: day3, PH: day3 });
+    assert.equal(tracker.apps.puzzle.marketCount, 0);
+    assert.equal(tracker.apps.puzzle.lastSeenAt, day2);
+  });
+
+  it('keeps markets whose payload is older than the last sighting', () => {
+    let tracker = track(empty, [payload('PH', ['puzzle'], day2)], day2, { PH: day2 });
+    tracker = track(tracker, [payload('PH', [], day1)], day3, { PH: day1 });
+
+    assert.deepEqual(tracker.apps.puzzle.markets.map((market) => market.country), ['PH']);
+  });
+
+  it('keeps launched games launched when the major market drops out', () => {
+    let tracker = track(empty, [payload('PH', ['puzzle'], day1)], day1, { PH: day1 });
+    tracker = track(
+      tracker,
+      [payload('PH', ['puzzle'], day1), payload('US', ['puzzle'], day2)],
+      day2,
+      { US: day2 }
+    );
+    tracker = track(tracker, [payload('PH', ['puzzle'], day1)], day3, { US: day3 });
+
+    assert.equal(tracker.apps.puzzle.status, 'launched');
+    assert.equal(tracker.apps.puzzle.launchedAt, day2);
+    assert.deepEqual(tracker.apps.puzzle.markets.map((market) => market.country), ['PH']);
+  });
+
+  it('drops games that have not been seen within the retention window', () => {
+    const tracker = track(empty, [payload('PH', ['puzzle'], day1)], day1);
+    const later = trackSoftLaunches(tracker, [], { ...options, at: '2027-06-01T00:00:00.000Z' });
+
+    assert.deepEqual(later.apps, {});
+  });
+});
+
+describe('filterSoftLaunches', () => {
+  const tracker = track(
+    empty,
+    [
+      payload('PH', ['puzzle', 'action'], day1),
+      payload('NZ', ['puzzle'], day1),
+    ],
+    day1
+  );
+
+  it('filters by genre, minimum market count and status', () => {
+    assert.deepEqual(
+      filterSoftLaunches(tracker, { genre: 'puzzle' }).map((app) => app.id),
+      ['puzzle']
+    );
+    assert.deepEqual(
+      filterSoftLaunches(tracker, { minMarkets: 2 }).map((app) => app.id),
+      ['puzzle']
+    );
+    assert.equal(filterSoftLaunches(tracker, { status: 'launched' }).length, 0);
+    assert.ok(filterSoftLaunches(tracker).every((app) => app.store === 'google'));
+  });
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import path from 'path';
+import { after, describe, it } from 'node:test';
+import { ROOT, createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox({ STORE_SCRAP_FIXTURES: path.join(ROOT, 'fixtures') });
+const { fetchSteamData } = await import('../scripts/steam.mjs');
+const { validateTransportMode } = await import('../scripts/transport.mjs');
+
+after(() => sandbox.cleanup());
+
+describe('fetchSteamData', () => {
+  it('keeps games from the new releases tab, newest first', async () => {
+    const data = await fetchSteamData('US');
+
+    assert.equal(data.store, 'steam');
+    assert.equal(data.country, 'US');
+    assert.deepEqual(data.errors, []);
+    assert.deepEqual(data.updated, []);
+    assert.deepEqual(
+      data.new.map((item) => [item.id, item.name]),
+      [
+        ['2915770', 'Pocket Orchard'],
+        ['2871230', 'Hollow Forge'],
+        ['2904410', 'Tidebound Tactics'],
+        ['2799120', 'Starlit Couriers'],
+      ]
+    );
+  });
+
+  it('maps store details to the shared item shape', async () => {
+    const data = await fetchSteamData('US');
+    const forge = data.new.find((item) => item.id === '2871230');
+
+    assert.equal(forge.developer, 'Emberline Studio');
+    assert.equal(forge.url, 'https://store.steampowered.com/app/2871230/');
+    assert.equal(forge.price, '$19.99');
+    assert.equal(forge.priceAmount, 19.98);
+    assert.equal(forge.currency, 'USD');
+    assert.equal(forge.isFree, false);
+    assert.deepEqual(forge.genres, ['Action', 'Indie']);
+    assert.equal(forge.releasedAt.slice(0, 10), '2026-10-14');
+    assert.equal(forge.country, 'US');
+
+    const orchard = data.new.find((item) => item.id === '2915770');
+    assert.equal(orchard.isFree, true);
+    assert.equal(orchard.price, 'Free');
+    assert.equal(orchard.priceAmount, 0);
+  });
+});
+
+describe('STEAM_TRANSPORT', () => {
+  it('accepts the same modes as --transport', () => {
+    assert.equal(validateTransportMode('record'), 'record');
+    assert.throws(() => validateTransportMode('offline'), /Unknown transport mode "offline"/);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { createSandbox, readJson } from './helpers.mjs';
+
+const sandbox = await createSandbox({ LOCK_TIMEOUT_MS: '200', LOCK_STALE_MS: '1000' });
+const { readJsonFile, updateJsonFile, withFileLock, writeJsonFile } = await import(
+  '../scripts/storage.mjs'
+);
+
+after(() => sandbox.cleanup());
+
+const file = (name) => path.join(sandbox.dir, 'storage', name);
+
+describe('writeJsonFile', () => {
+  it('replaces files atomically and leaves no temp or lock files behind', async () => {
+    await writeJsonFile(file('a.json'), { version: 1 });
+    await writeJsonFile(file('a.json'), { version: 2 });
+
+    assert.deepEqual(await readJson(file('a.json')), { version: 2 });
+    assert.deepEqual(await fs.readdir(path.dirname(file('a.json'))), ['a.json']);
+  });
+});
+
+describe('updateJsonFile', () => {
+  it('serializes concurrent read-modify-write updates', async () => {
+    await Promise.all(
+      Array.from({ length: 20 }, (_, index) =>
+        updateJsonFile(file('counter.json'), { count: 0, ids: [] }, (current) => ({
+          count: current.count + 1,
+          ids: [...current.ids, index],
+        }))
+      )
+    );
+    const counter = await readJson(file('counter.json'));
+
+    assert.equal(counter.count, 20);
+    assert.equal(new Set(counter.ids).size, 20);
+  });
+
+  it('starts over from the fallback when the file is corrupt', async () => {
+    await fs.writeFile(file('broken.json'), '{"count": 1}}');
+    const updated = await updateJsonFile(file('broken.json'), { count: 0 }, (current) => ({
+      count: current.count + 1,
+    }));
+
+    assert.deepEqual(updated, { count: 1 });
+  });
+});
+
+describe('readJsonFile', () => {
+  it('throws on corrupt files unless asked to quarantine them', async () => {
+    await fs.writeFile(file('corrupt.json'), '{"a": 1}}');
+    await assert.rejects(readJsonFile(file('corrupt.json'), null), SyntaxError);
+
+    const reports = [];
+    const data = await readJsonFile(file('corrupt.json'), 'fallback', {
+      quarantine: true,
+      onCorrupt: (error, target) => reports.push([error.name, path.basename(target)]),
+    });
+
+    assert.equal(data, 'fallback');
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0][0], 'SyntaxError');
+    assert.match(reports[0][1], /^corrupt\.json\.corrupt-/);
+    assert.equal(await readJsonFile(file('corrupt.json'), 'missing'), 'missing');
+  });
+});
+
+describe('withFileLock', () => {
+  it('waits for a held lock and times out', async () => {
+    await fs.writeFile(file('held.json.lock'), '1\n');
+    await assert.rejects(
+      withFileLock(file('held.json'), () => 'never'),
+      (error) => error.code === 'ELOCKED'
+    );
+  });
+
+  it('takes over stale locks left by crashed writers', async () => {
+    const lockPath = file('stale.json.lock');
+    await fs.writeFile(lockPath, '1\n');
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, old, old);
+
+    await writeJsonFile(file('stale.json'), { ok: true });
+    assert.deepEqual(await readJson(file('stale.json')), { ok: true });
+    await assert.rejects(fs.stat(lockPath), { code: 'ENOENT' });
+    assert.deepEqual(
+      (await fs.readdir(path.dirname(lockPath))).filter((name) => name.startsWith('stale.json.')),
+      []
+    );
+  });
+
+  it('refreshes the lock while a long task holds it', async () => {
+    const lockPath = file('slow.json.lock');
+    const seen = await withFileLock(file('slow.json'), async () => {
+      const owner = await fs.readFile(lockPath, 'utf8');
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+      const { mtimeMs } = await fs.stat(lockPath);
+      return { owner, current: await fs.readFile(lockPath, 'utf8'), age: Date.now() - mtimeMs };
+    });
+
+    assert.match(seen.owner, new RegExp(`^${process.pid} `));
+    assert.equal(seen.current, seen.owner);
+    assert.ok(seen.age < 1000);
+    await assert.rejects(fs.stat(lockPath), { code: 'ENOENT' });
+  });
+
+  it('leaves a lock alone once another writer owns it', async () => {
+    const lockPath = file('taken.json.lock');
+    await withFileLock(file('taken.json'), () => fs.writeFile(lockPath, 'other\n'));
+
+    assert.equal(await fs.readFile(lockPath, 'utf8'), 'other\n');
+    await fs.rm(lockPath);
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { describe, it } from 'node:test';
+import { createEventStream, diffPayloads, hasChanges } from '../scripts/stream.mjs';
+
+const item = (id) => ({ id, name: `App ${id}` });
+
+describe('diffPayloads', () => {
+  it('reports added, removed and moved apps per list', () => {
+    const previous = { new: ['a', 'b', 'c'].map(item), updated: [item('x')] };
+    const next = { new: ['c', 'a', 'd'].map(item), updated: [item('x')] };
+
+    const changes = diffPayloads(previous, next);
+
+    assert.deepEqual(changes.new.order, ['c', 'a', 'd']);
+    assert.deepEqual(changes.new.added, [item('d')]);
+    assert.deepEqual(changes.new.removed, [{ id: 'b', name: 'App b', previousRank: 2 }]);
+    assert.deepEqual(
+      changes.new.moved.map(({ id, rank, previousRank, delta }) => [id, rank, previousRank, delta]),
+      [
+        ['c', 1, 3, 2],
+        ['a', 2, 1, -1],
+      ]
+    );
+    assert.deepEqual(changes.updated.added, []);
+    assert.equal(hasChanges(changes), true);
+  });
+
+  it('treats every item as added when there is no previous payload', () => {
+    const changes = diffPayloads(null, { new: [item('a')], updated: [] });
+
+    assert.deepEqual(changes.new.added, [item('a')]);
+    assert.deepEqual(changes.new.removed, []);
+  });
+
+  it('diffs chart lists by their store chart rank and skips charts that were not fetched', () => {
+    const chart = (id, chartRank) => ({ ...item(id), chart: 'top-free', chartRank });
+    const previous = {
+      new: [],
+      updated: [],
+      charts: { 'top-free': [chart('a', 1), chart('b', 4)], 'top-paid': [chart('p', 1)] },
+    };
+    const next = { new: [], updated: [], charts: { 'top-free': [chart('b', 2), chart('c', 5)] } };
+
+    const changes = diffPayloads(previous, next);
+
+    assert.deepEqual(Object.keys(changes), ['new', 'updated', 'top-free']);
+    assert.deepEqual(changes['top-free'].order, ['b', 'c']);
+    assert.deepEqual(changes['top-free'].added, [chart('c', 5)]);
+    assert.deepEqual(changes['top-free'].removed, [{ id: 'a', name: 'App a', previousRank: 1 }]);
+    assert.deepEqual(
+      changes['top-free'].moved.map(({ id, rank, previousRank }) => [id, rank, previousRank]),
+      [['b', 2, 4]]
+    );
+    assert.equal(hasChanges(changes), true);
+  });
+
+  it('reports no changes for identical payloads', () => {
+    const payload = { new: [item('a'), item('b')], updated: [] };
+
+    assert.equal(hasChanges(diffPayloads(payload, payload)), false);
+  });
+});
+
+function createClient() {
+  const req = new EventEmitter();
+  const chunks = [];
+  const res = { writeHead: () => {}, write: (chunk) => chunks.push(chunk) };
+  return { req, res, chunks };
+}
+
+describe('createEventStream', () => {
+  it('sends hello without an id and numbers published events from 1', () => {
+    const stream = createEventStream();
+    const client = createClient();
+    stream.subscribe(client.req, client.res, { country: 'US' });
+    stream.publish('refresh', { country: 'US' });
+    stream.publish('refresh', { country: 'JP' });
+    stream.publish('refresh', { country: 'US' });
+    client.req.emit('close');
+
+    assert.match(client.chunks[0], /^event: hello\n/);
+    assert.deepEqual(
+      client.chunks.slice(1).map((chunk) => chunk.split('\n')[0]),
+      ['id: 1', 'id: 3']
+    );
+    assert.equal(stream.size, 0);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox({ UPDATE_WINDOW_DAYS: '7' });
+const { detectUpdates } = await import('../scripts/updates.mjs');
+
+after(() => sandbox.cleanup());
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const start = Date.parse('2026-10-01T00:00:00.000Z');
+const day = (offset) => new Date(start + offset * DAY_MS).toISOString();
+
+const app = (id, version, updatedAt, extra = {}) => ({
+  id,
+  name: `Game ${id}`,
+  version,
+  updatedAt,
+  ...extra,
+});
+
+describe('detectUpdates', () => {
+  it('records versions on first sight without reporting updates', async () => {
+    const recent = await detectUpdates(
+      'apple',
+      'US',
+      [app('a', '1.0', day(0)), app('b', '2.0', day(0)), { id: 'c', name: 'Unversioned' }],
+      { at: day(0) }
+    );
+    assert.deepEqual(recent, []);
+  });
+
+  it('reports version changes and newer update dates', async () => {
+    const recent = await detectUpdates(
+      'apple',
+      'US',
+      [
+        app('a', '1.1', day(2), { releaseNotes: 'Bug fixes' }),
+        app('b', '2.0', day(3)),
+        app('d', '1.0', day(3)),
+      ],
+      { at: day(3) }
+    );
+    assert.deepEqual(
+      recent.map((item) => [item.id, item.previousVersion, item.releaseNotes, item.detectedAt]),
+      [
+        ['b', '2.0', null, day(3)],
+        ['a', '1.0', 'Bug fixes', day(3)],
+      ]
+    );
+  });
+
+  it('keeps earlier detections until they leave the update window', async () => {
+    let recent = await detectUpdates('apple', 'US', [app('a', '1.1', day(2))], { at: day(5) });
+    assert.deepEqual(
+      recent.map((item) => item.id),
+      ['b', 'a']
+    );
+
+    recent = await detectUpdates('apple', 'US', [app('d', '1.1', day(12))], { at: day(12) });
+    assert.deepEqual(
+      recent.map((item) => [item.id, item.previousVersion]),
+      [['d', '1.0']]
+    );
+  });
+
+  it('merges concurrent writers instead of dropping version state', async () => {
+    await Promise.all([
+      detectUpdates('apple', 'NZ', [app('x', '1.0', day(0))], { at: day(0) }),
+      detectUpdates('apple', 'NZ', [app('y', '1.0', day(0))], { at: day(0) }),
+    ]);
+    const recent = await detectUpdates(
+      'apple',
+      'NZ',
+      [app('x', '1.1', day(1)), app('y', '1.1', day(1))],
+      { at: day(1) }
+    );
+
+    assert.deepEqual(recent.map((item) => item.id).sort(), ['x', 'y']);
+  });
+
+  it('tracks genre feeds separately', async () => {
+    await detectUpdates('google', 'US', [app('a', '1.0', day(0))], { at: day(0), genre: 'puzzle' });
+    const recent = await detectUpdates('google', 'US', [app('a', '1.1', day(1))], { at: day(1) });
+    assert.deepEqual(recent, []);
+  });
+});
@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  createLimiter,
+  invalid,
+  isCacheFresh,
+  parseByteSize,
+  pool,
+  roundRobinSlice,
+  safeParseDate,
+  safeParseNumber,
+  toTime,
+} from '../scripts/util.mjs';
+import { createSandbox } from './helpers.mjs';
+
+describe('roundRobinSlice', () => {
+  it('returns an empty slice for an empty list', () => {
+    assert.deepEqual(roundRobinSlice([], 3, 2), { slice: [], nextCursor: 0 });
+    assert.deepEqual(roundRobinSlice(null, 3, 2), { slice: [], nextCursor: 0 });
+  });
+
+  it('wraps around the end of the list', () => {
+    assert.deepEqual(roundRobinSlice(['a', 'b', 'c', 'd'], 3, 3), {
+      slice: ['d', 'a', 'b'],
+      nextCursor: 2,
+    });
+  });
+
+  it('normalizes out-of-range and negative cursors', () => {
+    assert.deepEqual(roundRobinSlice(['a', 'b', 'c'], 7, 1), { slice: ['b'], nextCursor: 2 });
+    assert.deepEqual(roundRobinSlice(['a', 'b', 'c'], -4, 1), { slice: ['a'], nextCursor: 1 });
+  });
+
+  it('never repeats entries when the size exceeds the list', () => {
+    assert.deepEqual(roundRobinSlice(['a', 'b'], 1, 5), { slice: ['b', 'a'], nextCursor: 1 });
+  });
+});
+
+describe('createLimiter', () => {
+  it('caps the number of concurrent tasks', async () => {
+    const limiter = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = () =>
+      limiter(async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active -= 1;
+        return active;
+      });
+
+    await Promise.all(Array.from({ length: 6 }, task));
+    assert.equal(peak, 2);
+  });
+
+  it('keeps draining the queue after a rejection', async () => {
+    const limiter = createLimiter(1);
+    const failing = limiter(async () => {
+      throw new Error('boom');
+    });
+    const succeeding = limiter(async () => 'ok');
+
+    await assert.rejects(failing, /boom/);
+    assert.equal(await succeeding, 'ok');
+  });
+});
+
+describe('isCacheFresh', () => {
+  it('rejects missing entries and invalid timestamps', () => {
+    assert.equal(isCacheFresh(null, 1000), false);
+    assert.equal(isCacheFresh({}, 1000), false);
+    assert.equal(isCacheFresh({ updatedAt: 'not a date' }, 1000), false);
+  });
+
+  it('compares the entry age with the ttl', () => {
+    const now = Date.now();
+    assert.equal(isCacheFresh({ updatedAt: new Date(now - 500).toISOString() }, 1000), true);
+    assert.equal(isCacheFresh({ updatedAt: new Date(now - 5000).toISOString() }, 1000), false);
+  });
+});
+
+describe('safeParseDate', () => {
+  it('returns null for empty and invalid values', () => {
+    assert.equal(safeParseDate(null), null);
+    assert.equal(safeParseDate(''), null);
+    assert.equal(safeParseDate('yesterday-ish'), null);
+  });
+
+  it('parses ISO strings and store date formats', () => {
+    assert.equal(safeParseDate('2026-10-10T07:00:00Z').toISOString(), '2026-10-10T07:00:00.000Z');
+    assert.equal(safeParseDate('Oct 10, 2026').getFullYear(), 2026);
+  });
+});
+
+describe('safeParseNumber', () => {
+  it('parses numbers and numeric strings', () => {
+    assert.equal(safeParseNumber(4.5), 4.5);
+    assert.equal(safeParseNumber('1,204'), 1204);
+    assert.equal(safeParseNumber(''), null);
+    assert.equal(safeParseNumber('n/a'), null);
+    assert.equal(safeParseNumber(undefined), null);
+  });
+});
+
+describe('parseByteSize', () => {
+  it('converts store size labels to bytes', () => {
+    assert.equal(parseByteSize('152M'), 152 * 1024 * 1024);
+    assert.equal(parseByteSize('1.5 GB'), 1.5 * 1024 ** 3);
+    assert.equal(parseByteSize('800k'), 800 * 1024);
+    assert.equal(parseByteSize(2048), 2048);
+    assert.equal(parseByteSize('Varies with device'), null);
+  });
+});
+
+describe('toTime', () => {
+  it('returns epoch milliseconds or null', () => {
+    assert.equal(toTime('2026-10-19T00:00:00.000Z'), Date.parse('2026-10-19T00:00:00.000Z'));
+    assert.equal(toTime('not a date'), null);
+    assert.equal(toTime(null), null);
+  });
+});
+
+describe('pool', () => {
+  it('indexes items by id, keeping the first list they appear in', () => {
+    const items = pool([
+      [{ id: 'a', list: 'new' }],
+      [
+        { id: 'a', list: 'updated' },
+        { id: 'b', list: 'updated' },
+      ],
+      undefined,
+    ]);
+    assert.deepEqual([...items.keys()], ['a', 'b']);
+    assert.equal(items.get('a').list, 'new');
+    assert.deepEqual([...pool([]).keys()], []);
+  });
+});
+
+describe('invalid', () => {
+  it('builds errors carrying an HTTP status', () => {
+    assert.equal(invalid('Bad input').status, 400);
+    assert.equal(invalid('Too large', 413).status, 413);
+  });
+});
+
+describe('createSandbox', () => {
+  it('restores the previous environment on cleanup', async () => {
+    process.env.NEW_WINDOW_DAYS = '12';
+    delete process.env.STORE_SCRAP_DATA_DIR;
+    const updateWindow = process.env.UPDATE_WINDOW_DAYS;
+    const sandbox = await createSandbox({ UPDATE_WINDOW_DAYS: '3' });
+    assert.equal(process.env.NEW_WINDOW_DAYS, '36500');
+    assert.equal(process.env.UPDATE_WINDOW_DAYS, '3');
+
+    await sandbox.cleanup();
+    assert.equal(process.env.NEW_WINDOW_DAYS, '12');
+    assert.equal(process.env.STORE_SCRAP_DATA_DIR, undefined);
+    assert.equal(process.env.UPDATE_WINDOW_DAYS, updateWindow);
+    delete process.env.NEW_WINDOW_DAYS;
+  });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { createSandbox } from './helpers.mjs';
+
+const sandbox = await createSandbox();
+const {
+  detectWatchEvents,
+  emptyWatchlist,
+  filterWatchEvents,
+  isWatched,
+  loadWatchEvents,
+  loadWatchlist,
+  recordWatchEvents,
+  saveWatchlist,
+  unwatchApp,
+  unwatchDeveloper,
+  watchApp,
+  watchDeveloper,
+} = await import('../scripts/watchlist.mjs');
+
+after(() => sandbox.cleanup());
+
+const item = (id, extra = {}) => ({
+  id,
+  name: `Game ${id}`,
+  developer: 'Rival Games Ltd',
+  price: 'Free',
+  isFree: true,
+  ...extra,
+});
+
+describe('watchlist entries', () => {
+  it('adds and removes developers and apps without duplicates', async () => {
+    let watchlist = emptyWatchlist();
+    watchlist = watchDeveloper(watchlist, 'Rival Games Ltd');
+    watchlist = watchDeveloper(watchlist, 'rival games');
+    watchlist = watchApp(watchlist, { store: 'apple', id: 42 });
+    watchlist = watchApp(watchlist, { store: 'apple', id: '42' });
+
+    assert.deepEqual(watchlist.developers, ['rival-games']);
+    assert.deepEqual(watchlist.apps, [{ store: 'apple', id: 42 }]);
+    assert.equal(isWatched(watchlist, 'apple', { id: '42', developer: 'Other' }), true);
+    assert.equal(isWatched(watchlist, 'google', { id: '42', developer: 'Other' }), false);
+
+    const saved = await saveWatchlist(watchlist);
+    assert.ok(saved.updatedAt);
+    assert.deepEqual((await loadWatchlist()).developers, ['rival-games']);
+
+    watchlist = unwatchApp(unwatchDeveloper(watchlist, 'Rival Games'), { store: 'apple', id: 42 });
+    assert.deepEqual(watchlist.developers, []);
+    assert.deepEqual(watchlist.apps, []);
+  });
+});
+
+describe('detectWatchEvents', () => {
+  const watchlist = watchDeveloper(emptyWatchlist(), 'Rival Games');
+  const options = { store: 'google', country: 'US', at: '2026-10-19T00:00:00.000Z' };
+
+  it('records chart entries, exits, updates and price changes', () => {
+    const previous = {
+      new: [item('a'), item('b'), item('x', { developer: 'Someone Else' })],
+      updated: [],
+    };
+    const next = {
+      new: [item('c'), item('a', { price: '$1.99', isFree: false })],
+      updated: [
+        item('a', { version: '2.0', previousVersion: '1.0', price: '$1.99', isFree: false }),
+      ],
+    };
+
+    const events = detectWatchEvents(watchlist, previous, next, options);
+
+    assert.deepEqual(
+      events.map((event) => [event.type, event.id, event.list ?? null]),
+      [
+        ['entered', 'c', 'new'],
+        ['dropped', 'b', 'new'],
+        ['entered', 'a', 'updated'],
+        ['updated', 'a', null],
+        ['price', 'a', null],
+      ]
+    );
+    const price = events.find((event) => event.type === 'price');
+    assert.equal(price.previousPrice, 'Free');
+    assert.equal(price.price, '$1.99');
+    assert.equal(events[0].developerId, 'rival-games');
+    assert.equal(events[0].rank, 1);
+    assert.equal(events[1].previousRank, 2);
+  });
+
+  it('ignores first fetches, preserved payloads and empty watchlists', () => {
+    const next = { new: [item('a')], updated: [] };
+
+    assert.deepEqual(detectWatchEvents(watchlist, null, next, options), []);
+    assert.deepEqual(
+      detectWatchEvents(watchlist, { new: [] }, { ...next, preservedAt: 'now' }, options),
+      []
+    );
+    assert.deepEqual(detectWatchEvents(emptyWatchlist(), { new: [] }, next, options), []);
+  });
+});
+
+describe('watch event log', () => {
+  it('appends events and filters them newest first', async () => {
+    await Promise.all([
+      recordWatchEvents([
+        { type: 'entered', id: 'a', developerId: 'rival-games', at: '2026-10-01' },
+      ]),
+      recordWatchEvents([{ type: 'price', id: 'b', developerId: 'other', at: '2026-10-05' }]),
+    ]);
+    const events = await loadWatchEvents();
+
+    assert.equal(events.length, 2);
+    assert.deepEqual(
+      filterWatchEvents(events).map((event) => event.id),
+      ['b', 'a']
+    );
+    assert.deepEqual(
+      filterWatchEvents(events, { developer: 'Rival Games' }).map((event) => event.id),
+      ['a']
+    );
+    assert.equal(filterWatchEvents(events, { since: '2026-10-03' }).length, 1);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { crc32, createZip } from '../scripts/zip.mjs';
+import { readZip } from './helpers.mjs';
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('createZip', () => {
+  it('writes deflated entries that round-trip through the central directory', () => {
+    const zip = createZip(
+      [
+        { name: 'a.txt', data: 'hello' },
+        { name: 'dir/ünï.xml', data: Buffer.from('<x/>') },
+      ],
+      { date: new Date('2026-10-19T12:30:00') }
+    );
+    const entries = readZip(zip);
+    assert.deepEqual(
+      entries.map((entry) => [entry.name, entry.data.toString('utf8')]),
+      [
+        ['a.txt', 'hello'],
+        ['dir/ünï.xml', '<x/>'],
+      ]
+    );
+    entries.forEach((entry) => assert.equal(entry.checksum, crc32(entry.data)));
+  });
+});